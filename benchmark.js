@@ -0,0 +1,261 @@
+// Opportunity-Cost Benchmark for Profit Pulse
+// What the same money would be worth today in BTC, ETH, a stablecoin or a savings account
+
+const BENCHMARKS = {
+    bitcoin: { label: 'Bitcoin (BTC)', coinId: 'bitcoin' },
+    ethereum: { label: 'Ethereum (ETH)', coinId: 'ethereum' },
+    tether: { label: 'Stablecoin (USDT)', coinId: 'tether' },
+    savings: { label: 'Savings account' }
+};
+
+const BENCHMARK_STORAGE_KEY = 'profit-pulse-benchmarks';
+const DEFAULT_BENCHMARK_SETTINGS = { selected: ['bitcoin', 'ethereum', 'savings'], savingsRate: 4 };
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Fetches the prices and does the comparison (no DOM access)
+class BenchmarkEngine {
+    constructor(priceService) {
+        this.priceService = priceService;
+    }
+
+    // purchases: [{ date: 'YYYY-MM-DD', amount }] in the quote currency.
+    // Each purchase buys the benchmark on the same day, so DCA lots are compared lot by lot.
+    async coinValue(coinId, purchases, currency) {
+        const [current, ...history] = await Promise.all([
+            this.priceService.fetchCoinPrice(coinId, currency),
+            ...purchases.map(purchase => this.priceService.fetchHistoricalPrice(coinId, purchase.date, currency))
+        ]);
+
+        const units = purchases.reduce((sum, purchase, index) => sum + purchase.amount / history[index].price, 0);
+        return units * current.price;
+    }
+
+    // The rate is an effective annual yield (APY): part of a year grows by (1 + rate)^years,
+    // the same as compounding continuously at that yield
+    savingsValue(purchases, annualRate, now = Date.now()) {
+        return purchases.reduce((sum, purchase) => {
+            const years = Math.max((now - Date.parse(`${purchase.date}T00:00:00Z`)) / MS_PER_YEAR, 0);
+            return sum + purchase.amount * (1 + annualRate / 100) ** years;
+        }, 0);
+    }
+
+    // Benchmarks are plain buy-and-hold, without the position's fees
+    async compare({ purchases, currency, positionValue, selected, savingsRate }) {
+        const invested = purchases.reduce((sum, purchase) => sum + purchase.amount, 0);
+        const returnOf = (value) => invested > 0 ? (value / invested - 1) * 100 : null;
+        const positionReturn = returnOf(positionValue);
+
+        return Promise.all(selected.filter(key => BENCHMARKS[key]).map(async (key) => {
+            const benchmark = BENCHMARKS[key];
+            try {
+                const value = benchmark.coinId ?
+                    await this.coinValue(benchmark.coinId, purchases, currency) :
+                    this.savingsValue(purchases, savingsRate);
+
+                return {
+                    key,
+                    label: key === 'savings' ? `${benchmark.label} (${savingsRate}% APY)` : benchmark.label,
+                    value,
+                    returnPercent: returnOf(value),
+                    // Positive: the position beat the benchmark
+                    difference: positionValue - value,
+                    relativePercent: positionReturn === null ? null : positionReturn - returnOf(value)
+                };
+            } catch (error) {
+                console.error(`Error loading ${key} benchmark:`, error);
+                return { key, label: benchmark.label, error: error.message };
+            }
+        }));
+    }
+}
+
+// Benchmark panel next to the output card
+class BenchmarkView {
+    // getContext returns { coin, purchases, currency, livePrice, valueAt(price) } where
+    // valueAt gives the position's net value if sold at that price
+    constructor(containerId, priceService, formatter, getContext) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatCurrency, formatPercent
+        this.engine = new BenchmarkEngine(priceService);
+        this.getContext = getContext;
+        this.settings = this.loadSettings();
+        this.runId = 0;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.renderSettings();
+    }
+
+    initializeElements() {
+        this.optionList = document.getElementById('benchmark-options');
+        this.savingsInput = document.getElementById('benchmark-savings-rate');
+        this.compareButton = document.getElementById('run-benchmark');
+        this.message = document.getElementById('benchmark-message');
+        this.results = document.getElementById('benchmark-results');
+    }
+
+    bindEvents() {
+        this.optionList.addEventListener('change', () => {
+            this.settings.selected = [...this.optionList.querySelectorAll('input:checked')].map(input => input.value);
+            this.saveSettings();
+        });
+
+        this.savingsInput.addEventListener('change', () => {
+            const rate = parseFloat(this.savingsInput.value);
+            this.settings.savingsRate = Number.isFinite(rate) ? rate : DEFAULT_BENCHMARK_SETTINGS.savingsRate;
+            this.saveSettings();
+        });
+
+        this.compareButton.addEventListener('click', () => {
+            this.run();
+        });
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BENCHMARK_STORAGE_KEY));
+            if (saved && Array.isArray(saved.selected)) {
+                return { ...DEFAULT_BENCHMARK_SETTINGS, ...saved };
+            }
+        } catch (error) {
+            console.error('Error loading benchmark settings:', error);
+        }
+        return { ...DEFAULT_BENCHMARK_SETTINGS };
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(BENCHMARK_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving benchmark settings:', error);
+        }
+    }
+
+    renderSettings() {
+        this.optionList.innerHTML = Object.entries(BENCHMARKS).map(([key, benchmark]) => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${key}"${this.settings.selected.includes(key) ? ' checked' : ''}>
+                ${benchmark.label}
+            </label>
+        `).join('');
+        this.savingsInput.value = this.settings.savingsRate;
+    }
+
+    async run() {
+        const { coin, purchases, currency, livePrice, valueAt } = this.getContext();
+        const today = new Date().toISOString().slice(0, 10);
+
+        if (!coin) {
+            this.showMessage('Select a cryptocurrency first', true);
+            return;
+        }
+        if (purchases.length === 0 || purchases.some(purchase => !purchase.date)) {
+            this.showMessage('Set a purchase date (or dates on every lot) to compare', true);
+            return;
+        }
+        if (purchases.some(purchase => purchase.date > today)) {
+            this.showMessage('Purchase dates cannot be in the future', true);
+            return;
+        }
+        if (this.settings.selected.length === 0) {
+            this.showMessage('Pick at least one benchmark', true);
+            return;
+        }
+
+        const runId = ++this.runId;
+        this.compareButton.disabled = true;
+        this.showMessage('Loading historical prices...');
+
+        try {
+            const currentPrice = livePrice || (await this.priceService.fetchCoinPrice(coin.id, currency)).price;
+            const positionValue = valueAt(currentPrice).finalValue;
+            const rows = await this.engine.compare({
+                purchases,
+                currency,
+                positionValue,
+                selected: this.settings.selected,
+                savingsRate: this.settings.savingsRate
+            });
+
+            // A newer comparison has started in the meantime
+            if (runId === this.runId) {
+                this.showMessage('');
+                this.render(coin, purchases, positionValue, rows);
+            }
+        } catch (error) {
+            console.error('Error comparing benchmarks:', error);
+            this.showMessage(error.message, true);
+        }
+
+        this.compareButton.disabled = false;
+    }
+
+    render(coin, purchases, positionValue, rows) {
+        const format = this.formatter;
+        const invested = purchases.reduce((sum, purchase) => sum + purchase.amount, 0);
+        const positionReturn = invested > 0 ? (positionValue / invested - 1) * 100 : 0;
+        const signClass = (amount) => amount > 0 ? 'positive' : amount < 0 ? 'negative' : '';
+
+        const body = rows.map(row => row.error ? `
+            <tr>
+                <td>${row.label}</td>
+                <td colspan="3" class="report-empty">Unavailable</td>
+            </tr>
+        ` : `
+            <tr>
+                <td>${row.label}</td>
+                <td>${format.formatCurrency(row.value)}</td>
+                <td class="${signClass(row.returnPercent)}">${format.formatPercent(row.returnPercent)}</td>
+                <td class="${signClass(row.difference)}">${format.formatCurrency(row.difference, true)}</td>
+            </tr>
+        `).join('');
+
+        this.results.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Holding</th>
+                        <th>Value Today</th>
+                        <th>Return</th>
+                        <th>You vs. It</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="current-row">
+                        <td>${coin.symbol.toUpperCase()} (this position)</td>
+                        <td>${format.formatCurrency(positionValue)}</td>
+                        <td class="${signClass(positionReturn)}">${format.formatPercent(positionReturn)}</td>
+                        <td>—</td>
+                    </tr>
+                    ${body}
+                </tbody>
+            </table>
+            <span class="input-hint">${this.summarize(rows)}</span>
+        `;
+    }
+
+    // One line naming the best alternative, or confirming the position beat them all
+    summarize(rows) {
+        const valid = rows.filter(row => !row.error);
+        if (valid.length === 0) {
+            return '';
+        }
+
+        const best = valid.reduce((top, row) => row.value > top.value ? row : top);
+        if (best.difference >= 0) {
+            return 'This position beat every selected benchmark.';
+        }
+        return `Holding ${best.label} instead would be worth ${this.formatter.formatCurrency(-best.difference)} more today.`;
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BenchmarkEngine, BenchmarkView, BENCHMARKS };
+}
@@ -0,0 +1,144 @@
+// Coin Watchlist for Profit Pulse
+// Starred and recently selected coins, pinned at the top of the coin dropdown
+
+const WATCHLIST_STORAGE_KEY = 'profit-pulse-watchlist';
+const WATCHLIST_FILE_VERSION = 1;
+const MAX_RECENT_COINS = 8;
+
+// Favorites and recents backed by localStorage; entries are { id, symbol, name }
+// so they still render while the coin list is loading or unavailable
+class CoinWatchlist {
+    constructor(storageKey = WATCHLIST_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        const saved = this.load();
+        this.favorites = saved.favorites;
+        this.recents = saved.recents;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return this.normalize(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+            console.error('Error loading watchlist:', error);
+            return { favorites: [], recents: [] };
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                favorites: this.favorites,
+                recents: this.recents
+            }));
+        } catch (error) {
+            console.error('Error saving watchlist:', error);
+        }
+    }
+
+    // Keeps well-formed entries only, each coin once
+    normalize(data) {
+        const clean = (list, limit = Infinity) => {
+            const seen = new Set();
+            return (Array.isArray(list) ? list : [])
+                .filter(entry => this.isValidEntry(entry) && !seen.has(entry.id) && seen.add(entry.id))
+                .slice(0, limit)
+                .map(entry => this.toEntry(entry));
+        };
+
+        return {
+            favorites: clean(data && data.favorites),
+            recents: clean(data && data.recents, MAX_RECENT_COINS)
+        };
+    }
+
+    isValidEntry(entry) {
+        return entry &&
+            typeof entry.id === 'string' && entry.id !== '' &&
+            typeof entry.symbol === 'string' &&
+            typeof entry.name === 'string';
+    }
+
+    toEntry(coin) {
+        return { id: coin.id, symbol: coin.symbol, name: coin.name };
+    }
+
+    getFavorites() {
+        return this.favorites.map(entry => ({ ...entry }));
+    }
+
+    getRecents() {
+        return this.recents.map(entry => ({ ...entry }));
+    }
+
+    isFavorite(coinId) {
+        return this.favorites.some(entry => entry.id === coinId);
+    }
+
+    // Returns whether the coin is a favorite afterwards
+    toggleFavorite(coin) {
+        const starred = !this.isFavorite(coin.id);
+        this.favorites = starred ?
+            [...this.favorites, this.toEntry(coin)] :
+            this.favorites.filter(entry => entry.id !== coin.id);
+        this.save();
+        return starred;
+    }
+
+    // Most recent first; selecting a coin again moves it back to the top
+    addRecent(coin) {
+        this.recents = [this.toEntry(coin), ...this.recents.filter(entry => entry.id !== coin.id)]
+            .slice(0, MAX_RECENT_COINS);
+        this.save();
+    }
+
+    toJSON() {
+        return {
+            version: WATCHLIST_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            favorites: this.favorites,
+            recents: this.recents
+        };
+    }
+
+    // Merges an exported file into the current lists; returns how many coins were new
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (!data || (!Array.isArray(data.favorites) && !Array.isArray(data.recents))) {
+            throw new Error('No favorites or recent coins found in the file.');
+        }
+        if (data.version > WATCHLIST_FILE_VERSION) {
+            throw new Error('This file was exported by a newer version of Profit Pulse.');
+        }
+
+        // Current entries keep their place; imported recents fill up behind them
+        const imported = this.normalize(data);
+        const merged = this.normalize({
+            favorites: [...this.favorites, ...imported.favorites],
+            recents: [...this.recents, ...imported.recents]
+        });
+
+        const isNew = (list) => (entry) => !list.some(existing => existing.id === entry.id);
+        const added = {
+            favorites: merged.favorites.filter(isNew(this.favorites)).length,
+            recents: merged.recents.filter(isNew(this.recents)).length
+        };
+
+        this.favorites = merged.favorites;
+        this.recents = merged.recents;
+        this.save();
+
+        return added;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CoinWatchlist, MAX_RECENT_COINS };
+}
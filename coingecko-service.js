@@ -1,85 +1,170 @@
 // CoinGecko API Service for Profit Pulse
 // Handles cryptocurrency data fetching and management
 
+// Set by the service worker on API responses it answers from its cache because the network failed
+const CACHED_AT_HEADER = 'X-Profit-Pulse-Cached-At';
+
+// When a cached response was originally fetched (ms), or null for a fresh one
+function getCachedAt(response) {
+    const value = response.headers && response.headers.get(CACHED_AT_HEADER);
+    return Number(value) || null;
+}
+
 class CoinGeckoService {
     constructor() {
         this.baseURL = 'https://api.coingecko.com/api/v3';
         this.coinList = [];
+        this.searchIndex = new CoinSearchIndex();
         this.coinCache = new Map();
         this.priceCache = new Map();
+        this.historyCache = new Map(); // Past prices never change, so no expiry
         this.cacheDuration = 5 * 60 * 1000; // 5 minutes cache
 
         // Rate limiting
         this.lastRequest = 0;
         this.requestDelay = 1000; // 1 second between requests for free tier
+        this.slotChain = Promise.resolve(); // Requests take turns through this chain
+        this.pausedUntil = 0; // Set by 429/5xx backoff; holds back every queued request
+        this.maxRetries = 3;
+        this.maxRetryDelay = 30 * 1000; // Longer waits give up so other providers can answer
+        this.pendingRequests = 0;
+        this.queueListeners = new Set();
+
+        // Request coalescing
+        this.inFlight = new Map(); // Dedupe key -> promise
+        this.priceBatches = new Map(); // Currency -> Map(coinId -> [{ resolve, reject }])
+        this.maxBatchSize = 50; // Ids per simple/price call, keeps URLs short
+    }
+
+    // Queue status for the UI: requests waiting or running, and when the next retry may go out
+    getQueueStatus() {
+        return {
+            pending: this.pendingRequests,
+            nextRetryAt: this.pausedUntil > Date.now() ? this.pausedUntil : null
+        };
+    }
+
+    // Listener is called with getQueueStatus() whenever it changes; returns an unsubscribe function
+    onQueueChange(listener) {
+        this.queueListeners.add(listener);
+        return () => this.queueListeners.delete(listener);
+    }
+
+    emitQueueStatus() {
+        const status = this.getQueueStatus();
+        this.queueListeners.forEach(listener => listener(status));
+    }
+
+    // Resolves when it is this request's turn, spacing requests and honoring any backoff
+    waitForSlot() {
+        this.slotChain = this.slotChain.then(async () => {
+            const wait = Math.max(this.lastRequest + this.requestDelay, this.pausedUntil) - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            this.lastRequest = Date.now();
+        });
+        return this.slotChain;
+    }
+
+    isRetryable(status) {
+        return status === 429 || status >= 500;
     }
 
-    // Rate limiting helper
+    // Retry-After is either seconds or an HTTP date; otherwise back off 1s, 2s, 4s...
+    getRetryDelay(response, attempt) {
+        const retryAfter = response.headers && response.headers.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delay)) {
+                return Math.max(delay, 0);
+            }
+        }
+        return this.requestDelay * 2 ** attempt;
+    }
+
+    // Rate limiting helper with exponential backoff on 429 and 5xx responses
+    // Network errors are not retried, so offline failover stays quick
     async rateLimitedFetch(url, options = {}) {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequest;
+        this.pendingRequests++;
+        this.emitQueueStatus();
 
-        if (timeSinceLastRequest < this.requestDelay) {
-            await new Promise(resolve =>
-                setTimeout(resolve, this.requestDelay - timeSinceLastRequest)
-            );
+        try {
+            for (let attempt = 0; ; attempt++) {
+                await this.waitForSlot();
+                const response = await fetch(url, options);
+
+                if (!this.isRetryable(response.status) || attempt >= this.maxRetries) {
+                    return response;
+                }
+
+                const delay = this.getRetryDelay(response, attempt);
+                if (delay > this.maxRetryDelay) {
+                    return response;
+                }
+
+                // A rate limit applies to the whole API, not just this request
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                this.emitQueueStatus();
+            }
+        } finally {
+            this.pendingRequests--;
+            this.emitQueueStatus();
         }
+    }
 
-        this.lastRequest = Date.now();
-        return fetch(url, options);
+    // Share one promise between identical requests that overlap in time
+    dedupe(key, request) {
+        if (!this.inFlight.has(key)) {
+            const promise = request().finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, promise);
+        }
+        return this.inFlight.get(key);
     }
 
     // Fetch the list of all cryptocurrencies
-    async fetchCoinList() {
+    fetchCoinList() {
+        return this.dedupe('coinList', () => this.loadCoinList());
+    }
+
+    async loadCoinList() {
         try {
             // Check cache first
             const cachedData = this.coinCache.get('coinList');
             if (cachedData && Date.now() - cachedData.timestamp < this.cacheDuration) {
-                this.coinList = cachedData.data;
+                this.setCoinList(cachedData.data);
                 return this.coinList;
             }
 
-            const response = await this.rateLimitedFetch(`${this.baseURL}/coins/list`);
+            // The full catalogue has no ranking or logos, so merge both in from the top coins' market data
+            const [response, markets] = await Promise.all([
+                this.rateLimitedFetch(`${this.baseURL}/coins/list`),
+                this.fetchMarkets('usd').catch(error => {
+                    console.error('Error fetching market data:', error);
+                    return []; // Search works without it
+                })
+            ]);
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
             const data = await response.json();
+            const marketsById = new Map(markets.map(market => [market.id, market]));
 
-            const majorCoins = [
-                'bitcoin', 'ethereum', 'tether', 'bnb', 'solana', 'xrp', 'usd-coin', 'staked-ether', 'cardano', 'dogecoin',
-                'avalanche-2', 'tron', 'chainlink', 'polygon-ecosystem-token', 'wrapped-bitcoin', 'bitcoin-cash', 'near', 'uniswap', 'internet-computer', 'litecoin',
-                'leo-token', 'dai', 'pepe', 'kaspa', 'ethereum-classic',
-                'monero', 'stellar', 'okb', 'cosmos', 'arbitrum', 'vechain', 'filecoin', 'maker', 'hedera-hashgraph', 'optimism',
-                'injective-protocol', 'lido-dao', 'immutable-x', 'fantom', 'mantle', 'aptos', 'cronos', 'atom', 'algorand', 'thorchain',
-                'sei-network', 'the-sandbox', 'render-token', 'bitcoin-sv', 'blockstack',
-                'flow', 'aave', 'quant-network', 'decentraland', 'elrond-erd-2', 'axie-infinity', 'theta-token', 'tezos', 'bitget-token',
-                'kucoin-shares', 'neo', 'iota', 'chiliz', 'eos', 'pancakeswap-token', 'compound-governance-token',
-                'celsius-degree-token', 'helium', 'the-graph', 'curve-dao-token', 'synthetix-network-token', 'zcash', 'mina-protocol',
-                'dash', 'yearn-finance', 'basic-attention-token', '1inch', 'sushi', 'gala', 'enjincoin', 'loopring', 'amp-token',
-                'waves', 'zilliqa', 'havven', 'ftx-token', 'omisego', 'qtum', 'decred', 'ravencoin', 'nano', 'icon', 'ontology',
-                'verge', 'digibyte', 'bitcoin-gold', 'wax', 'chain-2', 'harmony', 'celo', 'bancor', 'republic-protocol', 'storj',
-                'balancer', 'convex-finance', 'rocket-pool', 'frax', 'gmx', 'looksrare', 'olympus', 'tokenlon', 'marinade',
-                'radix', 'kava', 'secret', 'osmosis', 'terra-luna-2', 'anchor-protocol', 'mirror-protocol',
-                'biswap', 'mdex', 'quickswap', 'honeyswap', 'spookyswap', 'traderjoe', 'platypus-finance', 'pudgy-penguins'
-            ];
-
-            // Separate major coins from others to guarantee major coins are included
-            const majorCoinsList = data.filter(coin => majorCoins.includes(coin.id));
-            const otherCoins = data.filter(coin =>
-                !majorCoins.includes(coin.id) &&
-                coin.name.length < 50 &&
-                coin.name.length >= 2
-            );
+            // Ranked coins first, then the rest alphabetically
+            const coins = data
+                .map(coin => {
+                    const market = marketsById.get(coin.id);
+                    return market ? { ...coin, market_cap_rank: market.market_cap_rank, image: market.image } : coin;
+                })
+                .sort((a, b) =>
+                    (a.market_cap_rank || Infinity) - (b.market_cap_rank || Infinity) ||
+                    a.name.localeCompare(b.name)
+                );
 
-            // Sort each group alphabetically
-            const sortedMajor = majorCoinsList.sort((a, b) => a.name.localeCompare(b.name));
-            const sortedOthers = otherCoins.sort((a, b) => a.name.localeCompare(b.name));
-
-            // Combine: major coins first, then others, then slice to limit performance
-            // This guarantees all major coins are included if they exist in the API response
-            this.coinList = [...sortedMajor, ...sortedOthers].slice(0, 200);
+            this.setCoinList(coins);
 
             // Cache the result
             this.coinCache.set('coinList', {
@@ -94,84 +179,501 @@ class CoinGeckoService {
         }
     }
 
-    // Fetch current price for a specific coin
-    async fetchCoinPrice(coinId) {
+    // Price, 24h change, market cap rank and logo for the top 250 coins by market cap
+    fetchMarkets(currency = 'usd') {
+        const cacheKey = `markets_${currency}`;
+        const cached = this.coinCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+            return Promise.resolve(cached.data);
+        }
+
+        return this.dedupe(cacheKey, () => this.loadMarkets(currency, cacheKey));
+    }
+
+    async loadMarkets(currency, cacheKey) {
+        let data;
+        let cachedAt;
         try {
-            // Check cache first
-            const cacheKey = `price_${coinId}`;
-            const cachedPrice = this.priceCache.get(cacheKey);
-            if (cachedPrice && Date.now() - cachedPrice.timestamp < 30000) { // 30 second cache for prices
-                return cachedPrice.data;
+            const response = await this.rateLimitedFetch(
+                `${this.baseURL}/coins/markets?vs_currency=${currency}&order=market_cap_desc&per_page=250&page=1`
+            );
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            data = await response.json();
+            cachedAt = getCachedAt(response);
+        } catch (error) {
+            console.error('Error fetching market data:', error);
+            throw new Error('Failed to load market data. Please try again.');
+        }
+
+        const markets = data.map(market => ({
+            id: market.id,
+            market_cap_rank: market.market_cap_rank || null,
+            image: market.image || null,
+            price: market.current_price,
+            change24h: market.price_change_percentage_24h || 0,
+            currency
+        }));
+
+        // An offline copy is shown as it is but neither cached nor used as a current price
+        if (cachedAt) {
+            return markets;
+        }
+
+        // The same numbers answer fetchCoinPrice, so picking a listed coin needs no extra request
+        const now = Date.now();
+        markets.forEach(market => {
+            if (typeof market.price === 'number') {
+                this.priceCache.set(`price_${market.id}_${currency}`, {
+                    data: { price: market.price, change24h: market.change24h, currency },
+                    timestamp: now
+                });
             }
+        });
+
+        this.coinCache.set(cacheKey, { data: markets, timestamp: now });
+        return markets;
+    }
+
+    setCoinList(coins) {
+        this.coinList = coins;
+        this.searchIndex = new CoinSearchIndex(coins);
+    }
+
+    // Fetch current price for a specific coin in the given quote currency
+    // Calls made in the same tick are coalesced into one simple/price request per currency
+    async fetchCoinPrice(coinId, currency = 'usd') {
+        // Check cache first
+        const cacheKey = `price_${coinId}_${currency}`;
+        const cachedPrice = this.priceCache.get(cacheKey);
+        if (cachedPrice && Date.now() - cachedPrice.timestamp < 30000) { // 30 second cache for prices
+            return cachedPrice.data;
+        }
+
+        return this.dedupe(cacheKey, () => new Promise((resolve, reject) => {
+            if (!this.priceBatches.has(currency)) {
+                this.priceBatches.set(currency, new Map());
+                setTimeout(() => this.flushPriceBatch(currency), 0);
+            }
+            this.priceBatches.get(currency).set(coinId, { resolve, reject });
+        }));
+    }
+
+    async flushPriceBatch(currency) {
+        const batch = this.priceBatches.get(currency);
+        this.priceBatches.delete(currency);
+
+        const ids = [...batch.keys()];
+        for (let i = 0; i < ids.length; i += this.maxBatchSize) {
+            const chunk = ids.slice(i, i + this.maxBatchSize);
+
+            let data;
+            let cachedAt;
+            try {
+                const response = await this.rateLimitedFetch(
+                    `${this.baseURL}/simple/price?ids=${chunk.map(encodeURIComponent).join(',')}&vs_currencies=${currency}&include_24hr_change=true`
+                );
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                data = await response.json();
+                cachedAt = getCachedAt(response);
+            } catch (error) {
+                console.error('Error fetching coin price:', error);
+                chunk.forEach(coinId => batch.get(coinId).reject(new Error('Failed to load coin price. Please try again.')));
+                continue;
+            }
+
+            chunk.forEach(coinId => {
+                const { resolve, reject } = batch.get(coinId);
+
+                if (!data[coinId] || typeof data[coinId][currency] !== 'number') {
+                    reject(new Error('Coin price not found'));
+                    return;
+                }
+
+                const priceData = {
+                    price: data[coinId][currency],
+                    change24h: data[coinId][`${currency}_24h_change`] || 0,
+                    currency
+                };
+
+                // An offline copy keeps its own age and is never cached as current
+                if (cachedAt) {
+                    Object.assign(priceData, { timestamp: cachedAt, stale: true });
+                } else {
+                    this.priceCache.set(`price_${coinId}_${currency}`, {
+                        data: priceData,
+                        timestamp: Date.now()
+                    });
+                }
+
+                resolve(priceData);
+            });
+        }
+    }
 
+    // Fetch the price of a coin on a past date (YYYY-MM-DD)
+    fetchHistoricalPrice(coinId, date, currency = 'usd') {
+        const cacheKey = `history_${coinId}_${date}_${currency}`;
+        if (this.historyCache.has(cacheKey)) {
+            return Promise.resolve(this.historyCache.get(cacheKey));
+        }
+
+        return this.dedupe(cacheKey, () => this.loadHistoricalPrice(coinId, date, currency, cacheKey));
+    }
+
+    async loadHistoricalPrice(coinId, date, currency, cacheKey) {
+        const [year, month, day] = date.split('-');
+        if (!year || !month || !day) {
+            throw new Error('Invalid purchase date.');
+        }
+
+        let data;
+        try {
+            // CoinGecko expects dd-mm-yyyy for the history endpoint
             const response = await this.rateLimitedFetch(
-                `${this.baseURL}/simple/price?ids=${coinId}&vs_currencies=usd&include_24hr_change=true`
+                `${this.baseURL}/coins/${coinId}/history?date=${day}-${month}-${year}&localization=false`
             );
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
+            data = await response.json();
+        } catch (error) {
+            console.error('Error fetching historical price:', error);
+            throw new Error('Failed to load historical price. Please try again.');
+        }
 
-            if (!data[coinId]) {
-                throw new Error('Coin price not found');
+        // Coins have no market data before they were listed
+        const prices = (data.market_data && data.market_data.current_price) || {};
+        if (typeof prices[currency] !== 'number') {
+            throw new Error('No price data available for that date.');
+        }
+
+        // The day's price comes in every currency, so historical FX lookups cost one request
+        Object.entries(prices).forEach(([priceCurrency, price]) => {
+            if (typeof price === 'number') {
+                this.historyCache.set(`history_${coinId}_${date}_${priceCurrency}`, { price, date, currency: priceCurrency });
             }
+        });
+        return this.historyCache.get(cacheKey);
+    }
 
-            const priceData = {
-                price: data[coinId].usd,
-                change24h: data[coinId].usd_24h_change || 0
-            };
+    // Daily closing prices for the last `days` days, oldest first: [{ time, price }]
+    fetchPriceHistory(coinId, days = 365, currency = 'usd') {
+        const cacheKey = `chart_${coinId}_${days}_${currency}`;
+        const cached = this.coinCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+            return Promise.resolve(cached.data);
+        }
 
-            // Cache the result
-            this.priceCache.set(cacheKey, {
-                data: priceData,
+        return this.dedupe(cacheKey, () => this.loadPriceHistory(coinId, days, currency, cacheKey));
+    }
+
+    async loadPriceHistory(coinId, days, currency, cacheKey) {
+        let data;
+        try {
+            const response = await this.rateLimitedFetch(
+                `${this.baseURL}/coins/${coinId}/market_chart?vs_currency=${currency}&days=${days}&interval=daily`
+            );
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            data = await response.json();
+        } catch (error) {
+            console.error('Error fetching price history:', error);
+            throw new Error('Failed to load price history. Please try again.');
+        }
+
+        const history = (data.prices || [])
+            .filter(([, price]) => typeof price === 'number' && price > 0)
+            .map(([time, price]) => ({ time, price }));
+        if (history.length < 2) {
+            throw new Error('Not enough price history for this coin.');
+        }
+
+        this.coinCache.set(cacheKey, { data: history, timestamp: Date.now() });
+        return history;
+    }
+
+    // Circulating/total/max supply and market cap, for sanity-checking target prices
+    fetchSupply(coinId, currency = 'usd') {
+        const cacheKey = `supply_${coinId}_${currency}`;
+        const cached = this.coinCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
+            return Promise.resolve(cached.data);
+        }
+
+        return this.dedupe(cacheKey, () => this.loadSupply(coinId, currency, cacheKey));
+    }
+
+    async loadSupply(coinId, currency, cacheKey) {
+        let markets;
+        let cachedAt;
+        try {
+            const response = await this.rateLimitedFetch(
+                `${this.baseURL}/coins/markets?vs_currency=${currency}&ids=${coinId}`
+            );
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            markets = await response.json();
+            cachedAt = getCachedAt(response);
+        } catch (error) {
+            console.error('Error fetching supply:', error);
+            throw new Error('Failed to load supply data. Please try again.');
+        }
+
+        const market = Array.isArray(markets) && markets[0];
+        if (!market || !(market.circulating_supply > 0)) {
+            throw new Error('No supply data for this coin.');
+        }
+
+        // CoinGecko reports a missing max supply (uncapped coins) as null
+        const supply = {
+            circulatingSupply: market.circulating_supply,
+            totalSupply: market.total_supply || null,
+            maxSupply: market.max_supply || null,
+            marketCap: market.market_cap || market.circulating_supply * market.current_price,
+            price: market.current_price,
+            currency
+        };
+
+        if (cachedAt) {
+            return { ...supply, timestamp: cachedAt, stale: true };
+        }
+
+        this.coinCache.set(cacheKey, { data: supply, timestamp: Date.now() });
+        return supply;
+    }
+
+    // Fetch BTC-denominated exchange rates for fiat conversion
+    fetchExchangeRates() {
+        return this.dedupe('exchangeRates', () => this.loadExchangeRates());
+    }
+
+    async loadExchangeRates() {
+        try {
+            const cachedRates = this.coinCache.get('exchangeRates');
+            if (cachedRates && Date.now() - cachedRates.timestamp < this.cacheDuration) {
+                return cachedRates.data;
+            }
+
+            const response = await this.rateLimitedFetch(`${this.baseURL}/exchange_rates`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            this.coinCache.set('exchangeRates', {
+                data: data.rates,
                 timestamp: Date.now()
             });
 
-            return priceData;
+            return data.rates;
         } catch (error) {
-            console.error('Error fetching coin price:', error);
-            throw new Error('Failed to load coin price. Please try again.');
+            console.error('Error fetching exchange rates:', error);
+            throw new Error('Failed to load exchange rates. Please try again.');
         }
     }
 
-    // Search coins by symbol or name
-    searchCoins(query) {
-        if (!query || query.length < 1) {
-            return this.coinList.slice(0, 20); // Return top 20 coins if no query
+    // How many units of `to` one unit of `from` buys
+    async getExchangeRate(from, to) {
+        if (from === to) {
+            return 1;
         }
 
-        const searchTerm = query.toLowerCase();
+        const rates = await this.fetchExchangeRates();
+        if (!rates[from] || !rates[to]) {
+            throw new Error(`Unsupported currency: ${rates[from] ? to : from}`);
+        }
 
-        return this.coinList.filter(coin => {
-            return coin.symbol.toLowerCase().includes(searchTerm) ||
-                coin.name.toLowerCase().includes(searchTerm) ||
-                coin.id.toLowerCase().includes(searchTerm);
-        }).slice(0, 50); // Limit results for performance
+        return rates[to].value / rates[from].value;
+    }
+
+    // Search coins by symbol or name, best matches first
+    searchCoins(query) {
+        return this.searchIndex.search(query);
     }
 
     // Get coin by ID
     getCoinById(id) {
-        return this.coinList.find(coin => coin.id === id);
+        return this.searchIndex.getById(id);
+    }
+
+    isDuplicateSymbol(coin) {
+        return this.searchIndex.isDuplicateSymbol(coin);
     }
 
     // Clear caches (useful for manual refresh)
     clearCache() {
         this.coinCache.clear();
         this.priceCache.clear();
+        this.historyCache.clear();
     }
 }
 
+// Ranked search over the coin catalogue, shared by every price service
+// Order: exact symbol, exact name/id, symbol prefix, name/id prefix, substring, then typos;
+// ties go to the higher market cap rank
+class CoinSearchIndex {
+    constructor(coins = []) {
+        this.coins = coins;
+        this.byId = new Map(coins.map(coin => [coin.id, coin]));
+        this.symbolCounts = new Map();
+        this.entries = coins.map(coin => {
+            const symbol = coin.symbol.toLowerCase();
+            this.symbolCounts.set(symbol, (this.symbolCounts.get(symbol) || 0) + 1);
+            return {
+                coin,
+                symbol,
+                name: coin.name.toLowerCase(),
+                id: coin.id.toLowerCase(),
+                rank: coin.market_cap_rank || Infinity
+            };
+        });
+    }
+
+    getById(id) {
+        return this.byId.get(id);
+    }
+
+    // Many tokens reuse popular tickers, so these need more than the symbol to tell apart
+    isDuplicateSymbol(coin) {
+        return (this.symbolCounts.get(coin.symbol.toLowerCase()) || 0) > 1;
+    }
+
+    search(query, limit = Infinity) {
+        const term = (query || '').trim().toLowerCase();
+        if (!term) {
+            return this.coins.slice(0, limit);
+        }
+
+        const matches = [];
+        this.entries.forEach(entry => {
+            const tier = this.matchTier(entry, term);
+            if (tier >= 0) {
+                matches.push({ entry, tier });
+            }
+        });
+
+        return matches
+            .sort((a, b) =>
+                a.tier - b.tier ||
+                a.entry.rank - b.entry.rank ||
+                a.entry.symbol.length - b.entry.symbol.length ||
+                a.entry.name.localeCompare(b.entry.name)
+            )
+            .slice(0, limit)
+            .map(match => match.entry.coin);
+    }
+
+    // Lower is better; -1 means no match
+    matchTier(entry, term) {
+        if (entry.symbol === term) {
+            return 0;
+        }
+        if (entry.name === term || entry.id === term) {
+            return 1;
+        }
+        if (entry.symbol.startsWith(term)) {
+            return 2;
+        }
+        if (entry.name.startsWith(term) || entry.id.startsWith(term) || entry.name.includes(` ${term}`)) {
+            return 3;
+        }
+        if (entry.symbol.includes(term) || entry.name.includes(term) || entry.id.includes(term)) {
+            return 4;
+        }
+        if (term.length >= 3 && this.isFuzzyMatch(entry, term)) {
+            return 5;
+        }
+        return -1;
+    }
+
+    // Allow one typo in short queries and two in longer ones, also against the start of the name
+    isFuzzyMatch(entry, term) {
+        const maxDistance = term.length <= 4 ? 1 : 2;
+        const candidates = [entry.symbol, entry.name, entry.id, entry.name.slice(0, term.length)];
+        return candidates.some(candidate => this.editDistance(candidate, term, maxDistance) <= maxDistance);
+    }
+
+    // Levenshtein distance with adjacent transpositions; stops early once above max
+    // Rows are reused between calls since this runs for every coin on each keystroke
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        const size = b.length + 1;
+        if (!this.rows || this.rows[0].length < size) {
+            this.rows = [new Int32Array(size), new Int32Array(size), new Int32Array(size)];
+        }
+        let [previousRow, row, nextRow] = this.rows;
+
+        for (let j = 0; j < size; j++) {
+            row[j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            nextRow[0] = i;
+            let rowMin = i;
+
+            for (let j = 1; j < size; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) {
+                return max + 1;
+            }
+
+            [previousRow, row, nextRow] = [row, nextRow, previousRow];
+        }
+
+        return row[b.length];
+    }
+}
+
+// Dropdown rows are fixed height so only the visible ones need to be in the DOM
+const DROPDOWN_ROW_HEIGHT = 56;
+const DROPDOWN_SECTION_HEIGHT = 32; // Favorites / Recent / All coins headings
+const DROPDOWN_OVERSCAN = 6;
+
 // Cryptocurrency Dropdown Component
 class CryptocurrencyDropdown {
-    constructor(containerId, onCoinSelect) {
+    constructor(containerId, onCoinSelect, priceService = new CoinGeckoService(), formatter, watchlist = new CoinWatchlist()) {
         this.container = document.getElementById(containerId);
         this.onCoinSelect = onCoinSelect;
-        this.coinGeckoService = new CoinGeckoService();
+        this.priceService = priceService; // Any object with the CoinGeckoService API
+        this.formatter = formatter; // Provides formatPrice, formatPercent in the quote currency
         this.isOpen = false;
         this.selectedCoin = null;
-        this.filteredCoins = [];
+        this.quoteCurrency = 'usd'; // Currency the selection callback's price is quoted in
+        this.markets = new Map(); // Coin id -> { price, change24h, market_cap_rank, image } in quoteCurrency
+        this.watchlist = watchlist; // Favorites and recents pinned above the full list
+        this.rows = []; // { coin } or { section } entries, in display order
+        this.rowOffsets = [0]; // Top of each row in px; the last entry is the total height
         this.highlightedIndex = -1;
 
         this.initializeElements();
@@ -186,6 +688,9 @@ class CryptocurrencyDropdown {
         this.optionsContainer = document.getElementById('dropdown-options');
         this.loadingMessage = document.getElementById('loading-message');
         this.selectedCoinElement = document.getElementById('selected-coin');
+        this.exportButton = document.getElementById('watchlist-export');
+        this.importInput = document.getElementById('watchlist-import');
+        this.watchlistMessage = document.getElementById('watchlist-message');
     }
 
     bindEvents() {
@@ -216,16 +721,100 @@ class CryptocurrencyDropdown {
         this.dropdownContent.addEventListener('click', (e) => {
             e.stopPropagation();
         });
+
+        // Render the rows scrolled into view
+        this.optionsContainer.addEventListener('scroll', () => {
+            if (!this.scrollFrame) {
+                this.scrollFrame = requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.renderVisibleOptions();
+                });
+            }
+        });
+
+        // One delegated listener instead of one per row, since rows are recycled
+        this.optionsContainer.addEventListener('click', (e) => {
+            const option = e.target.closest('.dropdown-option');
+            if (!option) {
+                return;
+            }
+
+            const { coin } = this.rows[Number(option.dataset.index)];
+            if (e.target.closest('.option-star')) {
+                this.toggleFavorite(coin);
+            } else {
+                this.selectCoin(coin);
+            }
+        });
+
+        this.optionsContainer.addEventListener('mouseover', (e) => {
+            const option = e.target.closest('.dropdown-option');
+            if (option && Number(option.dataset.index) !== this.highlightedIndex) {
+                this.highlightedIndex = Number(option.dataset.index);
+                this.updateHighlight(false);
+            }
+        });
+
+        this.exportButton.addEventListener('click', () => {
+            this.exportWatchlist();
+        });
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            if (file) {
+                this.importWatchlist(file);
+            }
+        });
     }
 
     async loadCoins() {
         try {
-            await this.coinGeckoService.fetchCoinList();
-            this.filteredCoins = this.coinGeckoService.searchCoins('');
+            await this.priceService.fetchCoinList();
+            this.buildRows('');
             this.hideLoading();
             this.renderOptions();
         } catch (error) {
             this.showError(error.message);
+            return;
+        }
+
+        this.loadMarkets();
+    }
+
+    // Prices and 24h changes fill in once they arrive; rows work without them
+    async loadMarkets() {
+        const currency = this.quoteCurrency;
+        try {
+            const markets = await this.priceService.fetchMarkets(currency);
+            if (currency !== this.quoteCurrency) {
+                return;
+            }
+
+            markets.forEach(market => this.markets.set(market.id, market));
+            this.refreshMarketData();
+        } catch (error) {
+            console.error('Error loading market data:', error);
+        }
+    }
+
+    // Prices in the list and header are quoted in this currency
+    setQuoteCurrency(currency) {
+        if (currency === this.quoteCurrency) {
+            return;
+        }
+
+        this.quoteCurrency = currency;
+        this.markets = new Map();
+        this.refreshMarketData();
+        this.loadMarkets();
+    }
+
+    // Redraw the visible rows and the header with the current market data
+    refreshMarketData() {
+        this.renderedRange = null;
+        this.renderVisibleOptions();
+        if (this.selectedCoin) {
+            this.updateSelectedDisplay(this.selectedCoin);
         }
     }
 
@@ -250,21 +839,122 @@ class CryptocurrencyDropdown {
         this.dropdownSelected.classList.remove('active');
         this.dropdownContent.classList.remove('open');
         this.searchInput.value = '';
-        this.filteredCoins = this.coinGeckoService.searchCoins('');
+        this.buildRows('');
         this.renderOptions();
         this.highlightedIndex = -1;
     }
 
     handleSearch(query) {
-        this.filteredCoins = this.coinGeckoService.searchCoins(query);
-        this.renderOptions();
+        this.buildRows(query);
         this.highlightedIndex = -1;
+        this.renderOptions();
 
-        if (this.filteredCoins.length === 0 && query) {
+        if (this.rows.length === 0 && query) {
             this.showNoResults();
         }
     }
 
+    // Search results as they are; an empty search pins favorites and recents above every coin
+    buildRows(query) {
+        const coins = this.priceService.searchCoins(query);
+        const rows = [];
+
+        if (!query.trim()) {
+            // Stored entries stand in for coins missing from the current list (e.g. offline)
+            const resolve = (entry) => this.priceService.getCoinById(entry.id) || entry;
+            const favorites = this.watchlist.getFavorites().map(resolve);
+            const recents = this.watchlist.getRecents()
+                .filter(entry => !this.watchlist.isFavorite(entry.id))
+                .map(resolve);
+
+            [['Favorites', favorites], ['Recent', recents]].forEach(([section, pinned]) => {
+                if (pinned.length > 0) {
+                    rows.push({ section }, ...pinned.map(coin => ({ coin })));
+                }
+            });
+            if (rows.length > 0 && coins.length > 0) {
+                rows.push({ section: 'All coins' });
+            }
+        }
+
+        coins.forEach(coin => rows.push({ coin }));
+
+        const offsets = new Float64Array(rows.length + 1);
+        rows.forEach((row, index) => {
+            offsets[index + 1] = offsets[index] + (row.section ? DROPDOWN_SECTION_HEIGHT : DROPDOWN_ROW_HEIGHT);
+        });
+
+        this.rows = rows;
+        this.rowOffsets = offsets;
+    }
+
+    // Index of the row at a vertical position in the list
+    rowAt(offset) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.rowOffsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    toggleFavorite(coin) {
+        this.watchlist.toggleFavorite(coin);
+
+        // Pinned sections change with the search box empty; otherwise only the stars do
+        if (!this.searchInput.value.trim()) {
+            const highlighted = this.rows[this.highlightedIndex];
+            this.buildRows('');
+            this.highlightedIndex = highlighted ?
+                this.rows.findIndex(row => row.coin && row.coin.id === highlighted.coin.id) :
+                -1;
+            this.renderOptions(true);
+        } else {
+            this.renderedRange = null;
+            this.renderVisibleOptions();
+        }
+    }
+
+    exportWatchlist() {
+        const json = JSON.stringify(this.watchlist.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'profit-pulse-watchlist.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    async importWatchlist(file) {
+        try {
+            const added = this.watchlist.import(await file.text());
+            this.showWatchlistMessage(`Imported ${added.favorites} favorite(s) and ${added.recents} recent coin(s)`);
+            if (!this.searchInput.value.trim()) {
+                this.buildRows('');
+                this.renderOptions();
+            }
+        } catch (error) {
+            console.error('Error importing watchlist:', error);
+            this.showWatchlistMessage(error.message, true);
+        }
+
+        // Allow re-selecting the same file
+        this.importInput.value = '';
+    }
+
+    showWatchlistMessage(message, isError = false) {
+        this.watchlistMessage.textContent = message;
+        this.watchlistMessage.classList.toggle('error', isError);
+    }
+
     handleKeyNavigation(e) {
         switch (e.key) {
             case 'ArrowDown':
@@ -278,7 +968,7 @@ class CryptocurrencyDropdown {
             case 'Enter':
                 e.preventDefault();
                 if (this.highlightedIndex >= 0) {
-                    this.selectCoin(this.filteredCoins[this.highlightedIndex]);
+                    this.selectCoin(this.rows[this.highlightedIndex].coin);
                 }
                 break;
             case 'Escape':
@@ -287,39 +977,64 @@ class CryptocurrencyDropdown {
         }
     }
 
+    // Section headings are skipped
     highlightNext() {
-        this.highlightedIndex = Math.min(this.highlightedIndex + 1, this.filteredCoins.length - 1);
+        let index = this.highlightedIndex + 1;
+        while (index < this.rows.length && this.rows[index].section) {
+            index++;
+        }
+        if (index < this.rows.length) {
+            this.highlightedIndex = index;
+        }
         this.updateHighlight();
     }
 
     highlightPrevious() {
-        this.highlightedIndex = Math.max(this.highlightedIndex - 1, -1);
+        let index = this.highlightedIndex - 1;
+        while (index >= 0 && this.rows[index].section) {
+            index--;
+        }
+        this.highlightedIndex = Math.max(index, -1);
         this.updateHighlight();
     }
 
-    updateHighlight() {
-        const options = this.optionsContainer.querySelectorAll('.dropdown-option');
-        options.forEach((option, index) => {
-            option.classList.toggle('highlighted', index === this.highlightedIndex);
-        });
-
-        // Scroll highlighted option into view
-        if (this.highlightedIndex >= 0) {
-            const highlightedOption = options[this.highlightedIndex];
-            if (highlightedOption) {
-                highlightedOption.scrollIntoView({ block: 'nearest' });
+    updateHighlight(scrollIntoView = true) {
+        // Scroll highlighted option into view; it may not be rendered yet
+        if (scrollIntoView && this.highlightedIndex >= 0) {
+            const top = this.rowOffsets[this.highlightedIndex];
+            const container = this.optionsContainer;
+            if (top < container.scrollTop) {
+                // Bring the section heading along for the first coin of a section
+                const previous = this.rows[this.highlightedIndex - 1];
+                container.scrollTop = previous && previous.section ? this.rowOffsets[this.highlightedIndex - 1] : top;
+            } else if (top + DROPDOWN_ROW_HEIGHT > container.scrollTop + container.clientHeight) {
+                container.scrollTop = top + DROPDOWN_ROW_HEIGHT - container.clientHeight;
             }
         }
+
+        this.optionsContainer.querySelectorAll('.dropdown-option').forEach(option => {
+            option.classList.toggle('highlighted', Number(option.dataset.index) === this.highlightedIndex);
+        });
     }
 
     async selectCoin(coin) {
         this.selectedCoin = coin;
+        this.watchlist.addRecent(coin);
         this.updateSelectedDisplay(coin);
         this.closeDropdown();
 
         // Fetch current price
         try {
-            const priceData = await this.coinGeckoService.fetchCoinPrice(coin.id);
+            const priceData = await this.priceService.fetchCoinPrice(coin.id, this.quoteCurrency);
+
+            // Coins outside the top list get their header price and change from here
+            if (priceData.currency === this.quoteCurrency) {
+                this.markets.set(coin.id, { ...this.markets.get(coin.id), price: priceData.price, change24h: priceData.change24h });
+                if (coin === this.selectedCoin) {
+                    this.updateSelectedDisplay(coin);
+                }
+            }
+
             if (this.onCoinSelect) {
                 this.onCoinSelect(coin, priceData);
             }
@@ -333,41 +1048,143 @@ class CryptocurrencyDropdown {
     }
 
     updateSelectedDisplay(coin) {
-        const symbolElement = this.selectedCoinElement.querySelector('.coin-symbol');
-        const nameElement = this.selectedCoinElement.querySelector('.coin-name');
+        const element = this.selectedCoinElement;
+        const details = this.getCoinDetails(coin);
+
+        element.querySelector('.coin-symbol').textContent = coin.symbol.toUpperCase();
+        element.querySelector('.coin-name').textContent = coin.name;
+        element.querySelector('.coin-rank').textContent = details.rank ? `#${details.rank}` : '';
+        this.setIcon(element.querySelector('.coin-icon'), details.image);
+        this.setMarketText(element.querySelector('.coin-price'), element.querySelector('.coin-change'), details);
+    }
+
+    // Rank and logo come with the coin list; price and change with the market data
+    getCoinDetails(coin) {
+        const market = this.markets.get(coin.id) || {};
+        return {
+            rank: coin.market_cap_rank || market.market_cap_rank || null,
+            image: coin.image || market.image || null,
+            price: market.price,
+            change24h: market.change24h
+        };
+    }
+
+    setIcon(image, url) {
+        if (url) {
+            image.src = url;
+        } else {
+            image.removeAttribute('src');
+        }
+        image.classList.toggle('hidden', !url);
+        image.onerror = () => image.classList.add('hidden'); // Broken logos disappear instead of showing an icon
+    }
 
-        symbolElement.textContent = coin.symbol.toUpperCase();
-        nameElement.textContent = coin.name;
+    setMarketText(priceElement, changeElement, details) {
+        const hasPrice = typeof details.price === 'number' && this.formatter;
+        priceElement.textContent = hasPrice ? this.formatter.formatPrice(details.price) : '';
+        changeElement.textContent = hasPrice && typeof details.change24h === 'number' ?
+            this.formatter.formatPercent(details.change24h) :
+            '';
+        changeElement.classList.toggle('positive', hasPrice && details.change24h > 0);
+        changeElement.classList.toggle('negative', hasPrice && details.change24h < 0);
     }
 
-    renderOptions() {
-        if (this.filteredCoins.length === 0) {
+    // Builds the scroll area for the whole result list; rows are filled in by renderVisibleOptions
+    renderOptions(keepScroll = false) {
+        if (this.rows.length === 0) {
             return;
         }
 
-        this.optionsContainer.innerHTML = '';
+        const scrollTop = this.optionsContainer.scrollTop;
+        this.optionsContainer.innerHTML = `
+            <div class="options-spacer" style="height: ${this.rowOffsets[this.rows.length]}px">
+                <div class="options-window"></div>
+            </div>
+        `;
+        this.optionsWindow = this.optionsContainer.querySelector('.options-window');
+        this.renderedRange = null;
+        this.optionsContainer.scrollTop = keepScroll ? scrollTop : 0;
+        this.renderVisibleOptions();
+    }
 
-        this.filteredCoins.forEach((coin, index) => {
-            const option = document.createElement('div');
-            option.className = 'dropdown-option';
-            option.innerHTML = `
-                <div class="option-info">
-                    <span class="option-symbol">${coin.symbol.toUpperCase()}</span>
-                    <span class="option-name">${coin.name}</span>
-                </div>
-            `;
+    renderVisibleOptions() {
+        if (!this.optionsWindow || !this.optionsContainer.contains(this.optionsWindow)) {
+            return;
+        }
 
-            option.addEventListener('click', () => {
-                this.selectCoin(coin);
-            });
+        // Fall back to the CSS max height while the dropdown is closed and has no layout
+        const viewHeight = this.optionsContainer.clientHeight || 300;
+        const scrollTop = this.optionsContainer.scrollTop;
+        const first = Math.max(0, this.rowAt(scrollTop) - DROPDOWN_OVERSCAN);
+        const last = Math.min(this.rows.length, this.rowAt(scrollTop + viewHeight) + 1 + DROPDOWN_OVERSCAN);
 
-            option.addEventListener('mouseenter', () => {
-                this.highlightedIndex = index;
-                this.updateHighlight();
-            });
+        if (this.renderedRange && this.renderedRange[0] === first && this.renderedRange[1] === last) {
+            return;
+        }
+        this.renderedRange = [first, last];
 
-            this.optionsContainer.appendChild(option);
-        });
+        const fragment = document.createDocumentFragment();
+        for (let index = first; index < last; index++) {
+            const row = this.rows[index];
+            fragment.appendChild(row.section ? this.renderSection(row.section) : this.renderOption(row.coin, index));
+        }
+
+        this.optionsWindow.style.transform = `translateY(${this.rowOffsets[first]}px)`;
+        this.optionsWindow.replaceChildren(fragment);
+    }
+
+    renderSection(label) {
+        const section = document.createElement('div');
+        section.className = 'dropdown-section';
+        section.textContent = label;
+        return section;
+    }
+
+    renderOption(coin, index) {
+        const option = document.createElement('div');
+        option.className = 'dropdown-option';
+        option.classList.toggle('highlighted', index === this.highlightedIndex);
+        option.dataset.index = index;
+        option.innerHTML = `
+            <img class="option-icon" alt="" width="24" height="24" loading="lazy">
+            <div class="option-info">
+                <span class="option-title">
+                    <span class="option-symbol"></span>
+                    <span class="option-rank"></span>
+                </span>
+                <span class="option-name"></span>
+            </div>
+            <div class="option-market">
+                <span class="option-price"></span>
+                <span class="option-change"></span>
+            </div>
+            <button type="button" class="option-star"></button>
+        `;
+
+        // Coin names come from the API, so set them as text rather than markup
+        const details = this.getCoinDetails(coin);
+        option.querySelector('.option-symbol').textContent = coin.symbol.toUpperCase();
+        option.querySelector('.option-name').textContent = coin.name;
+        option.querySelector('.option-rank').textContent = details.rank ? `#${details.rank}` : '';
+        this.setIcon(option.querySelector('.option-icon'), details.image);
+        this.setMarketText(option.querySelector('.option-price'), option.querySelector('.option-change'), details);
+
+        const starred = this.watchlist.isFavorite(coin.id);
+        const star = option.querySelector('.option-star');
+        star.textContent = starred ? '★' : '☆';
+        star.classList.toggle('starred', starred);
+        star.setAttribute('aria-pressed', String(starred));
+        star.setAttribute('aria-label', `${starred ? 'Remove' : 'Add'} ${coin.symbol.toUpperCase()} ${starred ? 'from' : 'to'} favorites`);
+
+        // Shared tickers also show the coin id, which is unique
+        if (this.priceService.isDuplicateSymbol(coin)) {
+            const id = document.createElement('span');
+            id.className = 'option-id';
+            id.textContent = coin.id;
+            option.querySelector('.option-name').append(' · ', id);
+        }
+
+        return option;
     }
 
     hideLoading() {
@@ -398,14 +1215,23 @@ class CryptocurrencyDropdown {
         return this.selectedCoin;
     }
 
+    // Public method to show a coin as selected without fetching its price
+    // or notifying the calculator (used when restoring saved state)
+    setSelectedCoin(coin) {
+        this.selectedCoin = coin;
+        this.updateSelectedDisplay(coin);
+    }
+
     // Public method to reset selection
     reset() {
         this.selectedCoin = null;
-        const symbolElement = this.selectedCoinElement.querySelector('.coin-symbol');
-        const nameElement = this.selectedCoinElement.querySelector('.coin-name');
+        const element = this.selectedCoinElement;
 
-        symbolElement.textContent = 'Select coin...';
-        nameElement.textContent = '';
+        element.querySelector('.coin-symbol').textContent = 'Select coin...';
+        element.querySelector('.coin-name').textContent = '';
+        element.querySelector('.coin-rank').textContent = '';
+        this.setIcon(element.querySelector('.coin-icon'), null);
+        this.setMarketText(element.querySelector('.coin-price'), element.querySelector('.coin-change'), {});
 
         this.closeDropdown();
     }
@@ -413,5 +1239,5 @@ class CryptocurrencyDropdown {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CoinGeckoService, CryptocurrencyDropdown };
+    module.exports = { CoinGeckoService, CoinSearchIndex, CryptocurrencyDropdown, CACHED_AT_HEADER, getCachedAt };
 }
\ No newline at end of file
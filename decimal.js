@@ -0,0 +1,127 @@
+// Decimal arithmetic for Profit Pulse
+// Fixed-point BigInt numbers, so sub-cent prices and quadrillion-token supplies keep every digit
+
+const DECIMAL_SCALE = 36; // Fractional digits carried through every operation
+const DECIMAL_FACTOR = 10n ** BigInt(DECIMAL_SCALE);
+const INPUT_SIGNIFICANT_DIGITS = 12; // Digits written back into input fields
+
+class Decimal {
+    // units: the value × 10^DECIMAL_SCALE as a BigInt
+    constructor(units) {
+        this.units = units;
+    }
+
+    // Accepts numbers, numeric strings (including exponents such as "1e-8") and Decimals
+    static from(value) {
+        if (value instanceof Decimal) {
+            return value;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new Error(`Not a finite number: ${value}`);
+        }
+
+        // String(number) is the shortest text that round-trips, i.e. the digits the user typed
+        const match = String(value).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Not a number: ${value}`);
+        }
+
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        const shift = DECIMAL_SCALE - fraction.length + Number(exponent);
+        let units = BigInt(`${whole || '0'}${fraction}`);
+
+        if (shift >= 0) {
+            units *= 10n ** BigInt(shift);
+        } else {
+            units = Decimal.roundDivide(units, 10n ** BigInt(-shift));
+        }
+        return new Decimal(sign === '-' ? -units : units);
+    }
+
+    // Integer division rounding half away from zero
+    static roundDivide(numerator, denominator) {
+        const negative = (numerator < 0n) !== (denominator < 0n);
+        const n = numerator < 0n ? -numerator : numerator;
+        const d = denominator < 0n ? -denominator : denominator;
+        const quotient = (n + d / 2n) / d;
+        return negative ? -quotient : quotient;
+    }
+
+    static max(a, b) {
+        return Decimal.from(a).compare(b) >= 0 ? Decimal.from(a) : Decimal.from(b);
+    }
+
+    plus(other) {
+        return new Decimal(this.units + Decimal.from(other).units);
+    }
+
+    minus(other) {
+        return new Decimal(this.units - Decimal.from(other).units);
+    }
+
+    times(other) {
+        return new Decimal(Decimal.roundDivide(this.units * Decimal.from(other).units, DECIMAL_FACTOR));
+    }
+
+    dividedBy(other) {
+        const divisor = Decimal.from(other).units;
+        if (divisor === 0n) {
+            throw new Error('Division by zero');
+        }
+        return new Decimal(Decimal.roundDivide(this.units * DECIMAL_FACTOR, divisor));
+    }
+
+    compare(other) {
+        const units = Decimal.from(other).units;
+        return this.units > units ? 1 : this.units < units ? -1 : 0;
+    }
+
+    isZero() {
+        return this.units === 0n;
+    }
+
+    isPositive() {
+        return this.units > 0n;
+    }
+
+    // Plain (never exponential) notation, trailing zeros dropped
+    toString() {
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString().padStart(DECIMAL_SCALE + 1, '0');
+        const whole = digits.slice(0, -DECIMAL_SCALE);
+        const fraction = digits.slice(-DECIMAL_SCALE).replace(/0+$/, '');
+        return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    // Rounded to `digits` significant digits, still in plain notation
+    toSignificant(digits) {
+        if (this.isZero()) {
+            return '0';
+        }
+
+        const negative = this.units < 0n;
+        const magnitude = (negative ? -this.units : this.units).toString().length;
+        const drop = magnitude - digits;
+        if (drop <= 0) {
+            return this.toString();
+        }
+
+        const unit = 10n ** BigInt(drop);
+        return new Decimal(Decimal.roundDivide(this.units, unit) * unit).toString();
+    }
+}
+
+// Text for an input field: significant digits rather than a fixed number of decimals,
+// so 0.0000123456 stays 0.0000123456 instead of 0.000012
+function toInputValue(value, digits = INPUT_SIGNIFICANT_DIGITS) {
+    return Number.isFinite(value) ? Decimal.from(value).toSignificant(digits) : '';
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Decimal, toInputValue, DECIMAL_SCALE, INPUT_SIGNIFICANT_DIGITS };
+}
@@ -0,0 +1,261 @@
+// Exit Planner for Profit Pulse
+// Staged take-profit sells on top of the calculated position, with a stop-loss worst case
+
+// Plan arithmetic (no DOM access)
+class ExitPlanEngine {
+    // computeFee(fee, amount) -> fee charged on a sale of that size
+    constructor(computeFee) {
+        this.computeFee = computeFee;
+    }
+
+    // Net proceeds of selling tokens at price, after slippage and the sell fee
+    sell(tokens, price, fees) {
+        if (!(tokens > 0) || !(price > 0)) {
+            return 0;
+        }
+
+        const gross = tokens * price * (1 - fees.slippage / 100);
+        return Math.max(gross - this.computeFee(fees.sellFee, gross), 0);
+    }
+
+    // position: { tokensOwned, investment, targetPrice, fees }
+    // tranches: [{ percent, price }] as a share of the tokens owned; sold lowest price first
+    plan(position, tranches, stopPrice = 0) {
+        const { tokensOwned, investment, targetPrice, fees } = position;
+        const valid = tranches
+            .filter(tranche => tranche.percent > 0 && tranche.price > 0)
+            .sort((a, b) => a.price - b.price);
+
+        let remainingTokens = tokensOwned;
+        let soldTokens = 0;
+        let grossSold = 0;
+        const steps = [];
+
+        valid.forEach(tranche => {
+            // Later tranches shrink if the percentages add up to more than 100%
+            const tokens = Math.min(tokensOwned * tranche.percent / 100, remainingTokens);
+            const proceeds = this.sell(tokens, tranche.price, fees);
+
+            remainingTokens -= tokens;
+            soldTokens += tokens;
+            grossSold += tokens * tranche.price;
+            steps.push({ ...tranche, tokens, proceeds, remainingTokens });
+        });
+
+        const realizedProceeds = steps.reduce((sum, step) => sum + step.proceeds, 0);
+        const soldShare = tokensOwned > 0 ? soldTokens / tokensOwned : 0;
+        const remainingValue = this.sell(remainingTokens, targetPrice, fees);
+
+        const result = {
+            steps,
+            soldTokens,
+            remainingTokens,
+            blendedExitPrice: soldTokens > 0 ? grossSold / soldTokens : null,
+            realizedProceeds,
+            // Cost basis is split pro rata over the tokens sold
+            realizedProfitLoss: realizedProceeds - investment * soldShare,
+            remainingValue,
+            totalProfitLoss: realizedProceeds + remainingValue - investment,
+            isOverAllocated: valid.reduce((sum, tranche) => sum + tranche.percent, 0) > 100,
+            stopLoss: null
+        };
+
+        if (stopPrice > 0) {
+            result.stopLoss = {
+                price: stopPrice,
+                // The stop fills before any tranche: everything goes at the stop price
+                worstCase: this.sell(tokensOwned, stopPrice, fees) - investment,
+                // Every tranche fills, then the stop takes out what was held back
+                afterPlan: realizedProceeds + this.sell(remainingTokens, stopPrice, fees) - investment,
+                isAboveTranche: valid.length > 0 && stopPrice >= valid[0].price
+            };
+        }
+
+        return result;
+    }
+}
+
+// Tranche editor and plan summary
+class ExitPlanView {
+    constructor(containerId, formatter, computeFee) {
+        this.container = document.getElementById(containerId);
+        this.formatter = formatter; // Provides formatTokens, formatPrice, formatCurrency
+        this.engine = new ExitPlanEngine(computeFee);
+        this.tranches = [];
+        this.nextId = 1;
+        this.position = null;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.renderTranches();
+    }
+
+    initializeElements() {
+        this.trancheList = document.getElementById('tranche-list');
+        this.addButton = document.getElementById('add-tranche');
+        this.stopInput = document.getElementById('stop-loss');
+        this.results = document.getElementById('exit-plan-results');
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            this.addTranche();
+        });
+
+        // Rows are re-rendered on add/remove, so listen on the list
+        this.trancheList.addEventListener('input', (e) => {
+            const row = e.target.closest('.tranche-row');
+            const tranche = row && this.tranches.find(item => item.id === Number(row.dataset.trancheId));
+            if (tranche && e.target.dataset.field) {
+                const value = parseFloat(e.target.value);
+                tranche[e.target.dataset.field] = Number.isFinite(value) && value > 0 ? value : 0;
+                this.renderResults();
+            }
+        });
+
+        this.trancheList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.lot-remove');
+            if (removeButton) {
+                this.tranches = this.tranches.filter(item => item.id !== Number(removeButton.dataset.trancheId));
+                this.renderTranches();
+                this.renderResults();
+            }
+        });
+
+        this.stopInput.addEventListener('input', () => {
+            this.renderResults();
+        });
+    }
+
+    // New tranches default to a quarter of the position at the target price
+    addTranche(tranche = {}) {
+        const target = this.position ? this.position.targetPrice : 0;
+        this.tranches.push({
+            id: this.nextId++,
+            percent: tranche.percent || 25,
+            price: tranche.price || (target > 0 ? Number(toInputValue(target)) : 0)
+        });
+        this.renderTranches();
+        this.renderResults();
+    }
+
+    // Keep the plan in the same currency as the calculator
+    scalePrices(rate) {
+        this.tranches.forEach(tranche => {
+            tranche.price = Number(toInputValue(tranche.price * rate));
+        });
+
+        const stop = parseFloat(this.stopInput.value);
+        if (Number.isFinite(stop)) {
+            this.stopInput.value = toInputValue(stop * rate);
+        }
+        this.renderTranches();
+    }
+
+    // position: { tokensOwned, investment, targetPrice, fees } in the quote currency
+    update(position) {
+        this.position = position;
+        this.renderResults();
+    }
+
+    renderTranches() {
+        if (this.tranches.length === 0) {
+            this.trancheList.innerHTML = `
+                <div class="lot-empty">
+                    No tranches yet. Everything is held to the target price.
+                </div>
+            `;
+            return;
+        }
+
+        this.trancheList.innerHTML = '';
+        this.tranches.forEach((tranche, index) => {
+            const row = document.createElement('div');
+            row.className = 'tranche-row';
+            row.dataset.trancheId = tranche.id;
+            row.innerHTML = `
+                <span class="lot-title">Sell</span>
+                <input type="number" class="input-field" data-field="percent" value="${tranche.percent || ''}" placeholder="%" min="0" max="100" step="any" aria-label="Tranche ${index + 1} percent">
+                <span class="lot-title">% at</span>
+                <input type="number" class="input-field" data-field="price" value="${tranche.price ? toInputValue(tranche.price) : ''}" placeholder="Price" min="0" step="any" aria-label="Tranche ${index + 1} price">
+                <button type="button" class="lot-remove" data-tranche-id="${tranche.id}" aria-label="Remove tranche ${index + 1}">×</button>
+            `;
+            this.trancheList.appendChild(row);
+        });
+    }
+
+    renderResults() {
+        if (!this.position || !(this.position.tokensOwned > 0)) {
+            this.results.innerHTML = '';
+            return;
+        }
+
+        const format = this.formatter;
+        const stopPrice = parseFloat(this.stopInput.value) || 0;
+        const plan = this.engine.plan(this.position, this.tranches, stopPrice);
+
+        const item = (label, value, output) => `
+            <div class="output-item">
+                <span class="output-label">${label}</span>
+                <span class="output-value${output ? ' profit-loss-value' : ''}"${output ? ` data-output="${output}"` : ''}>${value}</span>
+            </div>
+        `;
+
+        const stepRows = plan.steps.map(step => `
+            <tr>
+                <td>${format.formatPrice(step.price)}</td>
+                <td>${format.formatTokens(step.tokens)}</td>
+                <td>${format.formatCurrency(step.proceeds)}</td>
+                <td>${format.formatTokens(step.remainingTokens)}</td>
+            </tr>
+        `).join('');
+
+        this.results.innerHTML = `
+            ${plan.steps.length > 0 ? `
+                <table class="report-table">
+                    <thead>
+                        <tr>
+                            <th>Sell at</th>
+                            <th>Tokens</th>
+                            <th>Proceeds</th>
+                            <th>Left</th>
+                        </tr>
+                    </thead>
+                    <tbody>${stepRows}</tbody>
+                </table>
+            ` : ''}
+            ${plan.isOverAllocated ? '<span class="input-hint error">Tranches add up to more than 100%; the last ones are reduced.</span>' : ''}
+            ${item('Tokens Remaining', format.formatTokens(plan.remainingTokens))}
+            ${item('Blended Exit Price', plan.blendedExitPrice === null ? '—' : format.formatPrice(plan.blendedExitPrice))}
+            ${item('Realized Proceeds', format.formatCurrency(plan.realizedProceeds))}
+            ${item('Realized P/L', '', 'realized')}
+            ${item('Remaining Value at Target', format.formatCurrency(plan.remainingValue))}
+            ${item('Total P/L', '', 'total')}
+            ${plan.stopLoss ? `
+                ${item('Stop Hit First (worst case)', '', 'worst-case')}
+                ${item('Stop Hit After All Tranches', '', 'after-plan')}
+                ${plan.stopLoss.isAboveTranche ? '<span class="input-hint error">The stop is above the first tranche, so it would trigger first.</span>' : ''}
+            ` : ''}
+        `;
+
+        const setProfitLoss = (name, amount) => {
+            const element = this.results.querySelector(`[data-output="${name}"]`);
+            if (element) {
+                element.textContent = format.formatCurrency(amount, true);
+                element.classList.add(amount > 0 ? 'positive' : amount < 0 ? 'negative' : 'neutral');
+            }
+        };
+
+        setProfitLoss('realized', plan.realizedProfitLoss);
+        setProfitLoss('total', plan.totalProfitLoss);
+        if (plan.stopLoss) {
+            setProfitLoss('worst-case', plan.stopLoss.worstCase);
+            setProfitLoss('after-plan', plan.stopLoss.afterPlan);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExitPlanEngine, ExitPlanView };
+}
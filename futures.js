@@ -0,0 +1,268 @@
+// Leveraged Futures for Profit Pulse
+// Linear (quote-margined) perpetual positions with isolated margin, liquidation and funding
+
+const FUNDING_INTERVALS_PER_DAY = 3; // Most perpetual venues settle funding every 8 hours
+const MAX_LEVERAGE = 125;
+
+// Position arithmetic (no DOM access)
+class FuturesEngine {
+    // computeFee(fee, amount) -> fee charged on a trade of that notional
+    constructor(computeFee) {
+        this.computeFee = computeFee;
+    }
+
+    // Venues offer 1x up to MAX_LEVERAGE; a blank or unreadable entry means 1x
+    clampLeverage(leverage) {
+        return Number.isFinite(leverage) ? Math.min(Math.max(leverage, 1), MAX_LEVERAGE) : 1;
+    }
+
+    // Price at which the isolated margin, less funding paid, falls to the maintenance margin:
+    //   long:  margin + qty × (P − entry) − funding = mmr × qty × P
+    //   short: margin + qty × (entry − P) − funding = mmr × qty × P
+    liquidationPrice(direction, entryPrice, quantity, margin, maintenanceRate, fundingPaid = 0) {
+        if (!(quantity > 0)) {
+            return null;
+        }
+
+        const equity = margin - fundingPaid;
+        const price = direction === 'short' ?
+            (quantity * entryPrice + equity) / (quantity * (1 + maintenanceRate)) :
+            (quantity * entryPrice - equity) / (quantity * (1 - maintenanceRate));
+
+        // A long with leverage of 1x (or less) can't be liquidated before the price hits zero
+        return price > 0 ? price : null;
+    }
+
+    // position: { direction, margin, leverage, entryPrice, targetPrice, maintenanceRate (%),
+    //             fundingRate (% per interval), days, fees }
+    evaluate(position) {
+        const { direction, margin, leverage, entryPrice, targetPrice, days, fees } = position;
+        const maintenanceRate = position.maintenanceRate / 100;
+        const side = direction === 'short' ? -1 : 1;
+
+        const notional = margin * leverage;
+        const quantity = entryPrice > 0 ? notional / entryPrice : 0;
+
+        // Positive funding is paid by longs to shorts; charged on the entry notional
+        const intervals = Math.max(days, 0) * FUNDING_INTERVALS_PER_DAY;
+        const fundingPaid = side * notional * position.fundingRate / 100 * intervals;
+
+        const openFee = this.computeFee(fees.buyFee, notional);
+        const closeFee = targetPrice > 0 ? this.computeFee(fees.sellFee, quantity * targetPrice) : 0;
+
+        const liquidationPrice = this.liquidationPrice(direction, entryPrice, quantity, margin, maintenanceRate);
+        const liquidationAfterFunding = this.liquidationPrice(
+            direction, entryPrice, quantity, margin, maintenanceRate, fundingPaid
+        );
+
+        const crosses = (price) => price !== null && targetPrice > 0 &&
+            (direction === 'short' ? targetPrice >= price : targetPrice <= price);
+
+        // Funding alone can eat the whole margin before the holding period ends
+        const isFundingWipeout = fundingPaid >= margin;
+        const isLiquidated = isFundingWipeout || crosses(liquidationPrice) || crosses(liquidationAfterFunding);
+
+        const priceProfitLoss = side * quantity * (targetPrice - entryPrice);
+        const profitLoss = isLiquidated ?
+            -margin - openFee : // Isolated margin caps the loss at the margin posted
+            priceProfitLoss - fundingPaid - openFee - closeFee;
+
+        return {
+            notional,
+            quantity,
+            fundingPaid,
+            fees: openFee + (isLiquidated ? 0 : closeFee),
+            liquidationPrice,
+            liquidationAfterFunding,
+            isLiquidated,
+            isFundingWipeout,
+            priceProfitLoss,
+            profitLoss,
+            roe: margin > 0 ? profitLoss / margin * 100 : null
+        };
+    }
+}
+
+// Futures panel: margin, leverage and funding on top of the calculator's entry and target
+class FuturesView {
+    // getContext returns { investment, entryPrice, targetPrice, livePrice, fees, coin } in the quote currency
+    constructor(containerId, formatter, computeFee, getContext) {
+        this.container = document.getElementById(containerId);
+        this.formatter = formatter; // Provides formatTokens, formatPrice, formatCurrency, formatPercent
+        this.engine = new FuturesEngine(computeFee);
+        this.getContext = getContext;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.directionSelect = document.getElementById('futures-direction');
+        this.leverageInput = document.getElementById('futures-leverage');
+        this.marginInput = document.getElementById('futures-margin');
+        this.maintenanceInput = document.getElementById('futures-maintenance');
+        this.fundingInput = document.getElementById('futures-funding');
+        this.daysInput = document.getElementById('futures-days');
+        this.leverageHint = document.getElementById('futures-leverage-hint');
+        this.warning = document.getElementById('futures-warning');
+        this.results = document.getElementById('futures-results');
+    }
+
+    bindEvents() {
+        [
+            this.directionSelect,
+            this.leverageInput,
+            this.marginInput,
+            this.maintenanceInput,
+            this.fundingInput,
+            this.daysInput
+        ].forEach(input => {
+            input.addEventListener('input', () => this.render());
+        });
+
+        // Nothing is computed while the panel is collapsed
+        this.container.addEventListener('toggle', () => {
+            this.render();
+        });
+    }
+
+    // The margin field is the only amount this panel owns
+    scaleAmounts(rate) {
+        const margin = parseFloat(this.marginInput.value);
+        if (Number.isFinite(margin)) {
+            this.marginInput.value = toInputValue(margin * rate);
+        }
+    }
+
+    // Called after every calculation and live price tick
+    update() {
+        this.render();
+    }
+
+    // Blank margin means "use the calculator's investment". requestedLeverage keeps the
+    // entered value so the panel can say when it was clamped.
+    getPosition() {
+        const context = this.getContext();
+        const margin = parseFloat(this.marginInput.value);
+        const leverage = parseFloat(this.leverageInput.value);
+
+        return {
+            direction: this.directionSelect.value,
+            margin: margin > 0 ? margin : context.investment,
+            leverage: this.engine.clampLeverage(leverage),
+            requestedLeverage: leverage,
+            entryPrice: context.entryPrice,
+            targetPrice: context.targetPrice,
+            maintenanceRate: parseFloat(this.maintenanceInput.value) || 0,
+            fundingRate: parseFloat(this.fundingInput.value) || 0,
+            days: parseFloat(this.daysInput.value) || 0,
+            fees: context.fees,
+            livePrice: context.livePrice,
+            coin: context.coin
+        };
+    }
+
+    render() {
+        if (!this.container.open) {
+            return;
+        }
+
+        const position = this.getPosition();
+        this.showLeverageHint(position);
+        if (!(position.margin > 0) || !(position.entryPrice > 0)) {
+            this.showWarning('');
+            this.results.innerHTML = '<span class="input-hint">Enter an investment (or margin) and an entry price</span>';
+            return;
+        }
+
+        const format = this.formatter;
+        const result = this.engine.evaluate(position);
+        const symbol = position.coin ? ` ${position.coin.symbol.toUpperCase()}` : '';
+        const liquidationText = (price) => price === null ? 'None' : format.formatPrice(price);
+
+        this.results.innerHTML = `
+            <div class="output-item">
+                <span class="output-label">Position Size</span>
+                <span class="output-value">${format.formatCurrency(result.notional)} · ${format.formatTokens(result.quantity)}${symbol}</span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Liquidation Price</span>
+                <span class="output-value">${liquidationText(result.liquidationPrice)}</span>
+            </div>
+            ${result.fundingPaid !== 0 ? `
+                <div class="output-item">
+                    <span class="output-label">Liquidation After ${position.days} Days of Funding</span>
+                    <span class="output-value">${liquidationText(result.liquidationAfterFunding)}</span>
+                </div>
+            ` : ''}
+            <div class="output-item">
+                <span class="output-label">Funding ${result.fundingPaid >= 0 ? 'Paid' : 'Received'}</span>
+                <span class="output-value" data-output="funding"></span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Net P/L at Target</span>
+                <span class="output-value profit-loss-value" data-output="profit-loss"></span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">ROE</span>
+                <span class="output-value profit-loss-value" data-output="roe"></span>
+            </div>
+        `;
+
+        const setValue = (name, text, amount) => {
+            const element = this.results.querySelector(`[data-output="${name}"]`);
+            element.textContent = text;
+            if (amount !== undefined) {
+                element.classList.add(amount > 0 ? 'positive' : amount < 0 ? 'negative' : 'neutral');
+            }
+        };
+
+        setValue('funding', format.formatCurrency(Math.abs(result.fundingPaid)));
+        if (position.targetPrice > 0) {
+            setValue('profit-loss', format.formatCurrency(result.profitLoss, true), result.profitLoss);
+            setValue('roe', result.roe === null ? '—' : format.formatPercent(result.roe), result.roe);
+        } else {
+            setValue('profit-loss', '—');
+            setValue('roe', '—');
+        }
+
+        this.showWarning(this.getWarning(position, result));
+    }
+
+    // A liquidated position loses its margin, so never show it as a profit
+    getWarning(position, result) {
+        const { direction, livePrice } = position;
+        const beyond = (price, liquidation) => liquidation !== null &&
+            (direction === 'short' ? price >= liquidation : price <= liquidation);
+
+        if (result.isFundingWipeout) {
+            return `Funding over ${position.days} days exceeds the margin: the position is liquidated before the holding period ends.`;
+        }
+        if (result.isLiquidated) {
+            return `The target is beyond the liquidation price (${this.formatter.formatPrice(result.liquidationAfterFunding || result.liquidationPrice)}): ` +
+                'the position would be liquidated on the way and the whole margin lost.';
+        }
+        if (livePrice > 0 && beyond(livePrice, result.liquidationPrice)) {
+            return `The live price (${this.formatter.formatPrice(livePrice)}) has already crossed the liquidation price.`;
+        }
+        return '';
+    }
+
+    showLeverageHint({ leverage, requestedLeverage }) {
+        const clamped = Number.isFinite(requestedLeverage) && requestedLeverage !== leverage;
+        this.leverageHint.textContent = clamped ?
+            `Leverage runs from 1× to ${MAX_LEVERAGE}×; calculating with ${leverage}×` :
+            '';
+        this.leverageHint.classList.toggle('error', clamped);
+    }
+
+    showWarning(message) {
+        this.warning.textContent = message;
+        this.warning.classList.toggle('hidden', !message);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FuturesEngine, FuturesView, FUNDING_INTERVALS_PER_DAY, MAX_LEVERAGE };
+}
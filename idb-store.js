@@ -0,0 +1,83 @@
+// IndexedDB helper for Profit Pulse
+// Shared by the page and the service worker (loaded there with importScripts)
+
+const IDB_NAME = 'profit-pulse';
+const IDB_VERSION = 2;
+
+// Object stores and their options; bump IDB_VERSION when adding one
+const IDB_STORES = {
+    alerts: { keyPath: 'id' },
+    market: { keyPath: 'key' } // Last known coin list, prices and rates for offline use
+};
+
+class IDBStore {
+    constructor(storeName) {
+        this.storeName = storeName;
+    }
+
+    // One shared connection per context
+    static open() {
+        if (!IDBStore.dbPromise) {
+            IDBStore.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.entries(IDB_STORES).forEach(([name, options]) => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, options);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    IDBStore.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return IDBStore.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await IDBStore.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    put(value) {
+        return this.run('readwrite', store => store.put(value));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+IDBStore.dbPromise = null;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IDBStore, IDB_STORES };
+}
@@ -0,0 +1,250 @@
+// Live Prices for Profit Pulse
+// Streams tickers for the selected coin(s) over the Binance public WebSocket,
+// falling back to polling the price service when the socket can't deliver
+
+const LIVE_PRICE_URL = 'wss://stream.binance.com:9443/stream';
+const LIVE_PRICE_URL_STORAGE_KEY = 'profit-pulse-live-url'; // Override, e.g. ws://localhost:8090/stream for tools/mock-ticker-server.js
+
+const LIVE_PRICE_SETTINGS = {
+    throttleMs: 1000, // At most one update per coin per second reaches the UI
+    staleAfterMs: 15000, // Coins the socket hasn't priced for this long (e.g. unlisted pairs) are polled
+    pollIntervalMs: 30000,
+    reconnectDelay: 1000, // Backs off 1s, 2s, 4s... up to maxReconnectDelay
+    maxReconnectDelay: 30000,
+    maxReconnectAttempts: 6 // After that only polling is used until the next subscribe
+};
+
+class LivePriceStream {
+    // options: { url, WebSocket, settings } so tests can point it at a mock server
+    constructor(priceService, options = {}) {
+        this.priceService = priceService;
+        this.url = options.url || this.loadUrl();
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.settings = { ...LIVE_PRICE_SETTINGS, ...options.settings };
+        this.binance = new BinanceProvider(); // Reused for its coin -> pair mapping
+
+        this.coins = [];
+        this.currency = 'usd';
+        this.coinsByStream = new Map();
+        this.streamedAt = new Map(); // coinId -> time of the last socket tick
+        this.socket = null;
+        this.status = 'off';
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        this.pollTimer = null;
+
+        // Throttling: latest price per coin, flushed at most once per throttleMs
+        this.pending = new Map();
+        this.flushTimer = null;
+        this.lastFlush = 0;
+
+        this.updateListeners = [];
+        this.statusListeners = [];
+    }
+
+    loadUrl() {
+        try {
+            return localStorage.getItem(LIVE_PRICE_URL_STORAGE_KEY) || LIVE_PRICE_URL;
+        } catch (error) {
+            return LIVE_PRICE_URL;
+        }
+    }
+
+    // listener(coinId, { price, change24h, currency, source, timestamp })
+    onUpdate(listener) {
+        this.updateListeners.push(listener);
+    }
+
+    // listener(status): 'off' | 'connecting' | 'live' | 'reconnecting' | 'polling'
+    onStatus(listener) {
+        this.statusListeners.push(listener);
+    }
+
+    setStatus(status) {
+        if (status !== this.status) {
+            this.status = status;
+            this.statusListeners.forEach(listener => listener(status));
+        }
+    }
+
+    // coins: [{ id, symbol }]; replaces any previous subscription
+    subscribe(coins, currency = 'usd') {
+        this.stop();
+        this.coins = coins.filter(Boolean);
+        this.currency = currency;
+        if (this.coins.length === 0) {
+            return;
+        }
+
+        this.coinsByStream.clear();
+        this.coins.forEach(coin => {
+            try {
+                this.coinsByStream.set(`${this.binance.pairFor(coin.id, currency).toLowerCase()}@ticker`, coin.id);
+            } catch (error) {
+                // Not listed on Binance or no market in this currency; polled instead
+            }
+        });
+
+        // Polling runs for the whole subscription but skips coins the socket keeps fresh
+        this.pollTimer = setInterval(() => this.poll(), this.settings.pollIntervalMs);
+
+        if (!this.WebSocket || this.coinsByStream.size === 0) {
+            this.poll();
+            return;
+        }
+        this.connect();
+        this.staleTimer = setTimeout(() => this.poll(), this.settings.staleAfterMs);
+    }
+
+    stop() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.staleTimer);
+        clearTimeout(this.flushTimer);
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.reconnectTimer = null;
+        this.flushTimer = null;
+        this.reconnectAttempts = 0;
+        this.pending.clear();
+        this.streamedAt.clear();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null; // Its close event must not trigger a reconnect
+            socket.close();
+        }
+        this.setStatus('off');
+    }
+
+    connect() {
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        let socket;
+        try {
+            socket = new this.WebSocket(`${this.url}?streams=${[...this.coinsByStream.keys()].join('/')}`);
+        } catch (error) {
+            console.error('Error opening live price socket:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            if (this.socket === socket) {
+                this.reconnectAttempts = 0;
+            }
+        });
+
+        socket.addEventListener('message', (event) => {
+            if (this.socket === socket) {
+                this.handleMessage(event.data);
+            }
+        });
+
+        // Errors are always followed by close, which does the reconnecting
+        socket.addEventListener('close', () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    scheduleReconnect() {
+        // Keep prices coming while the socket is down; the poll interval covers later attempts
+        if (this.reconnectAttempts === 0) {
+            this.poll();
+        }
+
+        if (this.reconnectAttempts >= this.settings.maxReconnectAttempts) {
+            return;
+        }
+
+        const delay = Math.min(
+            this.settings.reconnectDelay * 2 ** this.reconnectAttempts,
+            this.settings.maxReconnectDelay
+        );
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    // Combined stream frames: { stream: 'btcusdt@ticker', data: { c: lastPrice, P: changePercent, E: eventTime } }
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+
+        const coinId = message && this.coinsByStream.get(message.stream);
+        const price = coinId && parseFloat(message.data.c);
+        if (!Number.isFinite(price) || price <= 0) {
+            return;
+        }
+
+        this.streamedAt.set(coinId, Date.now());
+        this.setStatus('live');
+        this.queueUpdate(coinId, {
+            price,
+            change24h: parseFloat(message.data.P) || 0,
+            currency: this.currency,
+            source: 'binance',
+            timestamp: message.data.E || Date.now()
+        });
+    }
+
+    isFresh(coinId) {
+        return Date.now() - (this.streamedAt.get(coinId) || 0) < this.settings.staleAfterMs;
+    }
+
+    async poll() {
+        const currency = this.currency;
+        const coins = this.coins.filter(coin => !this.isFresh(coin.id));
+        if (coins.length === 0) {
+            return;
+        }
+        if (!this.coins.some(coin => this.isFresh(coin.id))) {
+            this.setStatus('polling');
+        }
+
+        await Promise.all(coins.map(async (coin) => {
+            try {
+                const priceData = await this.priceService.fetchCoinPrice(coin.id, currency);
+                // Ignore cached snapshots and answers for a subscription that has since changed
+                if (!priceData.stale && this.pollTimer && currency === this.currency && this.coins.includes(coin)) {
+                    this.queueUpdate(coin.id, { ...priceData, currency });
+                }
+            } catch (error) {
+                console.error(`Error polling live price for ${coin.id}:`, error);
+            }
+        }));
+    }
+
+    queueUpdate(coinId, priceData) {
+        this.pending.set(coinId, priceData);
+        if (this.flushTimer) {
+            return;
+        }
+
+        const wait = Math.max(this.lastFlush + this.settings.throttleMs - Date.now(), 0);
+        this.flushTimer = setTimeout(() => this.flush(), wait);
+    }
+
+    flush() {
+        this.flushTimer = null;
+        this.lastFlush = Date.now();
+
+        const updates = [...this.pending];
+        this.pending.clear();
+        updates.forEach(([coinId, priceData]) => {
+            this.updateListeners.forEach(listener => listener(coinId, priceData));
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LivePriceStream, LIVE_PRICE_SETTINGS, LIVE_PRICE_URL };
+}
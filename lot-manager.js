@@ -0,0 +1,175 @@
+// Lot Manager for Profit Pulse
+// Keeps the list of purchase lots used by the DCA position mode
+
+class LotManager {
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.lots = [];
+        this.nextId = 1;
+        this.defaultPrice = null; // Pre-fills new lots with the live price when known
+        this.currencySymbol = '$';
+
+        this.initializeElements();
+        this.bindEvents();
+        this.render();
+    }
+
+    initializeElements() {
+        this.addButton = document.getElementById('add-lot');
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            this.addLot();
+        });
+
+        // Rows are re-rendered on add/remove, so listen on the container
+        this.container.addEventListener('input', (e) => {
+            this.handleFieldChange(e.target);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.lot-remove');
+            if (removeButton) {
+                this.removeLot(Number(removeButton.dataset.lotId));
+            }
+        });
+    }
+
+    addLot(lot = {}) {
+        const newLot = {
+            id: this.nextId++,
+            date: this.normalizeDate(lot.date) || new Date().toISOString().slice(0, 10),
+            amount: this.normalizeNumber(lot.amount),
+            price: this.normalizeNumber(lot.price) || this.normalizeNumber(this.defaultPrice)
+        };
+
+        this.lots.push(newLot);
+        this.render();
+        this.notifyChange();
+        return newLot;
+    }
+
+    removeLot(id) {
+        this.lots = this.lots.filter(lot => lot.id !== id);
+        this.render();
+        this.notifyChange();
+    }
+
+    // Replace all lots at once (e.g. when restoring saved state)
+    setLots(lots) {
+        this.lots = lots.map(lot => ({
+            id: this.nextId++,
+            date: this.normalizeDate(lot.date) || '',
+            amount: this.normalizeNumber(lot.amount),
+            price: this.normalizeNumber(lot.price)
+        }));
+        this.render();
+        this.notifyChange();
+    }
+
+    setCurrencySymbol(symbol) {
+        this.currencySymbol = symbol;
+        this.render();
+    }
+
+    clear() {
+        this.setLots([]);
+    }
+
+    handleFieldChange(target) {
+        const field = target.dataset.field;
+        const row = target.closest('.lot-row');
+        if (!field || !row) {
+            return;
+        }
+
+        const lot = this.lots.find(item => item.id === Number(row.dataset.lotId));
+        if (!lot) {
+            return;
+        }
+
+        lot[field] = field === 'date' ?
+            this.normalizeDate(target.value) :
+            this.normalizeNumber(target.value);
+        this.notifyChange();
+    }
+
+    // Returns copies so callers can't mutate the list behind our back
+    getLots() {
+        return this.lots.map(lot => ({ ...lot }));
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getLots());
+        }
+    }
+
+    normalizeNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    }
+
+    normalizeDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '';
+    }
+
+    render() {
+        if (this.lots.length === 0) {
+            this.container.innerHTML = `
+                <div class="lot-empty">
+                    No lots yet. Add one for each purchase.
+                </div>
+            `;
+            return;
+        }
+
+        this.container.innerHTML = '';
+
+        this.lots.forEach((lot, index) => {
+            const row = document.createElement('div');
+            row.className = 'lot-row';
+            row.dataset.lotId = lot.id;
+            row.innerHTML = `
+                <div class="lot-header">
+                    <span class="lot-title">Lot ${index + 1}</span>
+                    <span class="lot-result" data-result="${lot.id}"></span>
+                    <button type="button" class="lot-remove" data-lot-id="${lot.id}" aria-label="Remove lot ${index + 1}">×</button>
+                </div>
+                <div class="lot-fields">
+                    <input type="date" class="input-field lot-field" data-field="date" value="${lot.date}" aria-label="Purchase date">
+                    <input type="number" class="input-field lot-field" data-field="amount" value="${lot.amount || ''}" placeholder="Amount (${this.currencySymbol})" min="0" step="0.01" aria-label="Amount invested">
+                    <input type="number" class="input-field lot-field" data-field="price" value="${lot.price ? toInputValue(lot.price) : ''}" placeholder="Price (${this.currencySymbol})" min="0" step="any" aria-label="Price per token">
+                </div>
+            `;
+            this.container.appendChild(row);
+        });
+    }
+
+    // Show each lot's tokens and P/L at the current target price
+    updateResults(results, formatTokens, formatCurrency) {
+        results.forEach(result => {
+            const element = this.container.querySelector(`[data-result="${result.id}"]`);
+            if (!element) {
+                return;
+            }
+
+            element.textContent = result.tokens > 0 ?
+                `${formatTokens(result.tokens)} · ${formatCurrency(result.profitLoss, true)}` :
+                '';
+            element.classList.remove('positive', 'negative');
+            if (result.profitLoss > 0) {
+                element.classList.add('positive');
+            } else if (result.profitLoss < 0) {
+                element.classList.add('negative');
+            }
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LotManager };
+}
@@ -0,0 +1,209 @@
+// Market Cap Check for Profit Pulse
+// What a target price implies for the coin's market cap, measured against familiar assets
+
+// Approximate values in USD, early 2025. Only meant to give a sense of scale.
+const MARKET_CAP_REFERENCES = [
+    { id: 'bitcoin', label: 'Bitcoin', usd: 1.85e12 },
+    { id: 'microsoft', label: 'Microsoft', usd: 3.1e12, company: true },
+    { id: 'nvidia', label: 'Nvidia', usd: 3.3e12, company: true },
+    { id: 'apple', label: 'Apple', usd: 3.8e12, company: true },
+    { id: 'gold', label: 'All gold ever mined', usd: 17.5e12 },
+    { id: 'us-stocks', label: 'US stock market', usd: 62e12 },
+    { id: 'world-gdp', label: 'World GDP (one year)', usd: 110e12 }
+];
+
+// Warning thresholds come from the same table, so they stay in step with what is shown
+const referenceUsd = (id) => MARKET_CAP_REFERENCES.find(reference => reference.id === id).usd;
+const LARGEST_COMPANY_USD = Math.max(...MARKET_CAP_REFERENCES.filter(reference => reference.company).map(reference => reference.usd));
+const GOLD_USD = referenceUsd('gold');
+const WORLD_GDP_USD = referenceUsd('world-gdp');
+const STRETCH_MULTIPLE = 100; // Targets this many times today's market cap get a caution
+
+// Implied market cap arithmetic (no DOM access)
+class MarketCapEngine {
+    // supply: { circulatingSupply, totalSupply, maxSupply, marketCap } in the quote currency
+    // usdRate: quote currency units per USD, to convert the reference table
+    assess({ supply, targetPrice, tokensOwned, usdRate = 1 }) {
+        const impliedMarketCap = targetPrice * supply.circulatingSupply;
+        const dilutedSupply = supply.maxSupply || supply.totalSupply;
+        const impliedUsd = impliedMarketCap / usdRate;
+        const multiple = supply.marketCap > 0 ? impliedMarketCap / supply.marketCap : null;
+
+        let level = 'ok';
+        let message = '';
+        if (impliedUsd >= WORLD_GDP_USD) {
+            level = 'unrealistic';
+            message = 'This target implies a market cap larger than the whole world economy produces in a year.';
+        } else if (impliedUsd >= GOLD_USD) {
+            level = 'unrealistic';
+            message = 'This target implies a market cap larger than all the gold ever mined.';
+        } else if (impliedUsd >= LARGEST_COMPANY_USD) {
+            level = 'stretch';
+            message = 'This target implies a market cap above the world\'s most valuable company.';
+        } else if (multiple !== null && multiple >= STRETCH_MULTIPLE) {
+            level = 'stretch';
+            message = `This target needs the market cap to grow ${Math.round(multiple).toLocaleString()}×.`;
+        }
+
+        return {
+            impliedMarketCap,
+            impliedFullyDiluted: dilutedSupply ? targetPrice * dilutedSupply : null,
+            multiple,
+            positionShare: tokensOwned > 0 ? tokensOwned / supply.circulatingSupply : null,
+            references: MARKET_CAP_REFERENCES.map(reference => ({
+                label: reference.label,
+                value: reference.usd * usdRate,
+                ratio: impliedUsd / reference.usd
+            })),
+            level,
+            message
+        };
+    }
+}
+
+// Market cap panel, plus a warning under the target price that shows even when it is closed
+class MarketCapView {
+    constructor(containerId, priceService, formatter) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatCurrency, formatTokens, formatPercent
+        this.engine = new MarketCapEngine();
+        this.coin = null;
+        this.supply = null;
+        this.supplyError = '';
+        this.usdRate = 1;
+        this.position = null;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.results = document.getElementById('market-cap-results');
+        this.targetHint = document.getElementById('target-hint');
+    }
+
+    bindEvents() {
+        // Nothing is rendered while the panel is collapsed
+        this.container.addEventListener('toggle', () => {
+            this.render();
+        });
+    }
+
+    // Load supply for the selected coin; usdRate converts the USD reference table
+    async setCoin(coin, currency, usdRate) {
+        this.coin = coin;
+        this.supply = null;
+        this.supplyError = '';
+        this.usdRate = usdRate;
+        this.render();
+
+        if (!coin) {
+            return;
+        }
+
+        try {
+            const supply = await this.priceService.fetchSupply(coin.id, currency);
+            if (coin === this.coin && supply.currency === currency) {
+                this.supply = supply;
+                this.render();
+            }
+        } catch (error) {
+            console.error('Error loading supply:', error);
+            // Kept on the view so opening the panel later still shows it
+            if (coin === this.coin) {
+                this.supplyError = error.message;
+                this.render();
+            }
+        }
+    }
+
+    // position: { tokensOwned, targetPrice } in the quote currency
+    update(position) {
+        this.position = position;
+        this.render();
+    }
+
+    render() {
+        const assessment = this.supply && this.position && this.position.targetPrice > 0 ?
+            this.engine.assess({ supply: this.supply, usdRate: this.usdRate, ...this.position }) :
+            null;
+
+        this.targetHint.textContent = assessment ? assessment.message : '';
+        this.targetHint.classList.toggle('error', Boolean(assessment) && assessment.level === 'unrealistic');
+
+        if (!this.container.open) {
+            return;
+        }
+        if (!this.coin) {
+            this.results.innerHTML = '<span class="input-hint">Select a cryptocurrency first</span>';
+            return;
+        }
+        if (!this.supply) {
+            this.results.innerHTML = '<span class="input-hint"></span>';
+            const hint = this.results.firstElementChild;
+            hint.textContent = this.supplyError || 'Loading supply...';
+            hint.classList.toggle('error', Boolean(this.supplyError));
+            return;
+        }
+
+        const format = this.formatter;
+        const { supply } = this;
+        const symbol = this.coin.symbol.toUpperCase();
+        const item = (label, value) => `
+            <div class="output-item">
+                <span class="output-label">${label}</span>
+                <span class="output-value">${value}</span>
+            </div>
+        `;
+
+        let html = `
+            ${item('Circulating Supply', `${format.formatTokens(supply.circulatingSupply)} ${symbol}`)}
+            ${supply.maxSupply || supply.totalSupply ? item(supply.maxSupply ? 'Max Supply' : 'Total Supply', `${format.formatTokens(supply.maxSupply || supply.totalSupply)} ${symbol}`) : ''}
+            ${item('Market Cap Now', format.formatCurrency(supply.marketCap))}
+        `;
+
+        if (assessment) {
+            html += `
+                ${item('Implied Market Cap at Target', format.formatCurrency(assessment.impliedMarketCap))}
+                ${assessment.impliedFullyDiluted !== null ? item('Fully Diluted at Target', format.formatCurrency(assessment.impliedFullyDiluted)) : ''}
+                ${assessment.multiple !== null ? item('Growth Needed', `${assessment.multiple.toLocaleString(undefined, { maximumFractionDigits: 2 })}×`) : ''}
+                ${assessment.positionShare !== null ? item('Your Share of Supply', this.formatShare(assessment.positionShare)) : ''}
+                <table class="report-table market-cap-table">
+                    <thead>
+                        <tr>
+                            <th>Compared with</th>
+                            <th>Size</th>
+                            <th>Target Cap</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${assessment.references.map(reference => `
+                            <tr class="${reference.ratio >= 1 ? 'exceeded-row' : ''}">
+                                <td>${reference.label}</td>
+                                <td>${format.formatCurrency(reference.value)}</td>
+                                <td>${reference.ratio >= 1 ? `${reference.ratio.toLocaleString(undefined, { maximumFractionDigits: 1 })}× larger` : `${format.formatPercent(reference.ratio * 100, false)} of it`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <span class="input-hint">Reference sizes are rough early-2025 figures</span>
+            `;
+        }
+
+        this.results.innerHTML = html;
+    }
+
+    // Positions are usually a vanishing fraction of supply, so small shares read as "1 in N"
+    formatShare(share) {
+        if (share >= 0.0001) {
+            return this.formatter.formatPercent(share * 100, false);
+        }
+        return `< 0.01% (1 in ${this.formatter.formatTokens(Math.round(1 / share))})`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarketCapEngine, MarketCapView, MARKET_CAP_REFERENCES, STRETCH_MULTIPLE };
+}
@@ -0,0 +1,16 @@
+// Monte Carlo worker for Profit Pulse
+// Runs simulations off the main thread so inputs stay responsive
+
+importScripts('/monte-carlo.js');
+
+const engine = new MonteCarloEngine();
+
+self.addEventListener('message', event => {
+    const { id, params } = event.data;
+
+    try {
+        self.postMessage({ id, result: engine.simulate(params) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
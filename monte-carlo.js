@@ -0,0 +1,338 @@
+// Monte Carlo Projection for Profit Pulse
+// Simulates price paths from the coin's historical daily volatility
+// MonteCarloEngine has no DOM access so monte-carlo-worker.js can load it too
+
+const MONTE_CARLO_LIMITS = {
+    maxDays: 1825,
+    maxPaths: 20000,
+    minHistory: 30 // Daily returns needed for a usable volatility estimate
+};
+
+class MonteCarloEngine {
+    // mulberry32: small, fast and good enough for simulation; same seed, same paths
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draws via Box-Muller, using both values of each pair
+    createNormal(random) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+
+            const u = 1 - random(); // (0, 1] so the log is finite
+            const v = random();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            spare = radius * Math.sin(2 * Math.PI * v);
+            return radius * Math.cos(2 * Math.PI * v);
+        };
+    }
+
+    // Mean and standard deviation of daily log returns
+    estimate(prices) {
+        const returns = [];
+        for (let i = 1; i < prices.length; i++) {
+            if (prices[i - 1] > 0 && prices[i] > 0) {
+                returns.push(Math.log(prices[i] / prices[i - 1]));
+            }
+        }
+
+        if (returns.length < MONTE_CARLO_LIMITS.minHistory) {
+            throw new Error(`At least ${MONTE_CARLO_LIMITS.minHistory} days of price history are needed`);
+        }
+
+        const drift = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + (value - drift) ** 2, 0) / (returns.length - 1);
+
+        return { drift, volatility: Math.sqrt(variance), samples: returns.length };
+    }
+
+    // Geometric Brownian motion in daily steps. Only final prices are kept, so memory
+    // stays at one number per path however long the horizon is.
+    simulate({ startPrice, drift, volatility, days, paths, seed, targetPrice = 0 }) {
+        if (!(startPrice > 0) || !(days >= 1) || !(paths >= 1)) {
+            throw new Error('Invalid simulation parameters');
+        }
+
+        days = Math.min(Math.round(days), MONTE_CARLO_LIMITS.maxDays);
+        paths = Math.min(Math.round(paths), MONTE_CARLO_LIMITS.maxPaths);
+
+        const normal = this.createNormal(this.createRandom(seed));
+        const rising = targetPrice >= startPrice;
+        const isBeyond = (price) => targetPrice > 0 && (rising ? price >= targetPrice : price <= targetPrice);
+        const finals = new Float64Array(paths);
+        let reached = 0;
+        let endedBeyond = 0;
+
+        for (let path = 0; path < paths; path++) {
+            let price = startPrice;
+            let hit = isBeyond(price);
+
+            for (let day = 0; day < days; day++) {
+                price *= Math.exp(drift + volatility * normal());
+                if (!hit && isBeyond(price)) {
+                    hit = true;
+                }
+            }
+
+            finals[path] = price;
+            if (hit) {
+                reached++;
+            }
+            if (isBeyond(price)) {
+                endedBeyond++;
+            }
+        }
+
+        finals.sort();
+
+        return {
+            days,
+            paths,
+            seed,
+            startPrice,
+            targetPrice,
+            // Touching the target at any point vs. still being there at the horizon
+            probabilityReached: targetPrice > 0 ? reached / paths : null,
+            probabilityAtEnd: targetPrice > 0 ? endedBeyond / paths : null,
+            percentiles: {
+                p5: this.percentile(finals, 0.05),
+                p50: this.percentile(finals, 0.5),
+                p95: this.percentile(finals, 0.95)
+            }
+        };
+    }
+
+    // Linear interpolation between the closest ranks of a sorted array
+    percentile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
+
+// Projection panel; the simulation itself runs in a Web Worker when available
+class MonteCarloView {
+    // getContext returns { coin, livePrice, targetPrice, currency }; valueAt(price) returns
+    // { finalValue, profitLoss } for the current position if sold at that price
+    constructor(containerId, priceService, formatter, getContext, valueAt) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatPrice, formatCurrency, formatPercent
+        this.getContext = getContext;
+        this.valueAt = valueAt;
+        this.engine = new MonteCarloEngine();
+        this.worker = null;
+        this.nextRunId = 1;
+        this.lastRun = null;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.daysInput = document.getElementById('projection-days');
+        this.pathsInput = document.getElementById('projection-paths');
+        this.lookbackSelect = document.getElementById('projection-lookback');
+        this.driftSelect = document.getElementById('projection-drift');
+        this.seedInput = document.getElementById('projection-seed');
+        this.runButton = document.getElementById('run-projection');
+        this.message = document.getElementById('projection-message');
+        this.results = document.getElementById('projection-results');
+    }
+
+    bindEvents() {
+        this.runButton.addEventListener('click', () => {
+            this.run();
+        });
+    }
+
+    async run() {
+        const { coin, livePrice, targetPrice, currency } = this.getContext();
+        if (!coin) {
+            this.showMessage('Select a cryptocurrency first', true);
+            return;
+        }
+
+        const days = parseInt(this.daysInput.value, 10);
+        const paths = parseInt(this.pathsInput.value, 10);
+        if (!(days >= 1 && days <= MONTE_CARLO_LIMITS.maxDays)) {
+            this.showMessage(`Horizon must be between 1 and ${MONTE_CARLO_LIMITS.maxDays} days`, true);
+            return;
+        }
+        if (!(paths >= 100 && paths <= MONTE_CARLO_LIMITS.maxPaths)) {
+            this.showMessage(`Paths must be between 100 and ${MONTE_CARLO_LIMITS.maxPaths}`, true);
+            return;
+        }
+
+        // A blank seed picks one, shown afterwards so the run can be repeated
+        const seedText = this.seedInput.value.trim();
+        const seed = seedText ? parseInt(seedText, 10) >>> 0 : Math.floor(Math.random() * 2 ** 32);
+
+        this.runButton.disabled = true;
+        this.showMessage('Loading price history...');
+
+        try {
+            const history = await this.priceService.fetchPriceHistory(
+                coin.id,
+                parseInt(this.lookbackSelect.value, 10),
+                currency
+            );
+            const estimate = this.engine.estimate(history.map(point => point.price));
+            const startPrice = livePrice || history[history.length - 1].price;
+
+            // "Zero" removes the trend so the expected price stays flat: E[e^(μ+σZ)] = 1 needs μ = -σ²/2
+            const drift = this.driftSelect.value === 'zero' ? -(estimate.volatility ** 2) / 2 : estimate.drift;
+
+            this.showMessage(`Simulating ${paths.toLocaleString()} paths...`);
+            const result = await this.simulate({
+                startPrice,
+                drift,
+                volatility: estimate.volatility,
+                days,
+                paths,
+                seed,
+                targetPrice
+            });
+
+            this.lastRun = { coin, estimate, result };
+            this.showMessage('');
+            this.render();
+        } catch (error) {
+            console.error('Error running projection:', error);
+            this.showMessage(error.message, true);
+        }
+
+        this.runButton.disabled = false;
+    }
+
+    simulate(params) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve().then(() => this.engine.simulate(params));
+        }
+
+        if (!this.worker) {
+            const worker = new Worker('/monte-carlo-worker.js');
+            this.worker = worker;
+            this.pending = new Map();
+
+            // A worker that fails to load or throws never answers, so settle every run it holds
+            worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                this.failWorker(worker, new Error(`The simulation could not run${e.message ? `: ${e.message}` : ''}`));
+            });
+            worker.addEventListener('messageerror', () => {
+                this.failWorker(worker, new Error('The simulation result could not be read'));
+            });
+
+            this.worker.addEventListener('message', (e) => {
+                const { id, result, error } = e.data;
+                const request = this.pending.get(id);
+                if (request) {
+                    this.pending.delete(id);
+                    if (error) {
+                        request.reject(new Error(error));
+                    } else {
+                        request.resolve(result);
+                    }
+                }
+            });
+        }
+
+        const id = this.nextRunId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, params });
+        });
+    }
+
+    // The next run starts a fresh worker
+    failWorker(worker, error) {
+        worker.terminate();
+        if (worker !== this.worker) {
+            return;
+        }
+
+        this.worker = null;
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    render() {
+        if (!this.lastRun) {
+            return;
+        }
+
+        const format = this.formatter;
+        const { coin, estimate, result } = this.lastRun;
+        // Drift adds up day by day; volatility grows with the square root of time
+        const annualizedDrift = estimate.drift * 365;
+        const annualizedVolatility = estimate.volatility * Math.sqrt(365);
+
+        const percentileRow = (label, price) => {
+            const { finalValue, profitLoss } = this.valueAt(price);
+            return `
+                <tr>
+                    <td>${label}</td>
+                    <td>${format.formatPrice(price)}</td>
+                    <td>${format.formatCurrency(finalValue)}</td>
+                    <td class="${profitLoss >= 0 ? 'positive' : 'negative'}">${format.formatCurrency(profitLoss, true)}</td>
+                </tr>
+            `;
+        };
+
+        this.results.innerHTML = `
+            <div class="output-item">
+                <span class="output-label">Chance to reach target</span>
+                <span class="output-value">${result.probabilityReached === null ? '—' : format.formatPercent(result.probabilityReached * 100, false)}</span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Chance to be there after ${result.days} days</span>
+                <span class="output-value">${result.probabilityAtEnd === null ? '—' : format.formatPercent(result.probabilityAtEnd * 100, false)}</span>
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Outcome</th>
+                        <th>Price</th>
+                        <th>Value</th>
+                        <th>Net P/L</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${percentileRow('P5', result.percentiles.p5)}
+                    ${percentileRow('P50', result.percentiles.p50)}
+                    ${percentileRow('P95', result.percentiles.p95)}
+                </tbody>
+            </table>
+            <span class="input-hint projection-summary"></span>
+        `;
+
+        this.results.querySelector('.projection-summary').textContent =
+            `${coin.symbol.toUpperCase()} from ${format.formatPrice(result.startPrice)}, ` +
+            `${result.paths.toLocaleString()} paths · annualized volatility ${format.formatPercent(annualizedVolatility * 100, false)}, ` +
+            `drift ${format.formatPercent(annualizedDrift * 100)} from ${estimate.samples} days · seed ${result.seed}`;
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MonteCarloEngine, MonteCarloView, MONTE_CARLO_LIMITS };
+}
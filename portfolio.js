@@ -0,0 +1,336 @@
+// Portfolio for Profit Pulse
+// Persists holdings across reloads and aggregates value and P/L per coin
+// Holdings are stored in USD and converted to the quote currency for display
+
+// Holdings storage backed by localStorage
+class PortfolioStore {
+    constructor(storageKey = 'profit-pulse-portfolio') {
+        this.storageKey = storageKey;
+        this.holdings = this.load();
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const parsed = raw ? JSON.parse(raw) : [];
+            return Array.isArray(parsed) ? parsed.filter(holding => this.isValidHolding(holding)) : [];
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.holdings));
+        } catch (error) {
+            console.error('Error saving portfolio:', error);
+        }
+    }
+
+    isValidHolding(holding) {
+        return holding &&
+            typeof holding.id === 'string' &&
+            typeof holding.symbol === 'string' &&
+            Number.isFinite(holding.tokens) && holding.tokens >= 0 &&
+            Number.isFinite(holding.costBasis) && holding.costBasis >= 0 &&
+            Number.isFinite(holding.targetPrice) && holding.targetPrice >= 0;
+    }
+
+    getHoldings() {
+        return this.holdings.map(holding => ({ ...holding }));
+    }
+
+    // Adding a coin that is already held merges it into the existing holding
+    addHolding(holding) {
+        const existing = this.holdings.find(item => item.id === holding.id);
+
+        if (existing) {
+            existing.tokens += holding.tokens;
+            existing.costBasis += holding.costBasis;
+            if (holding.targetPrice > 0) {
+                existing.targetPrice = holding.targetPrice;
+            }
+        } else {
+            this.holdings.push({
+                id: holding.id,
+                symbol: holding.symbol,
+                name: holding.name || holding.symbol,
+                tokens: holding.tokens,
+                costBasis: holding.costBasis,
+                targetPrice: holding.targetPrice || 0
+            });
+        }
+
+        this.save();
+    }
+
+    updateHolding(id, changes) {
+        const holding = this.holdings.find(item => item.id === id);
+        if (holding) {
+            Object.assign(holding, changes);
+            this.save();
+        }
+    }
+
+    removeHolding(id) {
+        this.holdings = this.holdings.filter(holding => holding.id !== id);
+        this.save();
+    }
+}
+
+// Portfolio panel component
+class PortfolioView {
+    constructor(containerId, priceService, formatter) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatCurrency/formatTokens/formatPrice
+        this.store = new PortfolioStore();
+        this.prices = new Map(); // USD prices by coin id
+        this.sources = new Map(); // Provider that supplied each price
+        this.displayRate = 1; // Quote currency units per USD
+        this.isRefreshing = false;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.render();
+        this.refreshPrices();
+    }
+
+    initializeElements() {
+        this.refreshButton = document.getElementById('portfolio-refresh');
+        this.totalCostOutput = document.getElementById('portfolio-cost');
+        this.totalValueOutput = document.getElementById('portfolio-value');
+        this.profitLossOutput = document.getElementById('portfolio-profit-loss');
+        this.targetValueOutput = document.getElementById('portfolio-target-value');
+        this.targetProfitLossOutput = document.getElementById('portfolio-target-profit-loss');
+        this.totalsHint = document.getElementById('portfolio-totals-hint');
+    }
+
+    bindEvents() {
+        this.refreshButton.addEventListener('click', () => {
+            this.refreshPrices();
+        });
+
+        // Rows are re-rendered, so listen on the container
+        this.container.addEventListener('change', (e) => {
+            const row = e.target.closest('.holding-row');
+            if (row && e.target.dataset.field === 'targetPrice') {
+                const targetPrice = parseFloat(e.target.value);
+                this.store.updateHolding(row.dataset.coinId, {
+                    targetPrice: Number.isFinite(targetPrice) && targetPrice > 0 ? targetPrice / this.displayRate : 0
+                });
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.holding-remove');
+            if (removeButton) {
+                this.store.removeHolding(removeButton.dataset.coinId);
+                this.prices.delete(removeButton.dataset.coinId);
+                this.render();
+            }
+        });
+    }
+
+    setDisplayRate(rate) {
+        this.displayRate = rate;
+        this.render();
+    }
+
+    addHolding(holding) {
+        this.store.addHolding(holding);
+        this.render();
+        this.refreshPrices();
+    }
+
+    // Fetch current prices through the price service (cached and rate limited there)
+    async refreshPrices() {
+        if (this.isRefreshing) {
+            return;
+        }
+
+        this.isRefreshing = true;
+        this.refreshButton.disabled = true;
+
+        // Requested together so the service can batch them into one call
+        await Promise.all(this.store.getHoldings().map(async (holding) => {
+            try {
+                const priceData = await this.priceService.fetchCoinPrice(holding.id);
+                this.prices.set(holding.id, priceData.price);
+                this.sources.set(holding.id, priceData.source);
+            } catch (error) {
+                // Keep the last known price; the row shows "—" if there never was one
+                console.error(`Error refreshing price for ${holding.id}:`, error);
+            }
+        }));
+
+        this.isRefreshing = false;
+        this.refreshButton.disabled = false;
+        this.render();
+    }
+
+    computeSummary() {
+        const rate = this.displayRate;
+        const rows = this.store.getHoldings().map(holding => {
+            const costBasis = holding.costBasis * rate;
+            const targetPrice = holding.targetPrice * rate;
+            const price = this.prices.has(holding.id) ? this.prices.get(holding.id) * rate : null;
+            const currentValue = price !== null ? holding.tokens * price : null;
+            const targetValue = holding.tokens * targetPrice;
+
+            return {
+                ...holding,
+                costBasis,
+                targetPrice,
+                price,
+                source: this.sources.get(holding.id),
+                currentValue,
+                profitLoss: currentValue !== null ? currentValue - costBasis : null,
+                targetValue,
+                targetProfitLoss: targetValue - costBasis
+            };
+        });
+
+        const sum = (key, list = rows) => list.reduce((total, row) => total + (row[key] || 0), 0);
+        // Holdings without a price are left out of both sides of the value and P/L totals
+        const priced = rows.filter(row => row.currentValue !== null);
+        const totals = {
+            costBasis: sum('costBasis'),
+            currentValue: priced.length > 0 ? sum('currentValue', priced) : null,
+            targetValue: sum('targetValue'),
+            unpricedCount: rows.length - priced.length
+        };
+        totals.profitLoss = totals.currentValue !== null ? totals.currentValue - sum('costBasis', priced) : null;
+        totals.targetProfitLoss = totals.targetValue - totals.costBasis;
+
+        // Allocation by current value, falling back to cost basis until prices load
+        const allocationKey = totals.unpricedCount === 0 && totals.currentValue > 0 ?
+            'currentValue' :
+            'costBasis';
+        const allocationTotal = totals[allocationKey];
+        rows.forEach(row => {
+            row.allocation = allocationTotal > 0 ? (row[allocationKey] || 0) / allocationTotal * 100 : 0;
+        });
+
+        return { rows, totals };
+    }
+
+    render() {
+        const { rows, totals } = this.computeSummary();
+
+        if (rows.length === 0) {
+            this.container.innerHTML = `
+                <div class="portfolio-empty">
+                    Your portfolio is empty. Add the current position to start tracking it.
+                </div>
+            `;
+        } else {
+            this.container.innerHTML = '';
+            rows.forEach(row => {
+                this.container.appendChild(this.renderRow(row));
+            });
+        }
+
+        const format = this.formatter;
+        this.totalCostOutput.textContent = format.formatCurrency(totals.costBasis);
+        this.totalValueOutput.textContent = totals.currentValue !== null ? format.formatCurrency(totals.currentValue) : '—';
+        this.targetValueOutput.textContent = format.formatCurrency(totals.targetValue);
+        if (totals.profitLoss !== null) {
+            this.setProfitLoss(this.profitLossOutput, totals.profitLoss);
+        } else {
+            this.profitLossOutput.textContent = '—';
+            this.profitLossOutput.classList.remove('positive', 'negative');
+        }
+        this.setProfitLoss(this.targetProfitLossOutput, totals.targetProfitLoss);
+
+        const unpriced = totals.unpricedCount;
+        this.totalsHint.textContent = unpriced > 0 && totals.currentValue !== null ?
+            `Value Now and Unrealized P/L leave out ${unpriced} holding${unpriced === 1 ? '' : 's'} without a price` :
+            '';
+    }
+
+    renderRow(row) {
+        const format = this.formatter;
+        const element = document.createElement('div');
+        element.className = 'holding-row';
+        element.dataset.coinId = row.id;
+
+        element.innerHTML = `
+            <div class="holding-header">
+                <span class="holding-symbol"></span>
+                <span class="holding-name"></span>
+                <span class="holding-allocation">${row.allocation.toFixed(1)}%</span>
+                <button type="button" class="holding-remove" aria-label="Remove holding">×</button>
+            </div>
+            <div class="holding-stats">
+                <div class="holding-stat">
+                    <span class="stat-label">Tokens</span>
+                    <span class="stat-value">${format.formatTokens(row.tokens)}</span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">Cost Basis</span>
+                    <span class="stat-value">${format.formatCurrency(row.costBasis)}</span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">Price Now</span>
+                    <span class="stat-value" data-output="price">${row.price !== null ? format.formatPrice(row.price) : '—'}</span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">Value Now</span>
+                    <span class="stat-value">${row.currentValue !== null ? format.formatCurrency(row.currentValue) : '—'}</span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">P/L Now</span>
+                    <span class="stat-value" data-output="profit-loss"></span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">Target Price</span>
+                    <input type="number" class="holding-target" data-field="targetPrice" value="${row.targetPrice ? toInputValue(row.targetPrice) : ''}" placeholder="—" min="0" step="any" aria-label="Target price">
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">Value at Target</span>
+                    <span class="stat-value">${format.formatCurrency(row.targetValue)}</span>
+                </div>
+                <div class="holding-stat">
+                    <span class="stat-label">P/L at Target</span>
+                    <span class="stat-value" data-output="target-profit-loss"></span>
+                </div>
+            </div>
+        `;
+
+        // Names come from storage/API, so set them as text rather than markup
+        element.querySelector('.holding-symbol').textContent = row.symbol.toUpperCase();
+        element.querySelector('.holding-name').textContent = row.name;
+        element.querySelector('.holding-remove').dataset.coinId = row.id;
+        if (row.source) {
+            element.querySelector('[data-output="price"]').title = `via ${this.priceService.getProviderLabel(row.source)}`;
+        }
+
+        const profitLossElement = element.querySelector('[data-output="profit-loss"]');
+        if (row.profitLoss !== null) {
+            this.setProfitLoss(profitLossElement, row.profitLoss);
+        } else {
+            profitLossElement.textContent = '—';
+        }
+        this.setProfitLoss(element.querySelector('[data-output="target-profit-loss"]'), row.targetProfitLoss);
+
+        return element;
+    }
+
+    setProfitLoss(element, amount) {
+        element.textContent = this.formatter.formatCurrency(amount, true);
+        element.classList.remove('positive', 'negative');
+        if (amount > 0) {
+            element.classList.add('positive');
+        } else if (amount < 0) {
+            element.classList.add('negative');
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioStore, PortfolioView };
+}
@@ -0,0 +1,387 @@
+// Price Alerts for Profit Pulse
+// Persists alerts in IndexedDB and evaluates them from the page and the service worker
+// Alert prices are stored in USD and converted to the quote currency for display
+
+const PRICE_ALERT_SYNC_TAG = 'price-alerts';
+const PRICE_ALERT_POLL_INTERVAL = 60 * 1000; // 1 minute while the page is open
+
+// Alert evaluation shared by the page and sw.js (no DOM access)
+class PriceAlertEngine {
+    // above/below compare against targetPrice; gain compares against entryPrice
+    isTriggered(alert, price) {
+        switch (alert.type) {
+            case 'above':
+                return price >= alert.targetPrice;
+            case 'below':
+                return price <= alert.targetPrice;
+            case 'gain': {
+                const change = (price - alert.entryPrice) / alert.entryPrice * 100;
+                return alert.percent >= 0 ? change >= alert.percent : change <= alert.percent;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Offline fallbacks (last known or sample prices) must never fire an alert
+    livePrice(priceData) {
+        if (priceData.stale) {
+            throw new Error('No live price available');
+        }
+        return priceData.price;
+    }
+
+    // Snoozed alerts wake up once their snooze has passed
+    isDue(alert, now = Date.now()) {
+        return alert.status === 'active' ||
+            (alert.status === 'snoozed' && alert.snoozedUntil <= now);
+    }
+
+    // Checks every due alert and marks the ones that fired; fetchPrice returns a USD price
+    async checkAlerts(store, fetchPrice, notify, now = Date.now()) {
+        const alerts = (await store.getAll()).filter(alert => this.isDue(alert, now));
+        const prices = new Map();
+        const fired = [];
+
+        // Fetched concurrently so the price service can batch them
+        await Promise.all([...new Set(alerts.map(alert => alert.coinId))].map(async (coinId) => {
+            try {
+                prices.set(coinId, await fetchPrice(coinId));
+            } catch (error) {
+                console.error(`Error checking alerts for ${coinId}:`, error);
+            }
+        }));
+
+        for (const alert of alerts) {
+            const price = prices.get(alert.coinId);
+            if (price === undefined || !this.isTriggered(alert, price)) {
+                continue;
+            }
+
+            // Store first so the page and the service worker don't both notify
+            const firedAlert = { ...alert, status: 'fired', firedAt: now, firedPrice: price, snoozedUntil: null };
+            await store.put(firedAlert);
+            fired.push(firedAlert);
+
+            try {
+                await notify(firedAlert);
+            } catch (error) {
+                console.error('Error showing alert notification:', error);
+            }
+        }
+
+        return fired;
+    }
+
+    // Notification text; the service worker has no quote currency, so this is in USD
+    formatNotification(alert) {
+        const usd = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumSignificantDigits: 6
+        });
+        const symbol = alert.symbol.toUpperCase();
+
+        let body;
+        if (alert.type === 'gain') {
+            const change = (alert.firedPrice - alert.entryPrice) / alert.entryPrice * 100;
+            body = `Your ${symbol} position is ${change >= 0 ? '+' : ''}${change.toFixed(1)}% at ${usd.format(alert.firedPrice)}`;
+        } else {
+            body = `${symbol} is ${alert.type} ${usd.format(alert.targetPrice)} (now ${usd.format(alert.firedPrice)})`;
+        }
+
+        return { title: `${symbol} price alert`, body };
+    }
+}
+
+// Alerts panel component
+class PriceAlertView {
+    constructor(containerId, priceService, formatter, getContext) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatPrice
+        this.getContext = getContext; // Returns { coin, entryPrice } in the quote currency
+        this.store = new IDBStore('alerts');
+        this.engine = new PriceAlertEngine();
+        this.alerts = [];
+        this.displayRate = 1; // Quote currency units per USD
+
+        this.initializeElements();
+        this.bindEvents();
+        this.loadAlerts();
+        this.startPolling();
+        this.registerBackgroundCheck();
+    }
+
+    initializeElements() {
+        this.typeSelect = document.getElementById('alert-type');
+        this.valueInput = document.getElementById('alert-value');
+        this.addButton = document.getElementById('add-alert');
+        this.message = document.getElementById('alert-message');
+        this.list = document.getElementById('alert-list');
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            this.addAlertFromForm();
+        });
+
+        this.typeSelect.addEventListener('change', () => {
+            this.valueInput.placeholder = this.typeSelect.value === 'gain' ? 'Gain % (e.g. 50)' : 'Price';
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (button) {
+                this.handleAction(button.dataset.alertId, button.dataset.alertAction);
+            }
+        });
+
+        // Catch up as soon as the tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.checkNow();
+            }
+        });
+    }
+
+    setDisplayRate(rate) {
+        this.displayRate = rate;
+        this.render();
+    }
+
+    async loadAlerts() {
+        try {
+            this.alerts = await this.store.getAll();
+        } catch (error) {
+            console.error('Error loading alerts:', error);
+            this.alerts = [];
+        }
+        this.render();
+    }
+
+    async addAlertFromForm() {
+        const { coin, entryPrice } = this.getContext();
+        const type = this.typeSelect.value;
+        const value = parseFloat(this.valueInput.value);
+
+        if (!coin) {
+            this.showMessage('Select a cryptocurrency first', true);
+            return;
+        }
+        if (!Number.isFinite(value) || (type !== 'gain' && value <= 0)) {
+            this.showMessage('Enter a valid alert value', true);
+            return;
+        }
+        if (type === 'gain' && !(entryPrice > 0)) {
+            this.showMessage('Enter a purchase price to track position gains', true);
+            return;
+        }
+
+        const alert = {
+            id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            coinId: coin.id,
+            symbol: coin.symbol,
+            type,
+            createdAt: Date.now(),
+            status: 'active',
+            snoozedUntil: null
+        };
+
+        if (type === 'gain') {
+            alert.percent = value;
+            alert.entryPrice = entryPrice / this.displayRate;
+        } else {
+            alert.targetPrice = value / this.displayRate;
+        }
+
+        try {
+            await this.store.put(alert);
+        } catch (error) {
+            console.error('Error saving alert:', error);
+            this.showMessage('Could not save the alert', true);
+            return;
+        }
+
+        this.valueInput.value = '';
+        this.showMessage('');
+        await this.requestPermission();
+        await this.loadAlerts();
+        this.checkNow();
+    }
+
+    async handleAction(id, action) {
+        const alert = this.alerts.find(item => item.id === id);
+        if (!alert) {
+            return;
+        }
+
+        try {
+            if (action === 'delete') {
+                await this.store.delete(id);
+            } else if (action === 'snooze-hour' || action === 'snooze-day') {
+                const duration = action === 'snooze-hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+                await this.store.put({ ...alert, status: 'snoozed', snoozedUntil: Date.now() + duration });
+            } else if (action === 'rearm') {
+                await this.store.put({ ...alert, status: 'active', snoozedUntil: null, firedAt: null, firedPrice: null });
+            }
+        } catch (error) {
+            console.error('Error updating alert:', error);
+        }
+
+        await this.loadAlerts();
+    }
+
+    // Notifications need permission, which browsers only grant from a user action
+    async requestPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            try {
+                await Notification.requestPermission();
+            } catch (error) {
+                console.error('Error requesting notification permission:', error);
+            }
+        }
+        this.registerBackgroundCheck();
+    }
+
+    startPolling() {
+        clearInterval(this.pollInterval);
+        this.pollInterval = setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.checkNow();
+            }
+        }, PRICE_ALERT_POLL_INTERVAL);
+    }
+
+    async checkNow() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            await this.engine.checkAlerts(
+                this.store,
+                async (coinId) => this.engine.livePrice(await this.priceService.fetchCoinPrice(coinId)),
+                (alert) => this.notify(alert)
+            );
+        } catch (error) {
+            console.error('Error checking alerts:', error);
+        }
+
+        this.isChecking = false;
+        // Also picks up alerts fired by the service worker in the background
+        await this.loadAlerts();
+    }
+
+    async notify(alert) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            return;
+        }
+
+        const { title, body } = this.engine.formatNotification(alert);
+
+        // Prefer the service worker so the notification works on mobile too
+        if ('serviceWorker' in navigator) {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration) {
+                await registration.showNotification(title, { body, tag: alert.id });
+                return;
+            }
+        }
+
+        new Notification(title, { body, tag: alert.id });
+    }
+
+    // Periodic Background Sync only exists in Chromium for installed apps
+    async registerBackgroundCheck() {
+        if (!('serviceWorker' in navigator) || !navigator.permissions) {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !('periodicSync' in registration)) {
+                return;
+            }
+
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register(PRICE_ALERT_SYNC_TAG, {
+                    minInterval: 15 * 60 * 1000
+                });
+            }
+        } catch (error) {
+            console.error('Error registering background alert checks:', error);
+        }
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+
+    describe(alert) {
+        const symbol = alert.symbol.toUpperCase();
+        if (alert.type === 'gain') {
+            return `${symbol} position ${alert.percent >= 0 ? '+' : ''}${alert.percent}% ` +
+                `from ${this.formatter.formatPrice(alert.entryPrice * this.displayRate)}`;
+        }
+        return `${symbol} ${alert.type} ${this.formatter.formatPrice(alert.targetPrice * this.displayRate)}`;
+    }
+
+    describeStatus(alert) {
+        if (alert.status === 'fired') {
+            return `Fired ${new Date(alert.firedAt).toLocaleString()} at ${this.formatter.formatPrice(alert.firedPrice * this.displayRate)}`;
+        }
+        if (alert.status === 'snoozed' && alert.snoozedUntil > Date.now()) {
+            return `Snoozed until ${new Date(alert.snoozedUntil).toLocaleString()}`;
+        }
+        return 'Active';
+    }
+
+    render() {
+        if (this.alerts.length === 0) {
+            this.list.innerHTML = `
+                <div class="portfolio-empty">
+                    No alerts set.
+                </div>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = '';
+
+        // Fired alerts first, then by creation time
+        [...this.alerts]
+            .sort((a, b) => (a.status === 'fired' ? 0 : 1) - (b.status === 'fired' ? 0 : 1) || a.createdAt - b.createdAt)
+            .forEach(alert => {
+                const row = document.createElement('div');
+                row.className = `alert-row ${alert.status}`;
+                row.innerHTML = `
+                    <div class="alert-info">
+                        <span class="alert-description"></span>
+                        <span class="alert-status"></span>
+                    </div>
+                    <div class="alert-actions">
+                        ${alert.status === 'fired' ?
+                            '<button type="button" class="text-button" data-alert-action="rearm">Re-arm</button>' :
+                            `<button type="button" class="text-button" data-alert-action="snooze-hour">1h</button>
+                             <button type="button" class="text-button" data-alert-action="snooze-day">1d</button>`}
+                        <button type="button" class="holding-remove" data-alert-action="delete" aria-label="Delete alert">×</button>
+                    </div>
+                `;
+                row.querySelector('.alert-description').textContent = this.describe(alert);
+                row.querySelector('.alert-status').textContent = this.describeStatus(alert);
+                row.querySelectorAll('[data-alert-action]').forEach(button => {
+                    button.dataset.alertId = alert.id;
+                });
+                this.list.appendChild(row);
+            });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceAlertEngine, PriceAlertView, PRICE_ALERT_SYNC_TAG };
+}
@@ -0,0 +1,657 @@
+// Price Providers for Profit Pulse
+// Pluggable market data sources with automatic failover
+//
+// A provider is any object with a `name`, a `label` and some of:
+//   fetchCoinList()                                  -> [{ id, symbol, name }]
+//   fetchCoinPrice(coinId, currency, coin)           -> { price, change24h, currency }
+//   fetchHistoricalPrice(coinId, date, currency, coin) -> { price, date, currency }
+//   fetchPriceHistory(coinId, days, currency, coin)  -> [{ time, price }] daily, oldest first
+//   fetchExchangeRates()                             -> { usd: { value }, eur: { value }, ... }
+//   fetchMarkets(currency)                           -> [{ id, market_cap_rank, image, price, change24h, currency }]
+//   fetchSupply(coinId, currency, coin)              -> { circulatingSupply, totalSupply, maxSupply, marketCap, price, currency }
+// Missing methods are skipped; a provider that can't answer throws and the next one is tried.
+// Results may carry a `timestamp` (ms) when the data is older than the request, e.g. fixtures,
+// and `stale: true` when it is an offline copy rather than a live answer.
+
+const PROVIDER_STORAGE_KEY = 'profit-pulse-providers';
+const FX_REFERENCE_COIN = 'bitcoin'; // Past exchange rates are read off its price in both currencies
+
+// CoinGecko id -> exchange base asset. Tickers are shared by unrelated coins, so only
+// coins listed here are priced by the exchanges; anything else goes to the next provider.
+const BINANCE_ASSETS = {
+    'bitcoin': 'BTC',
+    'ethereum': 'ETH',
+    'binancecoin': 'BNB',
+    'solana': 'SOL',
+    'ripple': 'XRP',
+    'cardano': 'ADA',
+    'dogecoin': 'DOGE',
+    'tron': 'TRX',
+    'the-open-network': 'TON',
+    'polkadot': 'DOT',
+    'chainlink': 'LINK',
+    'litecoin': 'LTC',
+    'bitcoin-cash': 'BCH',
+    'ethereum-classic': 'ETC',
+    'avalanche-2': 'AVAX',
+    'shiba-inu': 'SHIB',
+    'pepe': 'PEPE',
+    'uniswap': 'UNI',
+    'stellar': 'XLM',
+    'cosmos': 'ATOM',
+    'near': 'NEAR',
+    'aptos': 'APT',
+    'sui': 'SUI',
+    'arbitrum': 'ARB',
+    'optimism': 'OP',
+    'filecoin': 'FIL',
+    'internet-computer': 'ICP',
+    'hedera-hashgraph': 'HBAR',
+    'algorand': 'ALGO',
+    'aave': 'AAVE'
+};
+
+const KRAKEN_ASSETS = {
+    'bitcoin': 'XBT',
+    'ethereum': 'ETH',
+    'solana': 'SOL',
+    'ripple': 'XRP',
+    'cardano': 'ADA',
+    'dogecoin': 'XDG',
+    'tron': 'TRX',
+    'polkadot': 'DOT',
+    'chainlink': 'LINK',
+    'litecoin': 'LTC',
+    'bitcoin-cash': 'BCH',
+    'ethereum-classic': 'ETC',
+    'avalanche-2': 'AVAX',
+    'shiba-inu': 'SHIB',
+    'pepe': 'PEPE',
+    'uniswap': 'UNI',
+    'stellar': 'XLM',
+    'cosmos': 'ATOM',
+    'near': 'NEAR',
+    'sui': 'SUI',
+    'filecoin': 'FIL',
+    'algorand': 'ALGO',
+    'aave': 'AAVE'
+};
+
+// CoinGeckoService already implements the interface
+CoinGeckoService.prototype.name = 'coingecko';
+CoinGeckoService.prototype.label = 'CoinGecko';
+
+// Binance public spot tickers for the mapped coins (e.g. solana -> SOLUSDT)
+class BinanceProvider {
+    constructor() {
+        this.name = 'binance';
+        this.label = 'Binance';
+        this.baseURL = 'https://api.binance.com/api/v3';
+        this.assets = BINANCE_ASSETS;
+        this.quoteAssets = { usd: 'USDT', eur: 'EUR', brl: 'BRL', gbp: 'GBP', jpy: 'JPY' };
+    }
+
+    pairFor(coinId, currency) {
+        const asset = this.assets[coinId];
+        if (!asset) {
+            throw new Error(`Binance does not list ${coinId}`);
+        }
+
+        const quote = this.quoteAssets[currency];
+        if (!quote) {
+            throw new Error(`Binance has no ${currency.toUpperCase()} markets`);
+        }
+
+        return `${asset}${quote}`;
+    }
+
+    // cachedAt is set when the service worker answered from its cache
+    async getJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return { data: await response.json(), cachedAt: getCachedAt(response) };
+    }
+
+    async fetchCoinPrice(coinId, currency = 'usd') {
+        const { data, cachedAt } = await this.getJSON(`${this.baseURL}/ticker/24hr?symbol=${this.pairFor(coinId, currency)}`);
+        const price = parseFloat(data.lastPrice);
+
+        if (!Number.isFinite(price)) {
+            throw new Error('Coin price not found');
+        }
+
+        return {
+            price,
+            change24h: parseFloat(data.priceChangePercent) || 0,
+            currency,
+            ...(cachedAt && { timestamp: cachedAt, stale: true })
+        };
+    }
+
+    async fetchHistoricalPrice(coinId, date, currency = 'usd') {
+        const start = Date.parse(`${date}T00:00:00Z`);
+        const { data } = await this.getJSON(
+            `${this.baseURL}/klines?symbol=${this.pairFor(coinId, currency)}&interval=1d&startTime=${start}&limit=1`
+        );
+
+        // Daily candle: [openTime, open, high, low, close, ...]
+        if (!Array.isArray(data) || !data[0] || data[0][0] !== start) {
+            throw new Error('No price data available for that date.');
+        }
+
+        return { price: parseFloat(data[0][4]), date, currency };
+    }
+
+    async fetchPriceHistory(coinId, days = 365, currency = 'usd') {
+        // Binance caps klines at 1000 per request
+        const { data } = await this.getJSON(
+            `${this.baseURL}/klines?symbol=${this.pairFor(coinId, currency)}&interval=1d&limit=${Math.min(days + 1, 1000)}`
+        );
+
+        if (!Array.isArray(data) || data.length < 2) {
+            throw new Error('Not enough price history for this coin.');
+        }
+
+        return data.map(candle => ({ time: candle[0], price: parseFloat(candle[4]) }));
+    }
+}
+
+// Kraken public tickers for the mapped coins (e.g. bitcoin -> XBTUSD)
+class KrakenProvider {
+    constructor() {
+        this.name = 'kraken';
+        this.label = 'Kraken';
+        this.baseURL = 'https://api.kraken.com/0/public';
+        this.assets = KRAKEN_ASSETS;
+        this.quotes = { usd: 'USD', eur: 'EUR', gbp: 'GBP', jpy: 'JPY' };
+    }
+
+    pairFor(coinId, currency) {
+        const asset = this.assets[coinId];
+        if (!asset) {
+            throw new Error(`Kraken does not list ${coinId}`);
+        }
+
+        const quote = this.quotes[currency];
+        if (!quote) {
+            throw new Error(`Kraken has no ${currency.toUpperCase()} markets`);
+        }
+
+        return `${asset}${quote}`;
+    }
+
+    // Kraken wraps results as { error: [...], result: { PAIRNAME: ... } }
+    // cachedAt is set when the service worker answered from its cache
+    async getResult(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (data.error && data.error.length > 0) {
+            throw new Error(data.error.join(', '));
+        }
+
+        const entry = Object.entries(data.result || {}).find(([key]) => key !== 'last');
+        if (!entry) {
+            throw new Error('Coin price not found');
+        }
+        return { result: entry[1], cachedAt: getCachedAt(response) };
+    }
+
+    async fetchCoinPrice(coinId, currency = 'usd') {
+        const { result: ticker, cachedAt } = await this.getResult(`${this.baseURL}/Ticker?pair=${this.pairFor(coinId, currency)}`);
+        const price = parseFloat(ticker.c[0]);
+        const open = parseFloat(ticker.o);
+
+        if (!Number.isFinite(price)) {
+            throw new Error('Coin price not found');
+        }
+
+        return {
+            price,
+            // Kraken reports today's open rather than a rolling 24h window
+            change24h: open > 0 ? (price - open) / open * 100 : 0,
+            currency,
+            ...(cachedAt && { timestamp: cachedAt, stale: true })
+        };
+    }
+
+    async fetchHistoricalPrice(coinId, date, currency = 'usd') {
+        const start = Date.parse(`${date}T00:00:00Z`) / 1000;
+        const { result: candles } = await this.getResult(
+            `${this.baseURL}/OHLC?pair=${this.pairFor(coinId, currency)}&interval=1440&since=${start - 1}`
+        );
+
+        // Only the most recent 720 days are available
+        const candle = candles.find(row => row[0] === start);
+        if (!candle) {
+            throw new Error('No price data available for that date.');
+        }
+
+        return { price: parseFloat(candle[4]), date, currency };
+    }
+}
+
+// Static JSON fixture for offline use and tests; accepts a URL or the data itself
+// Shape: { coins: [...], prices: { id: { usd, usd_24h_change } }, history: { id: { date: { usd } } }, exchangeRates: {...} }
+class FixtureProvider {
+    constructor(source = '/fixtures/prices.json') {
+        this.name = 'fixture';
+        this.label = 'Offline fixture';
+        this.isStatic = true; // Sample data; a persisted snapshot of real prices is preferred
+        this.source = source;
+        this.dataPromise = null;
+    }
+
+    load() {
+        if (typeof this.source === 'object') {
+            return Promise.resolve(this.source);
+        }
+
+        if (!this.dataPromise) {
+            this.dataPromise = fetch(this.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    this.dataPromise = null;
+                    throw error;
+                });
+        }
+
+        return this.dataPromise;
+    }
+
+    async fetchCoinList() {
+        const data = await this.load();
+        if (!Array.isArray(data.coins) || data.coins.length === 0) {
+            throw new Error('Fixture has no coins');
+        }
+        return data.coins;
+    }
+
+    async fetchCoinPrice(coinId, currency = 'usd') {
+        const data = await this.load();
+        const entry = data.prices && data.prices[coinId];
+
+        if (!entry || typeof entry[currency] !== 'number') {
+            throw new Error('Coin price not found');
+        }
+
+        return {
+            price: entry[currency],
+            change24h: entry[`${currency}_24h_change`] || 0,
+            currency,
+            timestamp: Date.parse(data.asOf) || undefined
+        };
+    }
+
+    // Every fixture coin with a price in that currency, without ranks or logos
+    async fetchMarkets(currency = 'usd') {
+        const data = await this.load();
+        const prices = data.prices || {};
+
+        return Object.keys(prices)
+            .filter(coinId => typeof prices[coinId][currency] === 'number')
+            .map(coinId => ({
+                id: coinId,
+                market_cap_rank: null,
+                image: null,
+                price: prices[coinId][currency],
+                change24h: prices[coinId][`${currency}_24h_change`] || 0,
+                currency
+            }));
+    }
+
+    async fetchHistoricalPrice(coinId, date, currency = 'usd') {
+        const data = await this.load();
+        const entry = data.history && data.history[coinId] && data.history[coinId][date];
+
+        if (!entry || typeof entry[currency] !== 'number') {
+            throw new Error('No price data available for that date.');
+        }
+
+        return { price: entry[currency], date, currency };
+    }
+
+    async fetchExchangeRates() {
+        const data = await this.load();
+        if (!data.exchangeRates) {
+            throw new Error('Fixture has no exchange rates');
+        }
+        return data.exchangeRates;
+    }
+}
+
+function createDefaultProviders() {
+    return [new CoinGeckoService(), new BinanceProvider(), new KrakenProvider(), new FixtureProvider()];
+}
+
+// Last known market data in IndexedDB, when available (absent in Node and some private modes)
+function createSnapshotStore() {
+    return typeof indexedDB !== 'undefined' && typeof IDBStore !== 'undefined' ? new IDBStore('market') : null;
+}
+
+// Facade used by the app: same API as CoinGeckoService, backed by a provider chain
+// Every successful answer is persisted so the app keeps working offline with the last known data
+class PriceService {
+    constructor(providers = createDefaultProviders(), snapshots = createSnapshotStore()) {
+        this.providers = providers;
+        this.snapshots = snapshots;
+        this.coinList = [];
+        this.searchIndex = new CoinSearchIndex();
+        this.coinListSource = null;
+        this.coinListTimestamp = null;
+        this.coinListStale = false;
+        this.priceSources = new Map(); // coinId -> provider name of the last price
+
+        this.loadPriority();
+    }
+
+    loadPriority() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROVIDER_STORAGE_KEY) || 'null');
+            if (Array.isArray(saved)) {
+                this.setPriority(saved, false);
+            }
+        } catch (error) {
+            // No localStorage in the service worker; keep the default order
+        }
+    }
+
+    // Reorder providers by name; unknown names are ignored and unlisted providers keep their place at the end
+    setPriority(names, persist = true) {
+        const ranked = names
+            .map(name => this.providers.find(provider => provider.name === name))
+            .filter(Boolean);
+        const rest = this.providers.filter(provider => !ranked.includes(provider));
+        this.providers = [...ranked, ...rest];
+
+        if (persist) {
+            try {
+                localStorage.setItem(PROVIDER_STORAGE_KEY, JSON.stringify(this.getPriority()));
+            } catch (error) {
+                console.error('Error saving provider priority:', error);
+            }
+        }
+    }
+
+    getPriority() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    // Combined request queue status of the providers that queue their requests
+    getQueueStatus() {
+        return this.providers
+            .filter(provider => typeof provider.getQueueStatus === 'function')
+            .map(provider => provider.getQueueStatus())
+            .reduce((total, status) => ({
+                pending: total.pending + status.pending,
+                nextRetryAt: Math.max(total.nextRetryAt || 0, status.nextRetryAt || 0) || null
+            }), { pending: 0, nextRetryAt: null });
+    }
+
+    onQueueChange(listener) {
+        const unsubscribers = this.providers
+            .filter(provider => typeof provider.onQueueChange === 'function')
+            .map(provider => provider.onQueueChange(() => listener(this.getQueueStatus())));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    getProviderLabel(name) {
+        const provider = this.providers.find(item => item.name === name);
+        return provider ? provider.label : name;
+    }
+
+    async loadSnapshot(key) {
+        if (!this.snapshots) {
+            return null;
+        }
+
+        try {
+            return (await this.snapshots.get(key)) || null;
+        } catch (error) {
+            console.error(`Error reading snapshot ${key}:`, error);
+            return null;
+        }
+    }
+
+    // Fire and forget; a failed write only costs offline coverage
+    saveSnapshot(key, data, source) {
+        if (!this.snapshots) {
+            return;
+        }
+
+        this.snapshots.put({ key, data, source, timestamp: Date.now() }).catch(error => {
+            console.error(`Error saving snapshot ${key}:`, error);
+        });
+    }
+
+    // Try each provider in priority order until one answers; the persisted snapshot
+    // is used once the live providers have failed, ahead of any static fixture
+    async withFailover(method, args, snapshotKey) {
+        const failures = [];
+        let snapshotTried = !snapshotKey;
+
+        const useSnapshot = async () => {
+            snapshotTried = true;
+            const snapshot = await this.loadSnapshot(snapshotKey);
+            return snapshot && { result: snapshot.data, source: snapshot.source, timestamp: snapshot.timestamp, stale: true };
+        };
+
+        for (const provider of this.providers) {
+            if (typeof provider[method] !== 'function') {
+                continue;
+            }
+
+            if (provider.isStatic && !snapshotTried) {
+                const snapshot = await useSnapshot();
+                if (snapshot) {
+                    return snapshot;
+                }
+            }
+
+            try {
+                const result = await provider[method](...args);
+                const stale = Boolean(provider.isStatic || (result && result.stale));
+                if (snapshotKey && !stale) {
+                    this.saveSnapshot(snapshotKey, result, provider.name);
+                }
+                return {
+                    result,
+                    source: provider.name,
+                    timestamp: (result && result.timestamp) || Date.now(),
+                    stale
+                };
+            } catch (error) {
+                failures.push(`${provider.label}: ${error.message}`);
+            }
+        }
+
+        if (!snapshotTried) {
+            const snapshot = await useSnapshot();
+            if (snapshot) {
+                return snapshot;
+            }
+        }
+
+        console.error(`All providers failed for ${method}:`, failures);
+        throw new Error(failures.length > 0 ?
+            `No data source is available right now (${failures[0]})` :
+            'No data source supports this request');
+    }
+
+    async fetchCoinList() {
+        const { result, source, timestamp, stale } = await this.withFailover('fetchCoinList', [], 'coinList');
+        this.coinList = result;
+        this.searchIndex = new CoinSearchIndex(result);
+        this.coinListSource = source;
+        this.coinListTimestamp = timestamp;
+        this.coinListStale = stale;
+        return this.coinList;
+    }
+
+    // Price data includes where it came from, when it was fetched and whether it is a fallback
+    async fetchCoinPrice(coinId, currency = 'usd') {
+        const coin = this.getCoinById(coinId);
+        const { result, source, timestamp, stale } = await this.withFailover(
+            'fetchCoinPrice',
+            [coinId, currency, coin],
+            `price_${coinId}_${currency}`
+        );
+        this.priceSources.set(coinId, source);
+        return { ...result, source, timestamp, stale };
+    }
+
+    async fetchSupply(coinId, currency = 'usd') {
+        const coin = this.getCoinById(coinId);
+        const { result, source, timestamp, stale } = await this.withFailover(
+            'fetchSupply',
+            [coinId, currency, coin],
+            `supply_${coinId}_${currency}`
+        );
+        return { ...result, source, timestamp, stale };
+    }
+
+    // Dropdown rows for the top coins: price and 24h change in the quote currency, rank and logo
+    async fetchMarkets(currency = 'usd') {
+        const { result } = await this.withFailover('fetchMarkets', [currency], `markets_${currency}`);
+        return result;
+    }
+
+    async fetchHistoricalPrice(coinId, date, currency = 'usd') {
+        const coin = this.getCoinById(coinId);
+        const { result, source } = await this.withFailover(
+            'fetchHistoricalPrice',
+            [coinId, date, currency, coin],
+            `history_${coinId}_${date}_${currency}`
+        );
+        return { ...result, source };
+    }
+
+    async fetchPriceHistory(coinId, days = 365, currency = 'usd') {
+        const coin = this.getCoinById(coinId);
+        const { result } = await this.withFailover(
+            'fetchPriceHistory',
+            [coinId, days, currency, coin],
+            `chart_${coinId}_${days}_${currency}`
+        );
+        return result;
+    }
+
+    async fetchExchangeRates() {
+        const { result } = await this.withFailover('fetchExchangeRates', [], 'exchangeRates');
+        return result;
+    }
+
+    // How many units of `to` one unit of `from` buys
+    async getExchangeRate(from, to) {
+        if (from === to) {
+            return 1;
+        }
+
+        const rates = await this.fetchExchangeRates();
+        if (!rates[from] || !rates[to]) {
+            throw new Error(`Unsupported currency: ${rates[from] ? to : from}`);
+        }
+
+        return rates[to].value / rates[from].value;
+    }
+
+    // How many units of `to` one unit of `from` bought on a past date (YYYY-MM-DD)
+    async getHistoricalExchangeRate(from, to, date) {
+        if (from === to) {
+            return 1;
+        }
+
+        // One after the other, so the second currency comes from the first answer's cache
+        const base = await this.fetchHistoricalPrice(FX_REFERENCE_COIN, date, from);
+        const quote = await this.fetchHistoricalPrice(FX_REFERENCE_COIN, date, to);
+        return quote.price / base.price;
+    }
+
+    // Search coins by symbol or name, best matches first
+    searchCoins(query) {
+        return this.searchIndex.search(query);
+    }
+
+    getCoinById(id) {
+        return this.searchIndex.getById(id);
+    }
+
+    isDuplicateSymbol(coin) {
+        return this.searchIndex.isDuplicateSymbol(coin);
+    }
+
+    clearCache() {
+        this.providers.forEach(provider => {
+            if (typeof provider.clearCache === 'function') {
+                provider.clearCache();
+            }
+        });
+    }
+}
+
+// Settings panel for the provider priority order
+class ProviderPriorityView {
+    constructor(containerId, priceService) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-move]');
+            if (!button) {
+                return;
+            }
+
+            const order = this.priceService.getPriority();
+            const index = order.indexOf(button.dataset.provider);
+            const target = index + (button.dataset.move === 'up' ? -1 : 1);
+            if (index < 0 || target < 0 || target >= order.length) {
+                return;
+            }
+
+            [order[index], order[target]] = [order[target], order[index]];
+            this.priceService.setPriority(order);
+            this.render();
+        });
+    }
+
+    render() {
+        const names = this.priceService.getPriority();
+        this.container.innerHTML = '';
+
+        names.forEach((name, index) => {
+            const item = document.createElement('li');
+            item.className = 'provider-item';
+            item.innerHTML = `
+                <span class="provider-rank">${index + 1}</span>
+                <span class="provider-name"></span>
+                <button type="button" class="text-button" data-move="up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="text-button" data-move="down" aria-label="Move down" ${index === names.length - 1 ? 'disabled' : ''}>↓</button>
+            `;
+            item.querySelector('.provider-name').textContent = this.priceService.getProviderLabel(name);
+            item.querySelectorAll('[data-move]').forEach(button => {
+                button.dataset.provider = name;
+            });
+            this.container.appendChild(item);
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PriceService, BinanceProvider, KrakenProvider, BINANCE_ASSETS, KRAKEN_ASSETS, FixtureProvider, ProviderPriorityView, createDefaultProviders };
+}
@@ -1,13 +1,48 @@
 // Profit Pulse - Universal Crypto Calculator
 // Live calculation engine with instant updates
 
+// Supported quote currencies and the locale used to format each
+const QUOTE_CURRENCIES = {
+    usd: { locale: 'en-US' },
+    eur: { locale: 'de-DE' },
+    brl: { locale: 'pt-BR' },
+    gbp: { locale: 'en-GB' },
+    jpy: { locale: 'ja-JP' }
+};
+
+const CURRENCY_STORAGE_KEY = 'profit-pulse-currency';
+
+// Search range for the reverse solver; every unknown is a positive amount or price
+const SOLVE_RANGE = { min: 1e-12, max: 1e15, iterations: 200 };
+
 class CryptoCalculator {
     constructor() {
         this.selectedCoin = null;
+        this.positionMode = 'single';
+        this.quoteCurrency = 'usd';
+        this.usdRate = 1; // Quote currency units per USD
+        this.livePrice = null; // Current price of the selected coin in the quote currency
+        this.investmentRate = 1; // Quote currency units per investment currency unit
+        this.currencyFormatters = new Map();
+        this.shareCodec = new ShareLinkCodec(Object.keys(QUOTE_CURRENCIES));
+        this.isStateRestored = false; // URL syncing waits until a shared link has been applied
         this.initializeElements();
         this.initializeDropdown();
+        this.initializeLots();
+        this.initializePortfolio();
+        this.initializeTaxLots();
+        this.initializeAlerts();
+        this.initializeSensitivity();
+        this.initializeProjection();
+        this.initializeExitPlan();
+        this.initializeFutures();
+        this.initializeStaking();
+        this.initializeBenchmark();
+        this.initializeMarketCap();
+        this.initializeLivePrices();
         this.bindEvents();
         this.calculate(); // Initial calculation
+        this.restoreState();
     }
 
     initializeElements() {
@@ -15,43 +50,646 @@ class CryptoCalculator {
         this.investmentInput = document.getElementById('investment');
         this.purchasePriceInput = document.getElementById('purchase-price');
         this.targetPriceInput = document.getElementById('target-price');
+        this.purchaseDateInput = document.getElementById('purchase-date');
+        this.purchaseDateHint = document.getElementById('purchase-date-hint');
+        this.priceSourceHint = document.getElementById('price-source');
+        this.offlineBadge = document.getElementById('offline-badge');
+        this.queueStatus = document.getElementById('queue-status');
+
+        // Currency selectors
+        this.quoteCurrencySelect = document.getElementById('quote-currency');
+        this.investmentCurrencySelect = document.getElementById('investment-currency');
+        this.investmentConversionHint = document.getElementById('investment-conversion');
+
+        // Reverse solver
+        this.solveForSelect = document.getElementById('solve-for');
+        this.goalGroup = document.getElementById('goal-group');
+        this.goalValueInput = document.getElementById('goal-value');
+        this.goalTypeSelect = document.getElementById('goal-type');
+        this.solveHint = document.getElementById('solve-hint');
+
+        // Position mode (single buy vs. DCA lots)
+        this.modeButtons = document.querySelectorAll('[data-position-mode]');
+        this.singlePurchaseInputs = document.getElementById('single-purchase-inputs');
+        this.lotSection = document.getElementById('lot-section');
+
+        // Trading cost inputs
+        this.buyFeeInput = document.getElementById('buy-fee');
+        this.buyFeeTypeSelect = document.getElementById('buy-fee-type');
+        this.sellFeeInput = document.getElementById('sell-fee');
+        this.sellFeeTypeSelect = document.getElementById('sell-fee-type');
+        this.slippageInput = document.getElementById('slippage');
+        this.networkFeeInput = document.getElementById('network-fee');
 
         // Output elements
         this.tokensOwnedOutput = document.getElementById('tokens-owned');
+        this.averageEntryItem = document.getElementById('average-entry-item');
+        this.averageEntryOutput = document.getElementById('average-entry');
         this.profitLossOutput = document.getElementById('profit-loss');
+        this.grossProfitLossOutput = document.getElementById('gross-profit-loss');
+        this.totalFeesOutput = document.getElementById('total-fees');
+        this.breakEvenOutput = document.getElementById('break-even-price');
         this.totalValueOutput = document.getElementById('total-value');
+        this.roiOutput = document.getElementById('roi');
+        this.moveNeededOutput = document.getElementById('move-needed');
+        this.currentPriceOutput = document.getElementById('current-price');
+        this.unrealizedOutput = document.getElementById('unrealized-pl');
+        this.liveToggle = document.getElementById('live-toggle');
+        this.liveStatus = document.getElementById('live-status');
+        this.addToPortfolioButton = document.getElementById('add-to-portfolio');
+        this.shareLinkButton = document.getElementById('share-link');
 
         // Store references for animations
         this.outputElements = [
             this.tokensOwnedOutput,
+            this.averageEntryOutput,
             this.profitLossOutput,
-            this.totalValueOutput
+            this.grossProfitLossOutput,
+            this.totalFeesOutput,
+            this.breakEvenOutput,
+            this.totalValueOutput,
+            this.roiOutput,
+            this.moveNeededOutput
         ];
     }
 
     initializeDropdown() {
+        // One price service for the whole page so every panel shares its caches and failover order
+        this.priceService = new PriceService();
+        this.providerPriority = new ProviderPriorityView('provider-list', this.priceService);
+        this.priceService.onQueueChange(status => this.updateQueueStatus(status));
+
         // Initialize cryptocurrency dropdown
         this.cryptoDropdown = new CryptocurrencyDropdown('coin-dropdown', (coin, priceData) => {
             this.handleCoinSelection(coin, priceData);
+        }, this.priceService, this);
+    }
+
+    initializeLots() {
+        // Lots drive the calculation in DCA mode
+        this.lotManager = new LotManager('lot-list', () => {
+            this.handleInputChange();
         });
     }
 
+    initializePortfolio() {
+        this.portfolio = new PortfolioView('portfolio-list', this.priceService, this);
+    }
+
+    initializeTaxLots() {
+        this.taxLots = new TaxLotView(
+            'tax-section',
+            this.priceService,
+            this,
+            () => this.selectedCoin,
+            this.computePosition.bind(this)
+        );
+        this.tradeImport = new TradeImportView('trade-import', this.priceService, this.taxLots);
+    }
+
+    initializeAlerts() {
+        this.priceAlerts = new PriceAlertView(
+            'alert-section',
+            this.priceService,
+            this,
+            () => ({ coin: this.selectedCoin, entryPrice: this.getInputValues().purchasePrice.toNumber() })
+        );
+    }
+
+    initializeSensitivity() {
+        this.sensitivity = new SensitivityView('ladder-panel', this, this.computePositionNumbers.bind(this));
+    }
+
+    initializeProjection() {
+        this.projection = new MonteCarloView(
+            'projection-panel',
+            this.priceService,
+            this,
+            () => ({
+                coin: this.selectedCoin,
+                livePrice: this.livePrice,
+                targetPrice: this.getInputValues().targetPrice.toNumber(),
+                currency: this.quoteCurrency
+            }),
+            (price) => {
+                const { investment, purchasePrice, fees, mode, lots } = this.getInputValues();
+                return this.computePositionNumbers(investment, purchasePrice, price, fees, mode === 'dca' ? lots.length : 1);
+            }
+        );
+    }
+
+    initializeExitPlan() {
+        this.exitPlan = new ExitPlanView('exit-panel', this, this.computeFee.bind(this));
+    }
+
+    initializeFutures() {
+        this.futures = new FuturesView(
+            'futures-panel',
+            this,
+            this.computeFee.bind(this),
+            () => {
+                const { coin, investment, purchasePrice, targetPrice, fees } = this.getInputValues();
+                return {
+                    coin,
+                    investment: investment.toNumber(),
+                    entryPrice: purchasePrice.toNumber(),
+                    targetPrice: targetPrice.toNumber(),
+                    fees,
+                    livePrice: this.livePrice
+                };
+            }
+        );
+    }
+
+    initializeStaking() {
+        this.staking = new StakingView('staking-panel', this, this.computeFee.bind(this));
+    }
+
+    initializeMarketCap() {
+        this.marketCap = new MarketCapView('market-cap-panel', this.priceService, this);
+    }
+
+    // Supply is fetched per coin and currency; the reference table is converted with usdRate
+    refreshMarketCap() {
+        this.marketCap.setCoin(this.selectedCoin, this.quoteCurrency, this.usdRate);
+    }
+
+    initializeBenchmark() {
+        this.benchmark = new BenchmarkView(
+            'benchmark-panel',
+            this.priceService,
+            this,
+            () => {
+                const { coin, mode, lots, investment, purchasePrice, fees } = this.getInputValues();
+                const purchases = mode === 'dca' ?
+                    lots.map(lot => ({ date: lot.date, amount: lot.amount })) :
+                    [{ date: this.purchaseDateInput.value, amount: investment.toNumber() }].filter(purchase => purchase.amount > 0);
+
+                return {
+                    coin,
+                    purchases,
+                    currency: this.quoteCurrency,
+                    livePrice: this.livePrice,
+                    valueAt: (price) => this.computePositionNumbers(investment, purchasePrice, price, fees, mode === 'dca' ? lots.length : 1)
+                };
+            }
+        );
+    }
+
+    initializeLivePrices() {
+        this.liveStream = new LivePriceStream(this.priceService);
+
+        // Ticks arrive throttled, and only the live readouts are redrawn
+        this.liveStream.onUpdate((coinId, priceData) => {
+            if (this.selectedCoin && coinId === this.selectedCoin.id && priceData.currency === this.quoteCurrency) {
+                this.livePrice = priceData.price;
+                this.updateLiveOutputs();
+                this.futures.update();
+            }
+        });
+
+        this.liveStream.onStatus((status) => {
+            this.liveStatus.textContent = {
+                off: '',
+                connecting: 'Connecting...',
+                live: 'Streaming from Binance',
+                reconnecting: 'Connection lost, reconnecting...',
+                polling: `Streaming unavailable, updating every ${LIVE_PRICE_SETTINGS.pollIntervalMs / 1000}s`
+            }[status];
+        });
+    }
+
+    // Follow the selected coin while live mode is on
+    syncLiveStream() {
+        if (this.liveToggle.checked && this.selectedCoin) {
+            this.liveStream.subscribe([this.selectedCoin], this.quoteCurrency);
+        } else {
+            this.liveStream.stop();
+        }
+    }
+
     handleCoinSelection(coin, priceData) {
         this.selectedCoin = coin;
+
+        // Drop prices quoted in a currency we have since switched away from
+        if (priceData && priceData.currency && priceData.currency !== this.quoteCurrency) {
+            priceData = null;
+        }
         
-        // Auto-populate the purchase price if available
+        this.livePrice = priceData && priceData.price ? priceData.price : null;
         if (priceData && priceData.price) {
-            this.purchasePriceInput.value = priceData.price.toFixed(6);
-            
-            // Add visual feedback that price was updated
-            this.purchasePriceInput.classList.add('updating');
-            setTimeout(() => {
-                this.purchasePriceInput.classList.remove('updating');
-            }, 500);
+            this.lotManager.defaultPrice = priceData.price;
+        }
+
+        // A purchase date takes precedence over the live price
+        if (this.purchaseDateInput.value) {
+            this.backfillPurchasePrice();
+        } else if (priceData && priceData.price) {
+            this.setPurchasePrice(priceData.price);
+            this.setPriceSource(priceData);
         }
         
         // Trigger calculation with new coin selection
         this.calculate();
+        this.syncLiveStream();
+        this.refreshMarketCap();
+    }
+
+    // Auto-populate the purchase price field with visual feedback
+    setPurchasePrice(price) {
+        this.purchasePriceInput.value = toInputValue(price);
+        
+        // Add visual feedback that price was updated
+        this.purchasePriceInput.classList.add('updating');
+        setTimeout(() => {
+            this.purchasePriceInput.classList.remove('updating');
+        }, 500);
+    }
+
+    // Look up the price on the selected purchase date and fill it in
+    async backfillPurchasePrice() {
+        const date = this.purchaseDateInput.value;
+        const coin = this.selectedCoin;
+
+        if (!date) {
+            this.setPurchaseDateHint('Fills in the price on that day');
+            return;
+        }
+        if (!coin) {
+            this.setPurchaseDateHint('Select a cryptocurrency first', true);
+            return;
+        }
+        if (date > new Date().toISOString().slice(0, 10)) {
+            this.setPurchaseDateHint('Purchase date cannot be in the future', true);
+            return;
+        }
+
+        this.setPurchaseDateHint('Loading historical price...');
+        const request = this.historyRequest = `${coin.id}_${date}_${this.quoteCurrency}`;
+
+        try {
+            const priceData = await this.priceService.fetchHistoricalPrice(
+                coin.id,
+                date,
+                this.quoteCurrency
+            );
+
+            // Ignore responses for a date or coin that has since changed
+            if (request !== this.historyRequest) {
+                return;
+            }
+
+            this.setPurchasePrice(priceData.price);
+            this.setPurchaseDateHint(`${coin.symbol.toUpperCase()} price on ${date}`);
+            this.setPriceSource(priceData, date);
+            this.calculate();
+        } catch (error) {
+            if (request === this.historyRequest) {
+                this.setPurchaseDateHint(error.message, true);
+            }
+        }
+    }
+
+    setPurchaseDateHint(message, isError = false) {
+        this.purchaseDateHint.textContent = message;
+        this.purchaseDateHint.classList.toggle('error', isError);
+    }
+
+    // Show which provider the auto-filled purchase price came from, and how fresh a live price is
+    setPriceSource(priceData, date) {
+        if (!priceData || !priceData.source) {
+            this.priceSourceHint.textContent = '';
+            return;
+        }
+
+        const via = `via ${this.priceService.getProviderLabel(priceData.source)}`;
+        if (date) {
+            this.priceSourceHint.textContent = `Historical price ${via}`;
+            return;
+        }
+
+        const asOf = priceData.timestamp ? ` · prices as of ${this.formatTimestamp(priceData.timestamp)}` : '';
+        this.priceSourceHint.textContent = `${priceData.stale ? 'Last known' : 'Live'} price ${via}${asOf}`;
+    }
+
+    // Time only for today, date and time otherwise
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday ?
+            date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+            date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // Only worth showing while the API is making us wait
+    updateQueueStatus(status) {
+        clearTimeout(this.queueStatusTimeout);
+        this.queueStatus.classList.toggle('hidden', !status.nextRetryAt);
+        if (!status.nextRetryAt) {
+            return;
+        }
+
+        this.queueStatus.textContent = `Rate limited · ${status.pending} queued, retrying at ` +
+            new Date(status.nextRetryAt).toLocaleTimeString();
+
+        // Clear the notice once the backoff has passed, even if nothing else changes
+        this.queueStatusTimeout = setTimeout(() => {
+            this.updateQueueStatus(this.priceService.getQueueStatus());
+        }, status.nextRetryAt - Date.now() + 100);
+    }
+
+    updateConnectionStatus() {
+        this.offlineBadge.classList.toggle('hidden', navigator.onLine);
+    }
+
+    restoreQuoteCurrency() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+        } catch (error) {
+            console.error('Error reading saved currency:', error);
+        }
+
+        if (saved && saved !== this.quoteCurrency && QUOTE_CURRENCIES[saved]) {
+            return this.setQuoteCurrency(saved);
+        }
+    }
+
+    // Restore a shared link from the URL hash, or the saved currency when there is none
+    async restoreState() {
+        this.isStateRestored = false;
+
+        if (window.location.hash.length > 1) {
+            const { state, rejected } = this.shareCodec.decode(window.location.hash);
+            if (rejected.includes('v')) {
+                console.warn('Ignored a link made by a newer version of Profit Pulse');
+            } else if (rejected.length > 0) {
+                console.warn(`Ignored invalid link parameters: ${rejected.join(', ')}`);
+            }
+            await this.applySharedState(state);
+        } else {
+            await this.restoreQuoteCurrency();
+        }
+
+        this.isStateRestored = true;
+        this.calculate();
+    }
+
+    async applySharedState(state) {
+        // Switch currency first so the values below are not converted again
+        await this.setQuoteCurrency(state.currency || 'usd');
+
+        const setValue = (input, value) => {
+            input.value = value !== undefined ? value : '';
+        };
+
+        setValue(this.investmentInput, state.investment);
+        setValue(this.purchasePriceInput, state.purchasePrice);
+        setValue(this.purchaseDateInput, state.purchaseDate);
+        setValue(this.targetPriceInput, state.targetPrice);
+        setValue(this.buyFeeInput, state.fees.buyFee.value);
+        setValue(this.sellFeeInput, state.fees.sellFee.value);
+        setValue(this.slippageInput, state.fees.slippage);
+        setValue(this.networkFeeInput, state.fees.networkFee);
+        this.buyFeeTypeSelect.value = state.fees.buyFee.type;
+        this.sellFeeTypeSelect.value = state.fees.sellFee.type;
+
+        this.investmentCurrencySelect.value = state.investmentCurrency || '';
+        await this.updateInvestmentRate();
+
+        this.lotManager.setLots(state.lots || []);
+        this.setPositionMode(state.mode || 'single');
+
+        setValue(this.goalValueInput, state.goal ? state.goal.value : undefined);
+        this.goalTypeSelect.value = state.goal ? state.goal.type : 'profit';
+        this.setSolveFor(state.solveFor || '');
+
+        if (state.coinId) {
+            await this.restoreCoin(state.coinId);
+        }
+    }
+
+    // Select a linked coin without overwriting the linked purchase price with the live one
+    async restoreCoin(coinId) {
+        const priceService = this.priceService;
+
+        try {
+            await priceService.fetchCoinList();
+        } catch (error) {
+            console.error('Error loading coin list for shared link:', error);
+        }
+
+        const coin = priceService.getCoinById(coinId);
+        if (!coin) {
+            console.warn(`Linked coin "${coinId}" is not available`);
+            return;
+        }
+
+        this.selectedCoin = coin;
+        this.cryptoDropdown.setSelectedCoin(coin);
+        this.refreshLivePrice();
+        this.syncLiveStream();
+        this.refreshMarketCap();
+
+        // A link with only a purchase date still needs its historical price
+        if (!this.purchasePriceInput.value && this.purchaseDateInput.value) {
+            this.backfillPurchasePrice();
+        }
+    }
+
+    // Live price for the "move needed" figure, without touching the purchase price
+    async refreshLivePrice() {
+        const coin = this.selectedCoin;
+        const currency = this.quoteCurrency;
+
+        try {
+            const priceData = await this.priceService.fetchCoinPrice(coin.id, currency);
+            if (coin === this.selectedCoin && currency === this.quoteCurrency) {
+                this.livePrice = priceData.price;
+                this.calculate();
+            }
+        } catch (error) {
+            console.error('Error fetching live price:', error);
+        }
+    }
+
+    getShareState() {
+        return {
+            coinId: this.selectedCoin ? this.selectedCoin.id : '',
+            currency: this.quoteCurrency,
+            mode: this.positionMode,
+            investment: parseFloat(this.investmentInput.value) || 0,
+            investmentCurrency: this.investmentCurrencySelect.value,
+            purchasePrice: parseFloat(this.purchasePriceInput.value) || 0,
+            purchaseDate: this.purchaseDateInput.value,
+            targetPrice: parseFloat(this.targetPriceInput.value) || 0,
+            fees: this.getFeeValues(),
+            lots: this.lotManager.getLots(),
+            solveFor: this.solveForSelect.value,
+            goal: this.getGoal()
+        };
+    }
+
+    // Keep the URL hash in sync so the address bar is always a shareable link
+    updateShareUrl() {
+        if (!this.isStateRestored) {
+            return;
+        }
+
+        const hash = this.shareCodec.encode(this.getShareState());
+        if (window.location.hash.replace(/^#/, '') !== hash) {
+            const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+            history.replaceState(null, '', url);
+        }
+    }
+
+    async copyShareLink() {
+        this.updateShareUrl();
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.flashShareButton('Link copied!');
+        } catch (error) {
+            console.error('Error copying share link:', error);
+            this.flashShareButton('Copy failed');
+        }
+    }
+
+    flashShareButton(message) {
+        this.shareLinkButton.textContent = message;
+        clearTimeout(this.shareButtonTimeout);
+        this.shareButtonTimeout = setTimeout(() => {
+            this.shareLinkButton.textContent = 'Copy Share Link';
+        }, 2000);
+    }
+
+    // Switch the quote currency, converting every monetary input so the position stays the same
+    async setQuoteCurrency(currency) {
+        const previous = this.quoteCurrency;
+        if (!QUOTE_CURRENCIES[currency] || currency === previous) {
+            this.quoteCurrencySelect.value = previous;
+            return;
+        }
+
+        const priceService = this.priceService;
+        let rate;
+        let usdRate;
+        try {
+            rate = await priceService.getExchangeRate(previous, currency);
+            usdRate = await priceService.getExchangeRate('usd', currency);
+        } catch (error) {
+            console.error('Error switching currency:', error);
+            this.quoteCurrencySelect.value = previous;
+            return;
+        }
+
+        this.quoteCurrency = currency;
+        this.usdRate = usdRate;
+        this.quoteCurrencySelect.value = currency;
+        this.cryptoDropdown.setQuoteCurrency(currency);
+        this.convertMonetaryInputs(rate);
+        this.updateCurrencySymbols();
+        this.portfolio.setDisplayRate(usdRate);
+        this.taxLots.setDisplayRate(usdRate, currency);
+        this.priceAlerts.setDisplayRate(usdRate);
+        this.syncLiveStream();
+        this.refreshMarketCap();
+
+        try {
+            localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+        } catch (error) {
+            console.error('Error saving currency:', error);
+        }
+
+        await this.updateInvestmentRate();
+    }
+
+    convertMonetaryInputs(rate) {
+        const scale = (input) => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                input.value = toInputValue(value * rate);
+            }
+        };
+
+        // An investment in its own currency is converted through investmentRate instead
+        if (!this.investmentCurrencySelect.value) {
+            scale(this.investmentInput);
+        }
+        scale(this.purchasePriceInput);
+        scale(this.targetPriceInput);
+        if (this.buyFeeTypeSelect.value === 'flat') {
+            scale(this.buyFeeInput);
+        }
+        if (this.sellFeeTypeSelect.value === 'flat') {
+            scale(this.sellFeeInput);
+        }
+
+        if (this.goalTypeSelect.value === 'profit') {
+            scale(this.goalValueInput);
+        }
+        if (this.livePrice) {
+            this.livePrice *= rate;
+        }
+        this.exitPlan.scalePrices(rate);
+        this.futures.scaleAmounts(rate);
+
+        if (this.lotManager.defaultPrice) {
+            this.lotManager.defaultPrice *= rate;
+        }
+        this.lotManager.setLots(this.lotManager.getLots().map(lot => ({
+            ...lot,
+            amount: Number(toInputValue(lot.amount * rate)),
+            price: Number(toInputValue(lot.price * rate))
+        })));
+    }
+
+    updateCurrencySymbols() {
+        const symbol = this.getCurrencySymbol(this.quoteCurrency);
+
+        document.querySelectorAll('.currency-symbol').forEach(element => {
+            element.textContent = symbol;
+        });
+        document.querySelectorAll('.flat-fee-option').forEach(option => {
+            option.textContent = `${symbol} flat`;
+        });
+        this.lotManager.setCurrencySymbol(symbol);
+    }
+
+    // Rate from the investment currency into the quote currency
+    async updateInvestmentRate() {
+        const from = this.investmentCurrencySelect.value || this.quoteCurrency;
+
+        try {
+            this.investmentRate = await this.priceService.getExchangeRate(from, this.quoteCurrency);
+        } catch (error) {
+            console.error('Error loading investment exchange rate:', error);
+            this.investmentCurrencySelect.value = '';
+            this.investmentRate = 1;
+        }
+
+        this.calculate();
+    }
+
+    getCurrencyFormatter(options = {}) {
+        const key = `${this.quoteCurrency}_${JSON.stringify(options)}`;
+        if (!this.currencyFormatters.has(key)) {
+            this.currencyFormatters.set(key, new Intl.NumberFormat(QUOTE_CURRENCIES[this.quoteCurrency].locale, {
+                style: 'currency',
+                currency: this.quoteCurrency.toUpperCase(),
+                ...options
+            }));
+        }
+        return this.currencyFormatters.get(key);
+    }
+
+    getCurrencySymbol(currency) {
+        const parts = new Intl.NumberFormat(QUOTE_CURRENCIES[currency].locale, {
+            style: 'currency',
+            currency: currency.toUpperCase()
+        }).formatToParts(0);
+        const symbolPart = parts.find(part => part.type === 'currency');
+        return symbolPart ? symbolPart.value : currency.toUpperCase();
     }
 
     bindEvents() {
@@ -59,7 +697,13 @@ class CryptoCalculator {
         const inputs = [
             this.investmentInput,
             this.purchasePriceInput,
-            this.targetPriceInput
+            this.targetPriceInput,
+            this.buyFeeInput,
+            this.buyFeeTypeSelect,
+            this.sellFeeInput,
+            this.sellFeeTypeSelect,
+            this.slippageInput,
+            this.networkFeeInput
         ];
 
         inputs.forEach(input => {
@@ -69,6 +713,131 @@ class CryptoCalculator {
             input.addEventListener('paste', this.handleInputChange.bind(this));
             input.addEventListener('change', this.handleInputChange.bind(this));
         });
+
+        this.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setPositionMode(button.dataset.positionMode);
+            });
+        });
+
+        this.solveForSelect.addEventListener('change', () => {
+            this.setSolveFor(this.solveForSelect.value);
+        });
+
+        [this.goalValueInput, this.goalTypeSelect].forEach(input => {
+            input.addEventListener('input', this.handleInputChange.bind(this));
+            input.addEventListener('change', this.handleInputChange.bind(this));
+        });
+
+        this.liveToggle.addEventListener('change', () => {
+            this.syncLiveStream();
+        });
+
+        this.quoteCurrencySelect.addEventListener('change', () => {
+            this.setQuoteCurrency(this.quoteCurrencySelect.value);
+        });
+
+        this.investmentCurrencySelect.addEventListener('change', () => {
+            this.updateInvestmentRate();
+        });
+
+        this.purchaseDateInput.addEventListener('change', () => {
+            this.backfillPurchasePrice();
+        });
+
+        this.addToPortfolioButton.addEventListener('click', () => {
+            this.addToPortfolio();
+        });
+
+        this.shareLinkButton.addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        // Pasting another shared link into the address bar
+        window.addEventListener('hashchange', () => {
+            this.restoreState();
+        });
+
+        // Offline badge; cached prices keep the calculator usable meanwhile
+        window.addEventListener('online', () => this.updateConnectionStatus());
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        this.updateConnectionStatus();
+    }
+
+    // Save the current position (net of fees) as a portfolio holding
+    addToPortfolio() {
+        const { coin, investment, targetPrice } = this.getInputValues();
+        if (!coin || !this.lastResult || !this.lastResult.tokensOwned.isPositive()) {
+            return;
+        }
+
+        this.portfolio.addHolding({
+            id: coin.id,
+            symbol: coin.symbol,
+            name: coin.name,
+            tokens: this.lastResult.tokensOwned.toNumber(),
+            // Holdings are stored in USD
+            costBasis: investment.dividedBy(this.usdRate).toNumber(),
+            targetPrice: targetPrice.dividedBy(this.usdRate).toNumber()
+        });
+    }
+
+    setPositionMode(mode) {
+        this.positionMode = mode === 'dca' ? 'dca' : 'single';
+
+        this.modeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.positionMode === this.positionMode);
+        });
+
+        const isDca = this.positionMode === 'dca';
+        this.singlePurchaseInputs.classList.toggle('hidden', isDca);
+        this.lotSection.classList.toggle('hidden', !isDca);
+        this.averageEntryItem.classList.toggle('hidden', !isDca);
+
+        // Start DCA mode with one lot so there is something to fill in
+        if (isDca && this.lotManager.getLots().length === 0) {
+            this.lotManager.addLot();
+        }
+
+        // Lots fix the investment and entry price, so only the target can be solved for
+        this.solveForSelect.querySelectorAll('[data-single-only]').forEach(option => {
+            option.disabled = isDca;
+        });
+        if (isDca && this.solveForSelect.selectedOptions[0].disabled) {
+            this.setSolveFor('');
+            return;
+        }
+
+        this.calculate();
+    }
+
+    // '' solves forward for profit and ROI; otherwise the named input becomes the unknown
+    setSolveFor(field) {
+        const option = this.solveForSelect.querySelector(`option[value="${field}"]`);
+        this.solveForSelect.value = option && !option.disabled ? field : '';
+
+        const solveFor = this.solveForSelect.value;
+        this.goalGroup.classList.toggle('hidden', !solveFor);
+
+        Object.entries(this.getSolvableInputs()).forEach(([name, input]) => {
+            input.readOnly = name === solveFor;
+            input.classList.toggle('solved-input', name === solveFor);
+        });
+
+        this.calculate();
+    }
+
+    getSolvableInputs() {
+        return {
+            investment: this.investmentInput,
+            purchasePrice: this.purchasePriceInput,
+            targetPrice: this.targetPriceInput
+        };
+    }
+
+    getGoal() {
+        const value = parseFloat(this.goalValueInput.value);
+        return Number.isFinite(value) ? { type: this.goalTypeSelect.value, value } : null;
     }
 
     handleInputChange() {
@@ -79,33 +848,288 @@ class CryptoCalculator {
         }, 50); // 50ms debounce for smooth performance
     }
 
+    // Amounts are Decimal, read straight from the input text so no digit goes through a float
     getInputValues() {
-        return {
+        const values = {
             coin: this.selectedCoin,
-            investment: parseFloat(this.investmentInput.value) || 0,
-            purchasePrice: parseFloat(this.purchasePriceInput.value) || 0,
-            targetPrice: parseFloat(this.targetPriceInput.value) || 0
+            mode: this.positionMode,
+            lots: [],
+            investment: this.parseDecimal(this.investmentInput.value).times(this.investmentRate),
+            purchasePrice: this.parseDecimal(this.purchasePriceInput.value),
+            targetPrice: this.parseDecimal(this.targetPriceInput.value),
+            fees: this.getFeeValues()
+        };
+
+        if (this.positionMode === 'dca') {
+            // Only lots with both an amount and a price contribute
+            values.lots = this.lotManager.getLots().filter(lot => lot.amount > 0 && lot.price > 0);
+            Object.assign(values, this.summarizeLots(values.lots));
+        }
+
+        return values;
+    }
+
+    // Blank or unreadable fields count as zero
+    parseDecimal(value) {
+        try {
+            return Decimal.from(value);
+        } catch (error) {
+            return Decimal.from(0);
+        }
+    }
+
+    // Weighted average cost basis, summed in Decimal:
+    // Average Entry = Σ amount ÷ Σ (amount ÷ price)
+    summarizeLots(lots) {
+        const zero = Decimal.from(0);
+        const investment = lots.reduce((sum, lot) => sum.plus(lot.amount), zero);
+        const tokens = lots.reduce((sum, lot) => sum.plus(Decimal.from(lot.amount).dividedBy(lot.price)), zero);
+
+        return {
+            investment,
+            purchasePrice: tokens.isPositive() ? investment.dividedBy(tokens) : zero
+        };
+    }
+
+    getFeeValues() {
+        return {
+            buyFee: {
+                value: Math.max(parseFloat(this.buyFeeInput.value) || 0, 0),
+                type: this.buyFeeTypeSelect.value
+            },
+            sellFee: {
+                value: Math.max(parseFloat(this.sellFeeInput.value) || 0, 0),
+                type: this.sellFeeTypeSelect.value
+            },
+            slippage: Math.min(Math.max(parseFloat(this.slippageInput.value) || 0, 0), 100),
+            networkFee: Math.max(parseFloat(this.networkFeeInput.value) || 0, 0)
         };
     }
 
     calculate() {
-        const { coin, investment, purchasePrice, targetPrice } = this.getInputValues();
+        const values = this.getInputValues();
+        const buyCount = values.mode === 'dca' ? values.lots.length : 1;
+        this.solveUnknown(values, buyCount);
+
+        const { coin, lots, investment, purchasePrice, targetPrice, fees } = values;
+        const result = this.computePosition(investment, purchasePrice, targetPrice, fees, buyCount);
+
+        result.roi = investment.isPositive() ? result.profitLoss.times(100).dividedBy(investment) : null;
+        result.averageEntryPrice = purchasePrice;
+        result.lotResults = lots.map(lot => {
+            const tokens = Decimal.from(lot.amount).dividedBy(lot.price);
+            return { id: lot.id, tokens, profitLoss: tokens.times(targetPrice).minus(lot.amount) };
+        });
+        this.lastResult = result;
+
+        // Update the display with animation
+        this.updateDisplay(result, coin);
+
+        // The panels work in numbers
+        const position = this.toNumbers({ ...result, investment, purchasePrice, targetPrice });
+        this.sensitivity.update({
+            investment: position.investment,
+            purchasePrice: position.purchasePrice,
+            targetPrice: position.targetPrice,
+            fees,
+            buyCount
+        });
+        this.exitPlan.update({
+            tokensOwned: position.tokensOwned,
+            investment: position.investment,
+            targetPrice: position.targetPrice,
+            fees
+        });
+        this.futures.update();
+        this.staking.update({
+            tokensOwned: position.tokensOwned,
+            finalValue: position.finalValue,
+            profitLoss: position.profitLoss,
+            investment: position.investment,
+            targetPrice: position.targetPrice,
+            fees
+        });
+        this.marketCap.update({ tokensOwned: position.tokensOwned, targetPrice: position.targetPrice });
+        this.updateShareUrl();
+    }
+
+    // Fill in the unknown input (and values) so the net result meets the goal
+    solveUnknown(values, buyCount) {
+        const field = this.solveForSelect.value;
+        if (!field) {
+            return;
+        }
+
+        const input = this.getSolvableInputs()[field];
+        const known = Object.keys(this.getSolvableInputs()).filter(name => name !== field);
+        const goal = this.getGoal();
+        let solved = null;
+
+        if (!goal) {
+            this.setSolveHint('Enter a profit or ROI goal');
+        } else if (field === 'investment' && goal.type !== 'profit') {
+            // Only flat fees make ROI depend on position size, which is rarely what was meant
+            this.setSolveHint('ROI barely depends on the amount invested; use a profit goal', true);
+        } else if (known.some(name => !values[name].isPositive())) {
+            this.setSolveHint('Fill in the other amounts to solve');
+        } else {
+            solved = this.solveForGoal(field, values, goal, buyCount);
+            this.setSolveHint(solved === null ? 'This goal can\'t be reached with these inputs' : '', solved === null);
+        }
+
+        values[field] = solved || Decimal.from(0);
+
+        // The investment input is in the investment currency; values are in the quote currency
+        const inputValue = field === 'investment' && solved !== null ? solved.dividedBy(this.investmentRate) : solved;
+        input.value = inputValue === null ? '' : inputValue.toSignificant(8);
+    }
+
+    // Net profit, ROI and multiple all move monotonically with each input (up with investment
+    // and target, down with purchase price), so bisect on a log scale over the whole range.
+    // Going through computePosition keeps every fee and slippage setting in the answer.
+    // Outcomes are compared in Decimal; only the bisection bounds are floats, as Decimal
+    // has no square root. Returns a Decimal, or null when the goal is out of reach.
+    solveForGoal(field, values, goal, buyCount = 1) {
+        const goalValue = Decimal.from(goal.value);
+        const target = goal.type === 'multiple' ? goalValue.minus(1).times(100) : goalValue;
+        const outcome = (value) => {
+            const trial = { ...values, [field]: value };
+            const { profitLoss } = this.computePosition(
+                trial.investment,
+                trial.purchasePrice,
+                trial.targetPrice,
+                trial.fees,
+                buyCount
+            );
+            return goal.type === 'profit' ? profitLoss : profitLoss.times(100).dividedBy(trial.investment);
+        };
+
+        let low = SOLVE_RANGE.min;
+        let high = SOLVE_RANGE.max;
+        const lowOutcome = outcome(low);
+        const highOutcome = outcome(high);
+        const rising = highOutcome.compare(lowOutcome) >= 0;
+        const [lowest, highest] = rising ? [lowOutcome, highOutcome] : [highOutcome, lowOutcome];
 
+        if (target.compare(lowest) < 0 || target.compare(highest) > 0) {
+            return null;
+        }
+
+        for (let i = 0; i < SOLVE_RANGE.iterations && high / low > 1 + 1e-12; i++) {
+            const mid = Math.sqrt(low * high);
+            if ((outcome(mid).compare(target) < 0) === rising) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return Decimal.from(high);
+    }
+
+    setSolveHint(message, isError = false) {
+        this.solveHint.textContent = message;
+        this.solveHint.classList.toggle('error', isError);
+    }
+
+    // buyCount is the number of buy trades, so flat buy fees are charged per lot.
+    // The arithmetic runs on Decimal: float64 loses digits once a sub-cent price meets a
+    // large investment or a quadrillion-token position. Amounts may be numbers or Decimals;
+    // results stay Decimal until they are formatted.
+    computePosition(investment, purchasePrice, targetPrice, fees, buyCount = 1) {
         // Apply the mathematical formulas from the specification:
         // Tokens Owned = Initial Investment Amount / Initial Price per Token
-        const tokensOwned = purchasePrice > 0 ? investment / purchasePrice : 0;
-
         // Final Value = Tokens Owned × Target Price per Token
-        const finalValue = tokensOwned * targetPrice;
-
         // Profit/Loss = Final Value - Initial Investment Amount
-        const profitLoss = finalValue - investment;
+        // The gross figures ignore every trading cost.
+        const zero = Decimal.from(0);
+        const one = Decimal.from(1);
+        const amount = Decimal.from(investment);
+        const entryPrice = Decimal.from(purchasePrice);
+        const exitPrice = Decimal.from(targetPrice);
 
-        // Update the display with animation
-        this.updateDisplay(tokensOwned, finalValue, profitLoss, coin);
+        const grossTokens = entryPrice.isPositive() ? amount.dividedBy(entryPrice) : zero;
+        const grossProfitLoss = grossTokens.times(exitPrice).minus(amount);
+
+        const slippageRate = Decimal.from(fees.slippage).dividedBy(100);
+
+        // Buy side: the fee comes out of the investment and slippage raises the fill price
+        const buyFee = fees.buyFee.type === 'flat' ?
+            Decimal.from(fees.buyFee.value).times(buyCount) :
+            this.computeFee(fees.buyFee, amount);
+        const buyPrice = entryPrice.times(one.plus(slippageRate));
+        const tokensBought = buyPrice.isPositive() ?
+            Decimal.max(amount.minus(buyFee), zero).dividedBy(buyPrice) :
+            zero;
+
+        // The withdrawal/network fee is charged in tokens
+        const tokensOwned = Decimal.max(tokensBought.minus(fees.networkFee), zero);
+
+        // Sell side: slippage lowers the fill price and the fee comes out of the proceeds
+        const sellPrice = exitPrice.times(one.minus(slippageRate));
+        const proceeds = tokensOwned.times(sellPrice);
+        const finalValue = Decimal.max(proceeds.minus(this.computeFee(fees.sellFee, proceeds)), zero);
+        const profitLoss = finalValue.minus(amount);
+        const breakEvenPrice = this.computeBreakEvenPrice(amount, tokensOwned, fees.sellFee, slippageRate);
+
+        return {
+            tokensOwned,
+            finalValue,
+            profitLoss,
+            grossProfitLoss,
+            // Everything that separates gross from net, slippage included
+            totalFees: grossProfitLoss.minus(profitLoss),
+            breakEvenPrice
+        };
     }
 
-    updateDisplay(tokensOwned, finalValue, profitLoss, coin) {
+    // computePosition for the panels, which work in numbers
+    computePositionNumbers(investment, purchasePrice, targetPrice, fees, buyCount = 1) {
+        return this.toNumbers(this.computePosition(investment, purchasePrice, targetPrice, fees, buyCount));
+    }
+
+    // Copy with every Decimal field turned into a number; anything else is kept as is
+    toNumbers(values) {
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+            key,
+            value instanceof Decimal ? value.toNumber() : value
+        ]));
+    }
+
+    // Decimal in, Decimal out; plain numbers are still accepted by the other panels
+    computeFee(fee, amount) {
+        if (amount instanceof Decimal) {
+            return fee.type === 'flat' ?
+                Decimal.from(fee.value) :
+                amount.times(fee.value).dividedBy(100);
+        }
+
+        if (fee.type === 'flat') {
+            return fee.value;
+        }
+        return amount * fee.value / 100;
+    }
+
+    // Target price at which the net proceeds exactly repay the investment (Decimal arguments)
+    computeBreakEvenPrice(investment, tokensOwned, sellFee, slippageRate) {
+        const sellableValue = tokensOwned.times(Decimal.from(1).minus(slippageRate));
+        if (!investment.isPositive() || !sellableValue.isPositive()) {
+            return null;
+        }
+
+        if (sellFee.type === 'flat') {
+            return investment.plus(sellFee.value).dividedBy(sellableValue);
+        }
+
+        const keptRate = Decimal.from(1).minus(Decimal.from(sellFee.value).dividedBy(100));
+        return keptRate.isPositive() ? investment.dividedBy(sellableValue.times(keptRate)) : null;
+    }
+
+    // Figures arrive as Decimals and become numbers here, for formatting
+    updateDisplay(exactResult, coin) {
+        const result = this.toNumbers(exactResult);
+        result.lotResults = exactResult.lotResults.map(lot => this.toNumbers(lot));
+
         // Add update animation class
         this.outputElements.forEach(element => {
             element.classList.add('updating');
@@ -113,15 +1137,45 @@ class CryptoCalculator {
 
         // Format and update tokens owned with coin symbol if available
         const tokenDisplay = coin ? 
-            `${this.formatTokens(tokensOwned)} ${coin.symbol.toUpperCase()}` : 
-            this.formatTokens(tokensOwned);
+            `${this.formatTokens(result.tokensOwned)} ${coin.symbol.toUpperCase()}` : 
+            this.formatTokens(result.tokensOwned);
         this.tokensOwnedOutput.textContent = tokenDisplay;
 
+        this.updateInvestmentConversion();
+
+        this.averageEntryOutput.textContent = result.averageEntryPrice > 0 ?
+            this.formatPrice(result.averageEntryPrice) :
+            '—';
+
+        // Per-lot breakdown at the target price
+        this.lotManager.updateResults(
+            result.lotResults,
+            this.formatTokens.bind(this),
+            this.formatCurrency.bind(this)
+        );
+
         // Format and update total value
-        this.totalValueOutput.textContent = this.formatCurrency(finalValue);
+        this.totalValueOutput.textContent = this.formatCurrency(result.finalValue);
+
+        // Format and update net and gross profit/loss with color coding
+        this.updateProfitLoss(this.profitLossOutput, result.profitLoss);
+        this.updateProfitLoss(this.grossProfitLossOutput, result.grossProfitLoss);
 
-        // Format and update profit/loss with color coding
-        this.updateProfitLoss(profitLoss);
+        this.addToPortfolioButton.disabled = !coin || result.tokensOwned <= 0;
+
+        if (result.roi === null) {
+            this.roiOutput.textContent = '—';
+            this.roiOutput.classList.remove('positive', 'negative', 'neutral');
+        } else {
+            this.updateProfitLoss(this.roiOutput, result.roi);
+            this.roiOutput.textContent = this.formatPercent(result.roi);
+        }
+        this.updateLiveOutputs();
+
+        this.totalFeesOutput.textContent = this.formatCurrency(result.totalFees);
+        this.breakEvenOutput.textContent = result.breakEvenPrice === null ?
+            '—' :
+            this.formatPrice(result.breakEvenPrice);
 
         // Remove animation class after a short delay
         setTimeout(() => {
@@ -131,61 +1185,126 @@ class CryptoCalculator {
         }, 150);
     }
 
-    updateProfitLoss(profitLoss) {
+    // Current price, unrealized P/L and move needed; cheap enough to redraw on every live tick
+    updateLiveOutputs() {
+        const livePrice = this.livePrice;
+        if (!(livePrice > 0)) {
+            this.currentPriceOutput.textContent = '—';
+            this.unrealizedOutput.textContent = '—';
+            this.unrealizedOutput.classList.remove('positive', 'negative', 'neutral');
+            this.moveNeededOutput.textContent = '—';
+            return;
+        }
+
+        const { investment, purchasePrice, targetPrice, fees, mode, lots } = this.getInputValues();
+        this.currentPriceOutput.textContent = this.formatPrice(livePrice);
+
+        if (investment.isPositive() && purchasePrice.isPositive()) {
+            const { profitLoss } = this.computePosition(investment, purchasePrice, livePrice, fees, mode === 'dca' ? lots.length : 1);
+            this.updateProfitLoss(this.unrealizedOutput, profitLoss.toNumber());
+        } else {
+            this.unrealizedOutput.textContent = '—';
+            this.unrealizedOutput.classList.remove('positive', 'negative', 'neutral');
+        }
+
+        this.moveNeededOutput.textContent = targetPrice.isPositive() ?
+            this.formatPercent((targetPrice.toNumber() / livePrice - 1) * 100) :
+            '—';
+    }
+
+    // Show the investment in the quote currency when it was made in another fiat
+    updateInvestmentConversion() {
+        const investmentCurrency = this.investmentCurrencySelect.value;
+        const amount = parseFloat(this.investmentInput.value) || 0;
+
+        if (!investmentCurrency || investmentCurrency === this.quoteCurrency || amount <= 0) {
+            this.investmentConversionHint.textContent = '';
+            return;
+        }
+
+        this.investmentConversionHint.textContent =
+            `≈ ${this.formatCurrency(amount * this.investmentRate)} in ${this.quoteCurrency.toUpperCase()}`;
+    }
+
+    updateProfitLoss(element, profitLoss) {
         const formatted = this.formatCurrency(profitLoss, true);
-        this.profitLossOutput.textContent = formatted;
+        element.textContent = formatted;
 
         // Remove all color classes
-        this.profitLossOutput.classList.remove('positive', 'negative', 'neutral');
+        element.classList.remove('positive', 'negative', 'neutral');
 
         // Add appropriate color class based on profit/loss
         if (profitLoss > 0) {
-            this.profitLossOutput.classList.add('positive');
+            element.classList.add('positive');
         } else if (profitLoss < 0) {
-            this.profitLossOutput.classList.add('negative');
+            element.classList.add('negative');
         } else {
-            this.profitLossOutput.classList.add('neutral');
+            element.classList.add('neutral');
         }
     }
 
     formatTokens(tokens) {
         if (tokens === 0) return '0';
+
+        const locale = QUOTE_CURRENCIES[this.quoteCurrency].locale;
         
-        // Format tokens with appropriate precision
-        if (tokens >= 1) {
-            return tokens.toLocaleString('en-US', {
+        // Whole tokens keep up to 6 decimals, but never more than the 15 significant
+        // digits a number can carry (a quadrillion-token position shows no decimals)
+        if (Math.abs(tokens) >= 1) {
+            return tokens.toLocaleString(locale, {
                 maximumFractionDigits: 6,
-                minimumFractionDigits: 0
+                maximumSignificantDigits: 15,
+                roundingPriority: 'lessPrecision'
             });
         } else {
-            // For fractional tokens, show more decimal places
-            return tokens.toLocaleString('en-US', {
-                maximumFractionDigits: 8,
-                minimumFractionDigits: 0
+            // Fractions of a token are counted in significant digits so dust never rounds to 0
+            return tokens.toLocaleString(locale, {
+                maximumSignificantDigits: 6
             });
         }
     }
 
     formatCurrency(amount, showSign = false) {
-        if (amount === 0) return '$0.00';
+        if (amount === 0) return this.getCurrencyFormatter().format(0);
 
         const sign = showSign && amount > 0 ? '+' : '';
         const absAmount = Math.abs(amount);
         
-        // Format large numbers with appropriate suffixes
-        if (absAmount >= 1000000000) {
-            const formatted = (absAmount / 1000000000).toFixed(2);
-            return `${sign}$${formatted}B`;
-        } else if (absAmount >= 1000000) {
-            const formatted = (absAmount / 1000000).toFixed(2);
-            return `${sign}$${formatted}M`;
-        } else if (absAmount >= 1000) {
-            const formatted = (absAmount / 1000).toFixed(2);
-            return `${sign}$${formatted}K`;
+        // Large numbers use the locale's compact suffixes (K, M, B, mil, Mio. ...)
+        // and amounts under a cent keep their significant digits instead of showing 0.00
+        let formatter;
+        if (absAmount >= 1000) {
+            formatter = this.getCurrencyFormatter({
+                notation: 'compact',
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            });
+        } else if (absAmount < 0.01) {
+            formatter = this.getCurrencyFormatter({ maximumSignificantDigits: 3 });
         } else {
-            const formatted = absAmount.toFixed(2);
-            return `${sign}$${formatted}`;
+            formatter = this.getCurrencyFormatter({
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            });
         }
+
+        return `${sign}${formatter.format(absAmount)}`;
+    }
+
+    // Per-token prices can be far below a cent, so keep significant digits
+    formatPrice(price) {
+        if (price >= 1) {
+            return this.formatCurrency(price);
+        }
+        return this.getCurrencyFormatter({ maximumSignificantDigits: 4 }).format(price);
+    }
+
+    formatPercent(percent, showSign = true) {
+        return new Intl.NumberFormat(QUOTE_CURRENCIES[this.quoteCurrency].locale, {
+            style: 'percent',
+            maximumFractionDigits: 2,
+            signDisplay: showSign ? 'exceptZero' : 'auto'
+        }).format(percent / 100);
     }
 
     // Utility method to reset all fields
@@ -195,20 +1314,36 @@ class CryptoCalculator {
         this.investmentInput.value = '';
         this.purchasePriceInput.value = '';
         this.targetPriceInput.value = '';
-        this.calculate();
+        this.purchaseDateInput.value = '';
+        this.investmentCurrencySelect.value = '';
+        this.investmentRate = 1;
+        this.setPurchaseDateHint('Fills in the price on that day');
+        this.setPriceSource(null);
+        this.buyFeeInput.value = '';
+        this.sellFeeInput.value = '';
+        this.slippageInput.value = '';
+        this.networkFeeInput.value = '';
+        this.goalValueInput.value = '';
+        this.goalTypeSelect.value = 'profit';
+        this.livePrice = null;
+        this.syncLiveStream();
+        this.refreshMarketCap();
+        this.lotManager.clear();
+        this.setPositionMode('single');
+        this.setSolveFor('');
     }
 
     // Method to set example values for demonstration
     async setExampleBitcoin() {
         try {
-            // Find Bitcoin in the dropdown service
-            const coinGeckoService = this.cryptoDropdown.coinGeckoService;
-            await coinGeckoService.fetchCoinList();
-            const bitcoinCoin = coinGeckoService.getCoinById('bitcoin');
+            // Find Bitcoin in the shared price service
+            const priceService = this.priceService;
+            await priceService.fetchCoinList();
+            const bitcoinCoin = priceService.getCoinById('bitcoin');
             
             if (bitcoinCoin) {
                 // Simulate selecting Bitcoin
-                const priceData = await coinGeckoService.fetchCoinPrice('bitcoin');
+                const priceData = await priceService.fetchCoinPrice('bitcoin', this.quoteCurrency);
                 this.handleCoinSelection(bitcoinCoin, priceData);
                 
                 // Set example values
@@ -217,8 +1352,7 @@ class CryptoCalculator {
                 this.calculate();
                 
                 // Update dropdown display
-                this.cryptoDropdown.updateSelectedDisplay(bitcoinCoin);
-                this.cryptoDropdown.selectedCoin = bitcoinCoin;
+                this.cryptoDropdown.setSelectedCoin(bitcoinCoin);
             }
         } catch (error) {
             console.error('Error setting Bitcoin example:', error);
@@ -0,0 +1,369 @@
+// Scenario Sensitivity for Profit Pulse
+// Price ladder and entry × target grid of P/L, value and ROI around the current position
+
+const LADDER_MODES = {
+    multiples: { label: 'Multiples', placeholder: '0.5, 2, 5, 10' },
+    percent: { label: '% steps', placeholder: '25' },
+    custom: { label: 'Custom prices', placeholder: '40000, 60000, 80000' }
+};
+
+const LADDER_MAX_ROWS = 60;
+const LADDER_PERCENT_STEPS = 10; // Steps above the base price; steps below stop before -100%
+const GRID_MAX_PRICES = 30; // Per axis; every cell is a full computePosition
+const GRID_RENDER_DELAY = 250; // ms of quiet input before the grid is rebuilt
+
+// Builds the scenarios (no DOM access)
+class ScenarioLadder {
+    // computePosition(investment, purchasePrice, targetPrice, fees, buyCount) -> calculator result
+    constructor(computePosition) {
+        this.computePosition = computePosition;
+    }
+
+    // Comma/space separated positive numbers, duplicates removed, in ascending order
+    parseNumbers(spec) {
+        const numbers = String(spec || '')
+            .split(/[\s,;]+/)
+            .map(part => parseFloat(part.replace(/x$/i, '')))
+            .filter(number => Number.isFinite(number) && number > 0);
+        return [...new Set(numbers)].sort((a, b) => a - b).slice(0, LADDER_MAX_ROWS);
+    }
+
+    // Prices to evaluate around base for the chosen mode
+    buildPrices(mode, spec, base) {
+        const text = String(spec || '').trim() || LADDER_MODES[mode].placeholder;
+
+        if (mode === 'custom') {
+            return this.parseNumbers(text);
+        }
+        if (!(base > 0)) {
+            return [];
+        }
+
+        if (mode === 'percent') {
+            const step = parseFloat(text);
+            if (!(step > 0)) {
+                return [];
+            }
+
+            // Tiny steps would need millions of rows to reach -100%, so start at most LADDER_MAX_ROWS back
+            const first = Math.max(-Math.ceil(100 / step) + 1, LADDER_PERCENT_STEPS - LADDER_MAX_ROWS + 1);
+            const prices = [];
+            for (let k = first; k <= LADDER_PERCENT_STEPS; k++) {
+                prices.push(base * (1 + k * step / 100));
+            }
+            return prices.filter(price => price > 0);
+        }
+
+        // Multiples always include 1x so the current entry is a reference row
+        return [...new Set([1, ...this.parseNumbers(text)])]
+            .sort((a, b) => a - b)
+            .map(multiple => base * multiple);
+    }
+
+    // One row per target price, plus the break-even price as its own highlighted row
+    buildLadder(position, targetPrices) {
+        const { investment, purchasePrice, fees, buyCount } = position;
+        const evaluate = (targetPrice) => {
+            const result = this.computePosition(investment, purchasePrice, targetPrice, fees, buyCount);
+            return {
+                targetPrice,
+                change: purchasePrice > 0 ? (targetPrice / purchasePrice - 1) * 100 : null,
+                profitLoss: result.profitLoss,
+                finalValue: result.finalValue,
+                roi: investment > 0 ? result.profitLoss / investment * 100 : null,
+                breakEvenPrice: result.breakEvenPrice
+            };
+        };
+
+        const rows = targetPrices.map(evaluate);
+        const breakEvenPrice = rows.length > 0 ? rows[0].breakEvenPrice : null;
+
+        if (breakEvenPrice !== null && !targetPrices.some(price => Math.abs(price - breakEvenPrice) < breakEvenPrice * 1e-9)) {
+            rows.push({ ...evaluate(breakEvenPrice), isBreakEven: true });
+        }
+
+        return rows.sort((a, b) => a.targetPrice - b.targetPrice);
+    }
+
+    // Evenly spaced subset that keeps the lowest and highest price
+    samplePrices(prices, limit = GRID_MAX_PRICES) {
+        if (prices.length <= limit) {
+            return prices;
+        }
+        return Array.from({ length: limit }, (_, index) => prices[Math.round(index * (prices.length - 1) / (limit - 1))]);
+    }
+
+    // Net P/L for every entry price (rows) × target price (columns)
+    buildGrid(position, entryPrices, targetPrices) {
+        const { investment, fees, buyCount } = position;
+
+        return entryPrices.map(entryPrice => {
+            const cells = targetPrices.map(targetPrice => {
+                const result = this.computePosition(investment, entryPrice, targetPrice, fees, buyCount);
+                return { targetPrice, profitLoss: result.profitLoss };
+            });
+
+            // The first profitable cell marks where break-even falls in this row
+            cells.forEach((cell, index) => {
+                cell.isBreakEven = cell.profitLoss >= 0 && (index === 0 || cells[index - 1].profitLoss < 0);
+            });
+
+            return { entryPrice, cells };
+        });
+    }
+
+    escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Plain numbers so spreadsheets can work with them; amounts are in the quote currency
+    // Prices keep their significant digits, since sub-cent tokens trade far below 1e-8
+    ladderToCsv(rows) {
+        const number = (value, digits) => value === null ? '' : Number(value.toFixed(digits));
+        const header = ['Target Price', 'Change vs Entry %', 'Net P/L', 'Total Value', 'ROI %', 'Break-even'];
+        const lines = rows.map(row => [
+            toInputValue(row.targetPrice),
+            number(row.change, 2),
+            number(row.profitLoss, 2),
+            number(row.finalValue, 2),
+            number(row.roi, 2),
+            row.isBreakEven ? 'yes' : ''
+        ]);
+
+        return [header, ...lines].map(line => line.map(value => this.escapeCsv(value)).join(',')).join('\n');
+    }
+
+    gridToCsv(grid) {
+        if (grid.length === 0) {
+            return '';
+        }
+
+        const header = ['Entry \\ Target', ...grid[0].cells.map(cell => toInputValue(cell.targetPrice))];
+        const lines = grid.map(row => [
+            toInputValue(row.entryPrice),
+            ...row.cells.map(cell => Number(cell.profitLoss.toFixed(2)))
+        ]);
+
+        return [header, ...lines].map(line => line.map(value => this.escapeCsv(value)).join(',')).join('\n');
+    }
+}
+
+// Sensitivity panel under the output card
+class SensitivityView {
+    constructor(containerId, formatter, computePosition) {
+        this.container = document.getElementById(containerId);
+        this.formatter = formatter; // Provides formatPrice, formatCurrency, formatPercent
+        this.ladder = new ScenarioLadder(computePosition);
+        this.position = null;
+        this.rows = [];
+        this.grid = [];
+        this.renderTimeout = null;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.updatePlaceholder();
+    }
+
+    initializeElements() {
+        this.modeSelect = document.getElementById('ladder-mode');
+        this.valuesInput = document.getElementById('ladder-values');
+        this.gridToggle = document.getElementById('ladder-grid');
+        this.exportButton = document.getElementById('ladder-export');
+        this.table = document.getElementById('ladder-table');
+        this.message = document.getElementById('ladder-message');
+    }
+
+    bindEvents() {
+        this.modeSelect.addEventListener('change', () => {
+            this.valuesInput.value = '';
+            this.updatePlaceholder();
+            this.render();
+        });
+
+        this.valuesInput.addEventListener('input', () => {
+            this.scheduleRender();
+        });
+
+        this.gridToggle.addEventListener('change', () => {
+            this.render();
+        });
+
+        this.exportButton.addEventListener('click', () => {
+            this.exportCsv();
+        });
+
+        // Nothing is computed while the panel is collapsed
+        this.container.addEventListener('toggle', () => {
+            this.render();
+        });
+    }
+
+    updatePlaceholder() {
+        this.valuesInput.placeholder = LADDER_MODES[this.modeSelect.value].placeholder;
+    }
+
+    // position: { investment, purchasePrice, targetPrice, fees, buyCount } in the quote currency
+    update(position) {
+        this.position = position;
+        this.scheduleRender();
+    }
+
+    // The ladder is cheap and follows every keystroke; the grid waits for input to pause
+    scheduleRender() {
+        clearTimeout(this.renderTimeout);
+        if (!this.gridToggle.checked) {
+            this.render();
+            return;
+        }
+        this.renderTimeout = setTimeout(() => this.render(), GRID_RENDER_DELAY);
+    }
+
+    render() {
+        clearTimeout(this.renderTimeout);
+        if (!this.container.open || !this.position) {
+            return;
+        }
+
+        const { investment, purchasePrice } = this.position;
+        this.rows = [];
+        this.grid = [];
+
+        if (!(investment > 0) || !(purchasePrice > 0)) {
+            this.showMessage('Enter an investment and purchase price to see scenarios');
+            return;
+        }
+
+        const prices = this.ladder.buildPrices(this.modeSelect.value, this.valuesInput.value, purchasePrice);
+        if (prices.length === 0) {
+            this.showMessage('Enter at least one valid value');
+            return;
+        }
+
+        this.showMessage('');
+        if (this.gridToggle.checked) {
+            const axis = this.ladder.samplePrices(prices);
+            this.grid = this.ladder.buildGrid(this.position, axis, axis);
+            this.renderGrid();
+            if (axis.length < prices.length) {
+                this.message.textContent = `Grid shows ${axis.length} of ${prices.length} prices, evenly spaced`;
+            }
+        } else {
+            this.rows = this.ladder.buildLadder(this.position, prices);
+            this.renderLadder();
+        }
+    }
+
+    renderLadder() {
+        const format = this.formatter;
+        const { targetPrice } = this.position;
+
+        this.table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Target</th>
+                    <th>Change</th>
+                    <th>Net P/L</th>
+                    <th>Value</th>
+                    <th>ROI</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const body = this.table.querySelector('tbody');
+        this.rows.forEach(row => {
+            const element = document.createElement('tr');
+            element.classList.toggle('break-even-row', Boolean(row.isBreakEven));
+            element.classList.toggle('current-row', targetPrice > 0 && Math.abs(row.targetPrice - targetPrice) < targetPrice * 1e-9);
+
+            const cells = [
+                `${format.formatPrice(row.targetPrice)}${row.isBreakEven ? ' (break-even)' : ''}`,
+                row.change === null ? '—' : format.formatPercent(row.change),
+                format.formatCurrency(row.profitLoss, true),
+                format.formatCurrency(row.finalValue),
+                row.roi === null ? '—' : format.formatPercent(row.roi)
+            ];
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 2 || index === 4) {
+                    cell.className = this.signClass(row.profitLoss);
+                }
+                element.appendChild(cell);
+            });
+
+            body.appendChild(element);
+        });
+    }
+
+    renderGrid() {
+        const format = this.formatter;
+        const head = document.createElement('tr');
+        ['Entry \\ Target', ...this.grid[0].cells.map(cell => format.formatPrice(cell.targetPrice))].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+
+        const body = document.createElement('tbody');
+        this.grid.forEach(row => {
+            const element = document.createElement('tr');
+            const label = document.createElement('th');
+            label.textContent = format.formatPrice(row.entryPrice);
+            element.appendChild(label);
+
+            row.cells.forEach(cell => {
+                const td = document.createElement('td');
+                td.textContent = format.formatCurrency(cell.profitLoss, true);
+                td.className = this.signClass(cell.profitLoss);
+                td.classList.toggle('break-even-cell', cell.isBreakEven);
+                element.appendChild(td);
+            });
+
+            body.appendChild(element);
+        });
+
+        const thead = document.createElement('thead');
+        thead.appendChild(head);
+        this.table.replaceChildren(thead, body);
+    }
+
+    signClass(amount) {
+        if (amount > 0) {
+            return 'positive';
+        }
+        return amount < 0 ? 'negative' : '';
+    }
+
+    showMessage(message) {
+        this.message.textContent = message;
+        if (message) {
+            this.table.innerHTML = '';
+        }
+    }
+
+    exportCsv() {
+        const csv = this.gridToggle.checked ?
+            this.ladder.gridToCsv(this.grid) :
+            this.ladder.ladderToCsv(this.rows);
+        if (!csv) {
+            return;
+        }
+
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.gridToggle.checked ? 'entry-target-grid.csv' : 'price-ladder.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioLadder, SensitivityView, LADDER_MODES, GRID_MAX_PRICES };
+}
@@ -0,0 +1,179 @@
+// Share Links for Profit Pulse
+// Encodes the calculator state into the URL hash and validates it on the way back in
+
+const SHARE_LIMITS = {
+    maxAmount: 1e15,
+    maxLots: 100
+};
+
+// Bumped when a parameter changes meaning; links without `v` predate versioning and read as 1
+const SHARE_LINK_VERSION = 1;
+
+const SOLVE_FIELDS = ['targetPrice', 'investment', 'purchasePrice'];
+const GOAL_TYPES = ['profit', 'roi', 'multiple'];
+
+class ShareLinkCodec {
+    constructor(supportedCurrencies = ['usd']) {
+        this.supportedCurrencies = supportedCurrencies;
+    }
+
+    // State -> "coin=bitcoin&inv=10000&..." (empty values are left out)
+    encode(state) {
+        const params = new URLSearchParams();
+        const set = (key, value) => {
+            if (value !== undefined && value !== null && value !== '' && value !== 0) {
+                params.set(key, String(value));
+            }
+        };
+
+        set('v', SHARE_LINK_VERSION);
+        set('coin', state.coinId);
+        set('cur', state.currency !== 'usd' ? state.currency : '');
+        set('mode', state.mode !== 'single' ? state.mode : '');
+        set('inv', state.investment);
+        set('invcur', state.investmentCurrency);
+        set('buy', state.purchasePrice);
+        set('date', state.purchaseDate);
+        set('target', state.targetPrice);
+
+        if (state.fees) {
+            set('bf', state.fees.buyFee.value);
+            set('bft', state.fees.buyFee.value && state.fees.buyFee.type !== 'percent' ? state.fees.buyFee.type : '');
+            set('sf', state.fees.sellFee.value);
+            set('sft', state.fees.sellFee.value && state.fees.sellFee.type !== 'percent' ? state.fees.sellFee.type : '');
+            set('slip', state.fees.slippage);
+            set('net', state.fees.networkFee);
+        }
+
+        if (state.solveFor) {
+            set('solve', state.solveFor);
+            if (state.goal) {
+                set('goal', state.goal.value);
+                set('goalt', state.goal.type !== 'profit' ? state.goal.type : '');
+            }
+        }
+
+        if (state.mode === 'dca' && state.lots && state.lots.length > 0) {
+            // date:amount:price;date:amount:price
+            set('lots', state.lots
+                .map(lot => `${lot.date || ''}:${lot.amount}:${lot.price}`)
+                .join(';'));
+        }
+
+        return params.toString();
+    }
+
+    // Hash/query string -> validated state; anything invalid is dropped and reported
+    decode(queryString) {
+        const params = new URLSearchParams(queryString.replace(/^[#?]/, ''));
+        const state = {};
+        const rejected = [];
+
+        // A newer app may have changed what the parameters mean, so none of them are trusted
+        if (params.has('v')) {
+            const version = params.get('v');
+            if (!/^\d{1,6}$/.test(version) || Number(version) < 1 || Number(version) > SHARE_LINK_VERSION) {
+                return { state: this.decode('').state, rejected: ['v'] };
+            }
+        }
+
+        const read = (key, validate) => {
+            if (!params.has(key)) {
+                return undefined;
+            }
+            const value = validate(params.get(key));
+            if (value === undefined) {
+                rejected.push(key);
+            }
+            return value;
+        };
+
+        state.coinId = read('coin', value => /^[a-z0-9-]{1,100}$/.test(value) ? value : undefined);
+        state.currency = read('cur', value => this.supportedCurrencies.includes(value) ? value : undefined);
+        state.mode = read('mode', value => (value === 'dca' || value === 'single') ? value : undefined);
+        state.investment = read('inv', value => this.parseAmount(value));
+        state.investmentCurrency = read('invcur', value => this.supportedCurrencies.includes(value) ? value : undefined);
+        state.purchasePrice = read('buy', value => this.parseAmount(value));
+        state.purchaseDate = read('date', value => this.parseDate(value));
+        state.targetPrice = read('target', value => this.parseAmount(value));
+
+        const feeType = value => (value === 'percent' || value === 'flat') ? value : undefined;
+        const buyFeeType = read('bft', feeType) || 'percent';
+        const sellFeeType = read('sft', feeType) || 'percent';
+        const percentOrAmount = type => value => {
+            const amount = this.parseAmount(value);
+            return type === 'percent' && amount > 100 ? undefined : amount;
+        };
+
+        state.fees = {
+            buyFee: { value: read('bf', percentOrAmount(buyFeeType)), type: buyFeeType },
+            sellFee: { value: read('sf', percentOrAmount(sellFeeType)), type: sellFeeType },
+            slippage: read('slip', percentOrAmount('percent')),
+            networkFee: read('net', value => this.parseAmount(value))
+        };
+
+        state.lots = read('lots', value => this.parseLots(value));
+
+        state.solveFor = read('solve', value => SOLVE_FIELDS.includes(value) ? value : undefined);
+        const goalType = read('goalt', value => GOAL_TYPES.includes(value) ? value : undefined) || 'profit';
+        // Loss goals are valid for profit and ROI; ROI can't go below -100%
+        const goalValue = read('goal', value => {
+            const amount = goalType === 'multiple' ? this.parseAmount(value) : this.parseSignedAmount(value);
+            return goalType === 'roi' && amount < -100 ? undefined : amount;
+        });
+        state.goal = goalValue !== undefined ? { type: goalType, value: goalValue } : undefined;
+
+        return { state, rejected };
+    }
+
+    parseAmount(value) {
+        if (!/^\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) {
+            return undefined;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 && number < SHARE_LIMITS.maxAmount ? number : undefined;
+    }
+
+    parseSignedAmount(value) {
+        const amount = this.parseAmount(String(value).replace(/^-/, ''));
+        return amount !== undefined && value.startsWith('-') ? -amount : amount;
+    }
+
+    parseDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return undefined;
+        }
+        const time = Date.parse(`${value}T00:00:00Z`);
+        return Number.isFinite(time) && time <= Date.now() ? value : undefined;
+    }
+
+    parseLots(value) {
+        const entries = value.split(';');
+        if (entries.length > SHARE_LIMITS.maxLots) {
+            return undefined;
+        }
+
+        const lots = [];
+        for (const entry of entries) {
+            const [date, amount, price] = entry.split(':');
+            const lot = {
+                date: date ? this.parseDate(date) : '',
+                amount: this.parseAmount(amount),
+                price: this.parseAmount(price)
+            };
+
+            // One bad lot invalidates the list rather than silently changing the position
+            if (lot.date === undefined || lot.amount === undefined || lot.price === undefined) {
+                return undefined;
+            }
+            lots.push(lot);
+        }
+
+        return lots;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShareLinkCodec, SHARE_LINK_VERSION, SHARE_LIMITS };
+}
@@ -0,0 +1,228 @@
+// Staking & Yield for Profit Pulse
+// Grows the token count over a holding period and splits P/L into price vs. yield
+
+const COMPOUNDING_PERIODS = {
+    none: 0, // Simple interest: rewards are never restaked
+    daily: 365,
+    weekly: 52,
+    monthly: 12,
+    yearly: 1
+};
+
+const STAKING_MAX_MONTHS = 600;
+
+// Token growth arithmetic (no DOM access)
+class StakingEngine {
+    // computeFee(fee, amount) -> fee charged on a sale of that size
+    constructor(computeFee) {
+        this.computeFee = computeFee;
+    }
+
+    // Reward rate per compounding period. An APY already includes compounding,
+    // so it is converted back to the per-period rate that produces it. Without
+    // compounding an APY is taken as compounding daily and accrues at its APR:
+    // accruing the APY itself would overstate every term short of whole years.
+    periodRate(rate, rateType, periodsPerYear) {
+        const annual = rate / 100;
+        if (!periodsPerYear) {
+            return rateType === 'apy' ?
+                this.periodRate(rate, rateType, COMPOUNDING_PERIODS.daily) * COMPOUNDING_PERIODS.daily :
+                annual;
+        }
+        return rateType === 'apy' ?
+            (1 + annual) ** (1 / periodsPerYear) - 1 :
+            annual / periodsPerYear;
+    }
+
+    // Balance multiplier after `years`: whole periods compound, the current one accrues simply
+    growthFactor(rate, rateType, compounding, years) {
+        const periodsPerYear = COMPOUNDING_PERIODS[compounding];
+        const periodRate = this.periodRate(rate, rateType, periodsPerYear);
+
+        if (!periodsPerYear) {
+            return 1 + periodRate * years;
+        }
+
+        const periods = periodsPerYear * years;
+        const whole = Math.floor(periods + 1e-9);
+        return (1 + periodRate) ** whole * (1 + periodRate * Math.max(periods - whole, 0));
+    }
+
+    // Net proceeds of selling tokens at price, after slippage and the sell fee
+    sell(tokens, price, fees) {
+        if (!(tokens > 0) || !(price > 0)) {
+            return 0;
+        }
+
+        const gross = tokens * price * (1 - fees.slippage / 100);
+        return Math.max(gross - this.computeFee(fees.sellFee, gross), 0);
+    }
+
+    // position: { tokensOwned, investment, targetPrice, fees, finalValue, profitLoss } from the calculator
+    // staking: { rate (%), rateType: 'apy' | 'apr', compounding, months }
+    project(position, staking) {
+        const { tokensOwned, targetPrice, fees } = position;
+        const months = Math.min(Math.max(Math.round(staking.months), 0), STAKING_MAX_MONTHS);
+        const balanceAt = (month) => tokensOwned * this.growthFactor(
+            staking.rate, staking.rateType, staking.compounding, month / 12
+        );
+
+        const schedule = [];
+        let previous = tokensOwned;
+        for (let month = 1; month <= months; month++) {
+            const balance = balanceAt(month);
+            schedule.push({ month, balance, rewards: balance - previous });
+            previous = balance;
+        }
+
+        const finalTokens = balanceAt(months);
+        const finalValue = this.sell(finalTokens, targetPrice, fees);
+
+        // Price P/L is the calculator's own result; whatever the extra tokens add is yield
+        const yieldProfitLoss = finalValue - position.finalValue;
+
+        return {
+            months,
+            finalTokens,
+            rewardTokens: finalTokens - tokensOwned,
+            effectiveApy: (this.growthFactor(staking.rate, staking.rateType, staking.compounding, 1) - 1) * 100,
+            finalValue,
+            priceProfitLoss: position.profitLoss,
+            yieldProfitLoss,
+            totalProfitLoss: position.profitLoss + yieldProfitLoss,
+            schedule
+        };
+    }
+}
+
+// Staking panel under the output card
+class StakingView {
+    constructor(containerId, formatter, computeFee) {
+        this.container = document.getElementById(containerId);
+        this.formatter = formatter; // Provides formatTokens, formatCurrency, formatPercent
+        this.engine = new StakingEngine(computeFee);
+        this.position = null;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.rateInput = document.getElementById('staking-rate');
+        this.rateTypeSelect = document.getElementById('staking-rate-type');
+        this.compoundingSelect = document.getElementById('staking-compounding');
+        this.monthsInput = document.getElementById('staking-months');
+        this.results = document.getElementById('staking-results');
+        this.table = document.getElementById('staking-table');
+    }
+
+    bindEvents() {
+        [this.rateInput, this.rateTypeSelect, this.compoundingSelect, this.monthsInput].forEach(input => {
+            input.addEventListener('input', () => this.render());
+        });
+
+        // Nothing is computed while the panel is collapsed
+        this.container.addEventListener('toggle', () => {
+            this.render();
+        });
+    }
+
+    // position: { tokensOwned, investment, targetPrice, fees, finalValue, profitLoss } in the quote currency
+    update(position) {
+        this.position = position;
+        this.render();
+    }
+
+    render() {
+        if (!this.container.open || !this.position) {
+            return;
+        }
+
+        // The schedule is monthly, so a fraction of a month rounds before it is checked
+        const rate = parseFloat(this.rateInput.value);
+        const months = Math.round(parseFloat(this.monthsInput.value));
+        if (!(this.position.tokensOwned > 0) || !(rate > 0) || !(months > 0)) {
+            this.results.innerHTML = '<span class="input-hint">Enter a position, a reward rate and a holding period</span>';
+            this.table.innerHTML = '';
+            return;
+        }
+
+        const format = this.formatter;
+        const result = this.engine.project(this.position, {
+            rate,
+            rateType: this.rateTypeSelect.value,
+            compounding: this.compoundingSelect.value,
+            months
+        });
+
+        this.results.innerHTML = `
+            <div class="output-item">
+                <span class="output-label">Tokens After ${result.months} Months</span>
+                <span class="output-value">${format.formatTokens(result.finalTokens)} (+${format.formatTokens(result.rewardTokens)})</span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Effective APY</span>
+                <span class="output-value">${format.formatPercent(result.effectiveApy, false)}</span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Value at Target Price</span>
+                <span class="output-value">${format.formatCurrency(result.finalValue)}</span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">P/L from Price</span>
+                <span class="output-value profit-loss-value" data-output="price"></span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">P/L from Yield</span>
+                <span class="output-value profit-loss-value" data-output="yield"></span>
+            </div>
+            <div class="output-item">
+                <span class="output-label">Total Net P/L</span>
+                <span class="output-value profit-loss-value" data-output="total"></span>
+            </div>
+        `;
+
+        const setProfitLoss = (name, amount) => {
+            const element = this.results.querySelector(`[data-output="${name}"]`);
+            element.textContent = format.formatCurrency(amount, true);
+            element.classList.add(amount > 0 ? 'positive' : amount < 0 ? 'negative' : 'neutral');
+        };
+
+        setProfitLoss('price', result.priceProfitLoss);
+        setProfitLoss('yield', result.yieldProfitLoss);
+        setProfitLoss('total', result.totalProfitLoss);
+
+        this.renderSchedule(result.schedule);
+    }
+
+    renderSchedule(schedule) {
+        const format = this.formatter;
+        const { targetPrice, fees } = this.position;
+
+        this.table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Month</th>
+                    <th>Tokens</th>
+                    <th>Rewards</th>
+                    <th>Value at Target</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${schedule.map(row => `
+                    <tr>
+                        <td>${row.month}</td>
+                        <td>${format.formatTokens(row.balance)}</td>
+                        <td>+${format.formatTokens(row.rewards)}</td>
+                        <td>${format.formatCurrency(this.engine.sell(row.balance, targetPrice, fees))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StakingEngine, StakingView, COMPOUNDING_PERIODS, STAKING_MAX_MONTHS };
+}
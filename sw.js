@@ -1,13 +1,46 @@
 // Service Worker for Profit Pulse
 // Provides offline functionality and caching
 
-const CACHE_NAME = 'profit-pulse-v1';
+// Shared classes for background price alert checks
+importScripts('/coingecko-service.js', '/price-providers.js', '/idb-store.js', '/price-alerts.js');
+
+// Bump on every release. ASSET_HASH is written by tools/stamp-sw-version.js from the cached
+// files, so changing any of them also installs a fresh asset cache and evicts the old one
+const APP_VERSION = '1.12.1';
+const ASSET_HASH = 'ce4c898d07a1';
+const CACHE_NAME = `profit-pulse-${APP_VERSION}-${ASSET_HASH}`;
+
+// API responses outlive app versions so an update doesn't wipe the offline data
+const API_CACHE_NAME = 'profit-pulse-api';
+const API_CACHE_MAX_ENTRIES = 200; // Every distinct URL (id batches, history dates) is its own entry
+const API_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Older market data isn't worth showing even offline
+const API_HOSTS = ['api.coingecko.com', 'api.binance.com', 'api.kraken.com'];
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/script.js',
+    '/decimal.js',
+    '/coin-watchlist.js',
     '/coingecko-service.js',
+    '/price-providers.js',
+    '/fixtures/prices.json',
+    '/lot-manager.js',
+    '/portfolio.js',
+    '/tax-lots.js',
+    '/trade-importer.js',
+    '/share-link.js',
+    '/idb-store.js',
+    '/price-alerts.js',
+    '/sensitivity.js',
+    '/monte-carlo.js',
+    '/monte-carlo-worker.js',
+    '/exit-planner.js',
+    '/live-prices.js',
+    '/futures.js',
+    '/staking.js',
+    '/benchmark.js',
+    '/market-cap.js',
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
 ];
 
@@ -26,7 +59,7 @@ self.addEventListener('activate', event => {
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && cacheName !== API_CACHE_NAME) {
                         return caches.delete(cacheName);
                     }
                 })
@@ -35,8 +68,15 @@ self.addEventListener('activate', event => {
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - network-first for market data, cache-first for app assets
 self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+
+    if (event.request.method === 'GET' && API_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(event));
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {
@@ -44,4 +84,95 @@ self.addEventListener('fetch', event => {
                 return response || fetch(event.request);
             })
     );
+});
+
+// Market data always comes from the network while it is reachable. Error and rate limit
+// responses are passed through so the app's backoff and failover see them; the cached copy
+// only answers when the request fails outright, marked with CACHED_AT_HEADER so the app
+// shows it as stale with its real age.
+function networkFirst(event) {
+    return fetch(event.request)
+        .then(response => {
+            if (response.ok) {
+                event.waitUntil(storeApiResponse(event.request, response.clone()).catch(error => {
+                    console.error('Error caching API response:', error);
+                }));
+            }
+            return response;
+        })
+        .catch(error => readApiResponse(event.request).then(cached => {
+            if (!cached) {
+                throw error;
+            }
+            return cached;
+        }));
+}
+
+// The copy carries its fetch time, which the app reads back when it is served offline
+async function storeApiResponse(request, response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    const copy = new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+
+    const cache = await caches.open(API_CACHE_NAME);
+    await cache.put(request, copy);
+    await trimApiCache(cache);
+}
+
+// Expired copies (and ones stored before the fetch time was recorded) are dropped on read
+async function readApiResponse(request) {
+    const cache = await caches.open(API_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (!cached) {
+        return null;
+    }
+
+    const cachedAt = getCachedAt(cached);
+    if (!cachedAt || Date.now() - cachedAt > API_CACHE_MAX_AGE) {
+        await cache.delete(request);
+        return null;
+    }
+    return cached;
+}
+
+// Keys come back in insertion order and put() re-appends, so the first ones are the least recently stored
+async function trimApiCache(cache) {
+    const requests = await cache.keys();
+    const excess = requests.slice(0, Math.max(requests.length - API_CACHE_MAX_ENTRIES, 0));
+    await Promise.all(excess.map(request => cache.delete(request)));
+}
+
+// Periodic background sync - evaluate price alerts while the app is closed
+self.addEventListener('periodicsync', event => {
+    if (event.tag === PRICE_ALERT_SYNC_TAG) {
+        event.waitUntil(checkPriceAlerts());
+    }
+});
+
+function checkPriceAlerts() {
+    const priceService = new PriceService();
+    const engine = new PriceAlertEngine();
+
+    return engine.checkAlerts(
+        new IDBStore('alerts'),
+        coinId => priceService.fetchCoinPrice(coinId).then(priceData => engine.livePrice(priceData)),
+        alert => {
+            const { title, body } = engine.formatNotification(alert);
+            return self.registration.showNotification(title, { body, tag: alert.id });
+        }
+    );
+}
+
+// Notification click - focus an open window or start the app
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clientList => {
+            return clientList.length > 0 ? clientList[0].focus() : self.clients.openWindow('/');
+        })
+    );
 });
\ No newline at end of file
@@ -0,0 +1,670 @@
+// Tax Lots for Profit Pulse
+// Matches recorded sells against buys and reports realized/unrealized gains
+// Trades are stored in USD along with the currency and FX rate of their date, and
+// reports in any other currency look up the rate of each trade date as well
+
+const LOT_METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+
+// Pure lot matching engine (no DOM access)
+class TaxLotEngine {
+    // computePosition(investment, purchasePrice, targetPrice, fees) -> calculator result
+    constructor(computePosition, method = 'fifo') {
+        this.computePosition = computePosition;
+        this.method = LOT_METHODS.includes(method) ? method : 'fifo';
+    }
+
+    // Net proceeds of selling tokens at price less a flat fee, with the calculator's own
+    // position math: bought and sold at the same price, a position keeps what the fee leaves
+    saleProceeds(tokens, price, fee) {
+        if (!(price > 0)) {
+            return 0;
+        }
+
+        const { finalValue } = this.computePosition(Decimal.from(tokens).times(price), price, price, {
+            buyFee: { value: 0, type: 'flat' },
+            sellFee: { value: fee, type: 'flat' },
+            slippage: 0,
+            networkFee: 0
+        });
+        return finalValue.toNumber();
+    }
+
+    // Sort trades by date, buys before sells on the same day
+    sortTrades(trades) {
+        return trades
+            .map((trade, index) => ({ trade, index }))
+            .sort((a, b) => {
+                if (a.trade.date !== b.trade.date) {
+                    return a.trade.date < b.trade.date ? -1 : 1;
+                }
+                if (a.trade.type !== b.trade.type) {
+                    return a.trade.type === 'buy' ? -1 : 1;
+                }
+                return a.index - b.index;
+            })
+            .map(item => item.trade);
+    }
+
+    // Order in which open lots are consumed by a sell
+    orderLots(lots, sell) {
+        const ordered = [...lots];
+
+        switch (this.method) {
+            case 'lifo':
+                ordered.reverse();
+                break;
+            case 'hifo':
+                ordered.sort((a, b) => b.unitCost - a.unitCost);
+                break;
+            case 'specific': {
+                // The chosen lot goes first; anything left over falls back to FIFO
+                const chosenIndex = ordered.findIndex(lot => lot.buyId === sell.lotId);
+                if (chosenIndex > 0) {
+                    ordered.unshift(ordered.splice(chosenIndex, 1)[0]);
+                }
+                break;
+            }
+        }
+
+        return ordered;
+    }
+
+    // Held for more than one year counts as long-term
+    isLongTerm(acquired, sold) {
+        const oneYearLater = new Date(`${acquired}T00:00:00Z`);
+        oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+        return new Date(`${sold}T00:00:00Z`) > oneYearLater;
+    }
+
+    process(trades) {
+        const openLots = new Map(); // coinId -> lots still held
+        const disposals = [];
+        const errors = [];
+
+        this.sortTrades(trades).forEach(trade => {
+            if (!openLots.has(trade.coinId)) {
+                openLots.set(trade.coinId, []);
+            }
+            const lots = openLots.get(trade.coinId);
+
+            if (trade.type === 'buy') {
+                // Buy fees are part of the cost basis
+                lots.push({
+                    buyId: trade.id,
+                    coinId: trade.coinId,
+                    symbol: trade.symbol,
+                    date: trade.date,
+                    tokens: trade.tokens,
+                    unitCost: (trade.tokens * trade.price + (trade.fee || 0)) / trade.tokens
+                });
+                return;
+            }
+
+            // Sell fees reduce the proceeds pro rata across matched lots
+            const feePerToken = (trade.fee || 0) / trade.tokens;
+            let remaining = trade.tokens;
+
+            for (const lot of this.orderLots(lots, trade)) {
+                if (remaining <= 0) {
+                    break;
+                }
+
+                const matched = Math.min(lot.tokens, remaining);
+                const proceeds = this.saleProceeds(matched, trade.price, matched * feePerToken);
+                const costBasis = matched * lot.unitCost;
+
+                disposals.push({
+                    coinId: trade.coinId,
+                    symbol: trade.symbol,
+                    sellId: trade.id,
+                    buyId: lot.buyId,
+                    acquired: lot.date,
+                    sold: trade.date,
+                    tokens: matched,
+                    proceeds,
+                    costBasis,
+                    gain: proceeds - costBasis,
+                    term: this.isLongTerm(lot.date, trade.date) ? 'long' : 'short'
+                });
+
+                lot.tokens -= matched;
+                remaining -= matched;
+            }
+
+            // Drop fully consumed lots, allowing for float dust
+            openLots.set(trade.coinId, lots.filter(lot => lot.tokens > 1e-12));
+
+            if (remaining > 1e-12) {
+                errors.push({
+                    tradeId: trade.id,
+                    message: `Sell of ${trade.symbol.toUpperCase()} on ${trade.date} exceeds holdings by ${remaining}`
+                });
+            }
+        });
+
+        return {
+            disposals,
+            openLots: [...openLots.values()].flat(),
+            errors
+        };
+    }
+
+    // Realized gains grouped by tax year of the sale
+    buildYearlyReport(disposals) {
+        const years = new Map();
+
+        disposals.forEach(disposal => {
+            const year = disposal.sold.slice(0, 4);
+            if (!years.has(year)) {
+                years.set(year, { year, proceeds: 0, costBasis: 0, shortTerm: 0, longTerm: 0, total: 0 });
+            }
+
+            const entry = years.get(year);
+            entry.proceeds += disposal.proceeds;
+            entry.costBasis += disposal.costBasis;
+            entry[disposal.term === 'long' ? 'longTerm' : 'shortTerm'] += disposal.gain;
+            entry.total += disposal.gain;
+        });
+
+        return [...years.values()].sort((a, b) => a.year.localeCompare(b.year));
+    }
+
+    // Unrealized gains for open lots at the given prices (coinId -> price)
+    computeUnrealized(openLots, prices, asOf = new Date().toISOString().slice(0, 10)) {
+        const result = { shortTerm: 0, longTerm: 0, total: 0, missingPrices: [] };
+
+        openLots.forEach(lot => {
+            if (!prices.has(lot.coinId)) {
+                if (!result.missingPrices.includes(lot.coinId)) {
+                    result.missingPrices.push(lot.coinId);
+                }
+                return;
+            }
+
+            const gain = lot.tokens * (prices.get(lot.coinId) - lot.unitCost);
+            result[this.isLongTerm(lot.date, asOf) ? 'longTerm' : 'shortTerm'] += gain;
+            result.total += gain;
+        });
+
+        return result;
+    }
+
+    // Form 8949 style rows an accountant can import directly
+    toCsv(disposals, rate = 1) {
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const money = (value) => (value * rate).toFixed(2);
+
+        const header = ['Description', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis', 'Gain/Loss', 'Term'];
+        const rows = disposals.map(disposal => [
+            `${toInputValue(disposal.tokens)} ${disposal.symbol.toUpperCase()}`,
+            disposal.acquired,
+            disposal.sold,
+            money(disposal.proceeds),
+            money(disposal.costBasis),
+            money(disposal.gain),
+            disposal.term === 'long' ? 'Long-term' : 'Short-term'
+        ]);
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+}
+
+// Trade ledger storage backed by localStorage
+class TradeStore {
+    constructor(storageKey = 'profit-pulse-trades') {
+        this.storageKey = storageKey;
+        this.trades = this.load();
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const parsed = raw ? JSON.parse(raw) : [];
+            return Array.isArray(parsed) ? parsed.filter(trade => this.isValidTrade(trade)) : [];
+        } catch (error) {
+            console.error('Error loading trades:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.trades));
+        } catch (error) {
+            console.error('Error saving trades:', error);
+        }
+    }
+
+    isValidTrade(trade) {
+        return trade &&
+            typeof trade.id === 'string' &&
+            typeof trade.coinId === 'string' &&
+            typeof trade.symbol === 'string' &&
+            (trade.type === 'buy' || trade.type === 'sell') &&
+            /^\d{4}-\d{2}-\d{2}$/.test(trade.date) &&
+            Number.isFinite(trade.tokens) && trade.tokens > 0 &&
+            Number.isFinite(trade.price) && trade.price >= 0 &&
+            (trade.fee === undefined || (Number.isFinite(trade.fee) && trade.fee >= 0)) &&
+            (trade.currency === undefined || typeof trade.currency === 'string') &&
+            (trade.usdRate === undefined || (Number.isFinite(trade.usdRate) && trade.usdRate > 0));
+    }
+
+    getTrades() {
+        return this.trades.map(trade => ({ ...trade }));
+    }
+
+    addTrade(trade) {
+        const newTrade = {
+            id: `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...trade
+        };
+
+        if (!this.isValidTrade(newTrade)) {
+            throw new Error('Invalid trade. Check the date, token amount and price.');
+        }
+
+        this.trades.push(newTrade);
+        this.save();
+        return newTrade;
+    }
+
+    updateTrade(id, changes) {
+        const trade = this.trades.find(item => item.id === id);
+        if (trade) {
+            Object.assign(trade, changes);
+            this.save();
+        }
+    }
+
+    removeTrade(id) {
+        this.trades = this.trades.filter(trade => trade.id !== id);
+        this.save();
+    }
+}
+
+// Trades & taxes panel component
+class TaxLotView {
+    constructor(containerId, priceService, formatter, getSelectedCoin, computePosition) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.formatter = formatter; // Provides formatCurrency/formatTokens/formatPrice
+        this.getSelectedCoin = getSelectedCoin;
+        this.computePosition = computePosition;
+        this.store = new TradeStore();
+        this.engine = new TaxLotEngine(computePosition);
+        this.prices = new Map(); // USD prices by coin id
+        this.displayRate = 1; // Quote currency units per USD
+        this.currency = 'usd';
+        this.tradeRates = new Map(); // `${currency}_${date}` -> quote units per USD that day
+        this.rateRequests = new Map(); // Same keys, lookups in flight or done
+
+        this.initializeElements();
+        this.bindEvents();
+        this.render();
+        this.refreshPrices();
+    }
+
+    initializeElements() {
+        this.methodSelect = document.getElementById('lot-method');
+        this.tradeTypeSelect = document.getElementById('trade-type');
+        this.tradeDateInput = document.getElementById('trade-date');
+        this.tradeTokensInput = document.getElementById('trade-tokens');
+        this.tradePriceInput = document.getElementById('trade-price');
+        this.tradeFeeInput = document.getElementById('trade-fee');
+        this.addTradeButton = document.getElementById('add-trade');
+        this.tradeMessage = document.getElementById('trade-message');
+        this.tradeList = document.getElementById('trade-list');
+        this.reportBody = document.getElementById('gains-report');
+        this.unrealizedShortOutput = document.getElementById('unrealized-short');
+        this.unrealizedLongOutput = document.getElementById('unrealized-long');
+
+        this.tradeDateInput.value = new Date().toISOString().slice(0, 10);
+    }
+
+    bindEvents() {
+        this.methodSelect.addEventListener('change', () => {
+            this.engine = new TaxLotEngine(this.computePosition, this.methodSelect.value);
+            this.render();
+        });
+
+        this.addTradeButton.addEventListener('click', () => {
+            this.addTradeFromForm();
+        });
+
+        this.tradeList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.trade-remove');
+            if (removeButton) {
+                this.store.removeTrade(removeButton.dataset.tradeId);
+                this.render();
+            }
+        });
+
+        // Specific-ID lot selection on sells
+        this.tradeList.addEventListener('change', (e) => {
+            if (e.target.dataset.field === 'lotId') {
+                this.store.updateTrade(e.target.dataset.tradeId, { lotId: e.target.value || undefined });
+                this.render();
+            }
+        });
+
+        this.reportBody.addEventListener('click', (e) => {
+            const exportButton = e.target.closest('[data-export-year]');
+            if (exportButton) {
+                this.exportYear(exportButton.dataset.exportYear);
+            }
+        });
+    }
+
+    setDisplayRate(rate, currency = 'usd') {
+        this.displayRate = rate;
+        this.currency = currency;
+        this.render();
+        this.loadTradeRates();
+    }
+
+    // Quote currency units per USD on a trade's date: the rate it was stored with when it was
+    // entered in the current quote currency, otherwise that day's rate once it has been looked
+    // up (today's until then). Trades saved before rates were recorded were entered in USD.
+    rateFor(trade) {
+        const currency = trade.currency || 'usd';
+        if (currency === this.currency) {
+            return trade.usdRate || 1;
+        }
+        if (this.currency === 'usd') {
+            return 1;
+        }
+
+        const rate = this.tradeRates.get(`${this.currency}_${trade.date}`);
+        return rate === undefined ? this.displayRate : rate;
+    }
+
+    // Quote units per USD on a past date, looked up once per currency and date
+    getTradeRate(currency, date) {
+        const key = `${currency}_${date}`;
+        if (!this.rateRequests.has(key)) {
+            const request = this.priceService.getHistoricalExchangeRate('usd', currency, date)
+                .then(rate => {
+                    this.tradeRates.set(key, rate);
+                    return rate;
+                })
+                .catch(error => {
+                    // Forget the failure so the next report tries again
+                    this.rateRequests.delete(key);
+                    throw error;
+                });
+            this.rateRequests.set(key, request);
+        }
+        return this.rateRequests.get(key);
+    }
+
+    // Looks up the rate of every past trade date the report is missing, then redraws
+    async loadTradeRates() {
+        const currency = this.currency;
+        const today = new Date().toISOString().slice(0, 10);
+        const dates = [...new Set(this.store.getTrades()
+            .filter(trade => (trade.currency || 'usd') !== currency && trade.date < today)
+            .map(trade => trade.date))]
+            .filter(date => !this.tradeRates.has(`${currency}_${date}`));
+
+        if (currency === 'usd' || dates.length === 0) {
+            return;
+        }
+
+        const failed = [];
+        await Promise.all(dates.map(async (date) => {
+            try {
+                await this.getTradeRate(currency, date);
+            } catch (error) {
+                console.error(`Error loading the ${currency.toUpperCase()} rate for ${date}:`, error);
+                failed.push(date);
+            }
+        }));
+
+        // The currency may have changed while the rates loaded
+        if (this.currency !== currency) {
+            return;
+        }
+        this.render();
+        if (failed.length > 0) {
+            this.showMessage(`No ${currency.toUpperCase()} exchange rate for ${failed.sort().join(', ')}; ` +
+                'trades on those dates use today\'s rate', true);
+        }
+    }
+
+    // Trades with amounts in the quote currency, so lot matching works on reported values
+    getReportingTrades() {
+        return this.store.getTrades().map(trade => {
+            const rate = this.rateFor(trade);
+            return {
+                ...trade,
+                price: trade.price * rate,
+                fee: (trade.fee || 0) * rate
+            };
+        });
+    }
+
+    async addTradeFromForm() {
+        const coin = this.getSelectedCoin();
+        if (!coin) {
+            this.showMessage('Select a cryptocurrency first', true);
+            return;
+        }
+
+        const currency = this.currency;
+        const date = this.tradeDateInput.value;
+        const isPastDate = /^\d{4}-\d{2}-\d{2}$/.test(date) && date < new Date().toISOString().slice(0, 10);
+        let usdRate = this.displayRate;
+
+        // A past trade is converted at the rate of its date, not today's
+        if (currency !== 'usd' && isPastDate) {
+            try {
+                usdRate = await this.getTradeRate(currency, date);
+            } catch (error) {
+                this.showMessage(`Couldn't load the ${currency.toUpperCase()} exchange rate for ${date}. Try again later.`, true);
+                return;
+            }
+        }
+
+        try {
+            // Prices are entered in the quote currency and stored in USD with the rate used
+            this.addTrade({
+                coinId: coin.id,
+                symbol: coin.symbol,
+                type: this.tradeTypeSelect.value,
+                date,
+                tokens: parseFloat(this.tradeTokensInput.value),
+                price: parseFloat(this.tradePriceInput.value) / usdRate,
+                fee: (parseFloat(this.tradeFeeInput.value) || 0) / usdRate,
+                currency,
+                usdRate
+            });
+        } catch (error) {
+            this.showMessage(error.message, true);
+            return;
+        }
+
+        this.tradeTokensInput.value = '';
+        this.tradeFeeInput.value = '';
+        this.showMessage('');
+    }
+
+    // Public entry point for other components (e.g. importers); amounts in USD, with
+    // currency and usdRate set when they were converted from another currency
+    addTrade(trade) {
+        const newTrade = this.store.addTrade(trade);
+        this.render();
+        this.refreshPrices();
+        this.loadTradeRates();
+        return newTrade;
+    }
+
+    // Bulk variant for importers; invalid trades are returned rather than thrown
+    addTrades(trades) {
+        const added = [];
+        const rejected = [];
+
+        trades.forEach(trade => {
+            try {
+                added.push(this.store.addTrade(trade));
+            } catch (error) {
+                rejected.push(trade);
+            }
+        });
+
+        this.render();
+        this.refreshPrices();
+        this.loadTradeRates();
+        return { added, rejected };
+    }
+
+    showMessage(message, isError = false) {
+        this.tradeMessage.textContent = message;
+        this.tradeMessage.classList.toggle('error', isError);
+    }
+
+    async refreshPrices() {
+        const coinIds = [...new Set(this.store.getTrades().map(trade => trade.coinId))];
+
+        await Promise.all(coinIds.map(async (coinId) => {
+            try {
+                const priceData = await this.priceService.fetchCoinPrice(coinId);
+                this.prices.set(coinId, priceData.price);
+            } catch (error) {
+                console.error(`Error refreshing price for ${coinId}:`, error);
+            }
+        }));
+
+        this.render();
+    }
+
+    exportYear(year) {
+        const { disposals } = this.engine.process(this.getReportingTrades());
+        const rows = disposals.filter(disposal => disposal.sold.startsWith(year));
+        const csv = this.engine.toCsv(rows);
+
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `realized-gains-${year}-${this.engine.method}-${this.currency}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    render() {
+        const trades = this.getReportingTrades();
+        const { disposals, openLots, errors } = this.engine.process(trades);
+
+        this.renderTrades(this.engine.sortTrades(trades), errors);
+        this.renderReport(this.engine.buildYearlyReport(disposals));
+
+        const prices = new Map([...this.prices].map(([coinId, price]) => [coinId, price * this.displayRate]));
+        const unrealized = this.engine.computeUnrealized(openLots, prices);
+        this.setGain(this.unrealizedShortOutput, unrealized.shortTerm);
+        this.setGain(this.unrealizedLongOutput, unrealized.longTerm);
+    }
+
+    renderTrades(trades, errors) {
+        if (trades.length === 0) {
+            this.tradeList.innerHTML = `
+                <div class="portfolio-empty">
+                    No trades recorded yet.
+                </div>
+            `;
+            return;
+        }
+
+        const format = this.formatter;
+        const buys = trades.filter(trade => trade.type === 'buy');
+        this.tradeList.innerHTML = '';
+
+        trades.forEach(trade => {
+            const row = document.createElement('div');
+            row.className = `trade-row ${trade.type}`;
+
+            const error = errors.find(item => item.tradeId === trade.id);
+            row.innerHTML = `
+                <span class="trade-type">${trade.type === 'buy' ? 'Buy' : 'Sell'}</span>
+                <span class="trade-details"></span>
+                <button type="button" class="holding-remove trade-remove" aria-label="Remove trade">×</button>
+            `;
+            row.querySelector('.trade-details').textContent =
+                `${format.formatTokens(trade.tokens)} ${trade.symbol.toUpperCase()} @ ` +
+                `${format.formatPrice(trade.price)} on ${trade.date}`;
+            row.querySelector('.trade-remove').dataset.tradeId = trade.id;
+
+            // Specific-ID sells pick which earlier buy they close
+            if (trade.type === 'sell' && this.engine.method === 'specific') {
+                const select = document.createElement('select');
+                select.className = 'select-field trade-lot-select';
+                select.dataset.field = 'lotId';
+                select.dataset.tradeId = trade.id;
+                select.add(new Option('Auto (FIFO)', ''));
+                buys
+                    .filter(buy => buy.coinId === trade.coinId && buy.date <= trade.date)
+                    .forEach(buy => {
+                        const option = new Option(`${buy.date} · ${format.formatTokens(buy.tokens)}`, buy.id);
+                        option.selected = buy.id === trade.lotId;
+                        select.add(option);
+                    });
+                row.insertBefore(select, row.querySelector('.trade-remove'));
+            }
+
+            if (error) {
+                const warning = document.createElement('span');
+                warning.className = 'trade-error';
+                warning.textContent = error.message;
+                row.appendChild(warning);
+            }
+
+            this.tradeList.appendChild(row);
+        });
+    }
+
+    renderReport(report) {
+        if (report.length === 0) {
+            this.reportBody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="report-empty">No realized gains yet</td>
+                </tr>
+            `;
+            return;
+        }
+
+        this.reportBody.innerHTML = '';
+        report.forEach(entry => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${entry.year}</td>
+                <td data-gain="short"></td>
+                <td data-gain="long"></td>
+                <td data-gain="total"></td>
+                <td><button type="button" class="text-button" data-export-year="${entry.year}">CSV</button></td>
+            `;
+            this.setGain(row.querySelector('[data-gain="short"]'), entry.shortTerm);
+            this.setGain(row.querySelector('[data-gain="long"]'), entry.longTerm);
+            this.setGain(row.querySelector('[data-gain="total"]'), entry.total);
+            this.reportBody.appendChild(row);
+        });
+    }
+
+    setGain(element, amount) {
+        element.textContent = this.formatter.formatCurrency(amount, true);
+        element.classList.remove('positive', 'negative');
+        if (amount > 0) {
+            element.classList.add('positive');
+        } else if (amount < 0) {
+            element.classList.add('negative');
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaxLotEngine, TradeStore, TaxLotView, LOT_METHODS };
+}
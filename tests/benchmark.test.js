@@ -0,0 +1,29 @@
+// Savings benchmark compounding convention
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BenchmarkEngine } = require('../benchmark.js');
+
+const engine = new BenchmarkEngine(null);
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const start = Date.parse('2024-01-01T00:00:00Z');
+
+test('a whole year earns exactly the annual yield', () => {
+    const value = engine.savingsValue([{ date: '2024-01-01', amount: 1000 }], 5, start + YEAR);
+    assert.ok(Math.abs(value - 1050) < 1e-9);
+});
+
+test('part of a year compounds at the same yield', () => {
+    const half = engine.savingsValue([{ date: '2024-01-01', amount: 1000 }], 5, start + YEAR / 2);
+    assert.ok(Math.abs(half - 1000 * Math.sqrt(1.05)) < 1e-9);
+    // Two half years in a row give the full year's yield
+    assert.ok(Math.abs(half * half / 1000 - 1050) < 1e-9);
+});
+
+test('each purchase compounds from its own date and future dates earn nothing', () => {
+    const value = engine.savingsValue([
+        { date: '2024-01-01', amount: 1000 },
+        { date: '2030-01-01', amount: 500 }
+    ], 5, start + 2 * YEAR);
+    assert.ok(Math.abs(value - (1000 * 1.05 ** 2 + 500)) < 1e-9);
+});
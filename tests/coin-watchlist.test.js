@@ -0,0 +1,110 @@
+// Coin watchlist: export/import round trip, malformed entries and de-duplication
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CoinWatchlist, MAX_RECENT_COINS } = require('../coin-watchlist.js');
+
+// In-memory localStorage, emptied before every test
+const storage = new Map();
+global.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+test.beforeEach(() => storage.clear());
+
+const BITCOIN = { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' };
+const ETHEREUM = { id: 'ethereum', symbol: 'eth', name: 'Ethereum' };
+const SOLANA = { id: 'solana', symbol: 'sol', name: 'Solana' };
+const coin = (n) => ({ id: `coin-${n}`, symbol: `c${n}`, name: `Coin ${n}` });
+
+test('an exported watchlist imports into an empty one unchanged', () => {
+    const source = new CoinWatchlist();
+    source.toggleFavorite(BITCOIN);
+    source.toggleFavorite(ETHEREUM);
+    source.addRecent(SOLANA);
+    source.addRecent(BITCOIN);
+    const file = JSON.stringify(source.toJSON());
+
+    storage.clear();
+    const target = new CoinWatchlist();
+    const added = target.import(file);
+
+    assert.deepEqual(added, { favorites: 2, recents: 2 });
+    assert.deepEqual(target.getFavorites(), [BITCOIN, ETHEREUM]);
+    assert.deepEqual(target.getRecents(), [BITCOIN, SOLANA]);
+    // And it was saved: a fresh instance reads the same lists back
+    assert.deepEqual(new CoinWatchlist().getFavorites(), [BITCOIN, ETHEREUM]);
+});
+
+test('the export carries the file version and the entries only', () => {
+    const watchlist = new CoinWatchlist();
+    watchlist.toggleFavorite({ ...BITCOIN, current_price: 93500, image: 'btc.png' });
+    const data = watchlist.toJSON();
+
+    assert.equal(data.version, 1);
+    assert.ok(!Number.isNaN(Date.parse(data.exportedAt)));
+    assert.deepEqual(data.favorites, [BITCOIN]);
+    assert.deepEqual(data.recents, []);
+});
+
+test('files that are not a watchlist are rejected without changing anything', () => {
+    const watchlist = new CoinWatchlist();
+    watchlist.toggleFavorite(BITCOIN);
+
+    assert.throws(() => watchlist.import('{not json'), /not valid JSON/);
+    assert.throws(() => watchlist.import('null'), /No favorites or recent coins/);
+    assert.throws(() => watchlist.import('{"favorites": "bitcoin"}'), /No favorites or recent coins/);
+    assert.throws(() => watchlist.import(JSON.stringify({ version: 2, favorites: [ETHEREUM] })), /newer version/);
+    assert.deepEqual(watchlist.getFavorites(), [BITCOIN]);
+});
+
+test('malformed entries are dropped and the rest imported', () => {
+    const watchlist = new CoinWatchlist();
+    const added = watchlist.import(JSON.stringify({
+        version: 1,
+        favorites: [null, 'bitcoin', { id: '', symbol: 'x', name: 'X' }, { id: 'ethereum', symbol: 'eth' }, { id: 42, symbol: 'n', name: 'N' }, SOLANA],
+        recents: [{ symbol: 'btc', name: 'Bitcoin' }, { ...BITCOIN, extra: true }]
+    }));
+
+    assert.deepEqual(added, { favorites: 1, recents: 1 });
+    assert.deepEqual(watchlist.getFavorites(), [SOLANA]);
+    assert.deepEqual(watchlist.getRecents(), [BITCOIN]);
+});
+
+test('coins already on the lists are not imported twice', () => {
+    const watchlist = new CoinWatchlist();
+    watchlist.toggleFavorite(BITCOIN);
+    watchlist.addRecent(ETHEREUM);
+
+    const added = watchlist.import(JSON.stringify({
+        version: 1,
+        favorites: [ETHEREUM, BITCOIN, ETHEREUM],
+        recents: [ETHEREUM, SOLANA, SOLANA]
+    }));
+
+    assert.deepEqual(added, { favorites: 1, recents: 1 });
+    // Current entries keep their place ahead of the imported ones
+    assert.deepEqual(watchlist.getFavorites(), [BITCOIN, ETHEREUM]);
+    assert.deepEqual(watchlist.getRecents(), [ETHEREUM, SOLANA]);
+});
+
+test('imported recents only fill the list up to its limit', () => {
+    const watchlist = new CoinWatchlist();
+    watchlist.addRecent(BITCOIN);
+
+    const recents = Array.from({ length: MAX_RECENT_COINS + 4 }, (_, n) => coin(n));
+    const added = watchlist.import(JSON.stringify({ version: 1, recents }));
+
+    assert.equal(added.recents, MAX_RECENT_COINS - 1);
+    assert.equal(watchlist.getRecents().length, MAX_RECENT_COINS);
+    assert.deepEqual(watchlist.getRecents()[0], BITCOIN);
+});
+
+test('a corrupted saved watchlist loads as empty lists', (t) => {
+    t.mock.method(console, 'error', () => {});
+    storage.set('profit-pulse-watchlist', '{broken');
+
+    const watchlist = new CoinWatchlist();
+    assert.deepEqual(watchlist.getFavorites(), []);
+    assert.deepEqual(watchlist.getRecents(), []);
+});
@@ -0,0 +1,178 @@
+// Decimal arithmetic, position math and formatting at the extremes:
+// sub-cent prices (1e-8, 0.0000123456) and quadrillion-token supplies (1e15)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal, toInputValue } = require('../decimal.js');
+const { loadCalculator } = require('./helpers.js');
+
+const NO_FEES = {
+    buyFee: { value: 0, type: 'percent' },
+    sellFee: { value: 0, type: 'percent' },
+    slippage: 0,
+    networkFee: 0
+};
+
+test('Decimal.from keeps every digit of tiny and huge values', () => {
+    assert.equal(Decimal.from(1e-8).toString(), '0.00000001');
+    assert.equal(Decimal.from('1e-8').toString(), '0.00000001');
+    assert.equal(Decimal.from(0.0000123456).toString(), '0.0000123456');
+    assert.equal(Decimal.from('1e15').toString(), '1000000000000000');
+    assert.equal(Decimal.from('-2.50').toString(), '-2.5');
+    assert.equal(Decimal.from(Decimal.from(3)).toString(), '3');
+});
+
+test('Decimal.from rejects values that are not numbers', () => {
+    assert.throws(() => Decimal.from('abc'), /Not a number/);
+    assert.throws(() => Decimal.from(''), /Not a number/);
+    assert.throws(() => Decimal.from(Infinity), /Not a finite number/);
+    assert.throws(() => Decimal.from(NaN), /Not a finite number/);
+});
+
+test('plus avoids the float64 rounding of 0.1 + 0.2', () => {
+    assert.equal(Decimal.from(0.1).plus(0.2).toString(), '0.3');
+});
+
+test('times multiplies sub-cent prices by quadrillion supplies exactly', () => {
+    assert.equal(Decimal.from('0.00000001').times('1e15').toString(), '10000000');
+    assert.equal(Decimal.from('0.0000123456').times('1e15').toString(), '12345600000');
+    assert.equal(Decimal.from('1e-8').times('1e-8').toString(), '0.0000000000000001');
+});
+
+test('dividedBy rounds half away from zero at 36 decimals', () => {
+    assert.equal(Decimal.from(1000).dividedBy('0.0000123456').toString(), '81000518.403317781233799896319336443753240021');
+    assert.equal(Decimal.from(1).dividedBy(3).toString(), `0.${'3'.repeat(36)}`);
+    assert.equal(Decimal.from(-2).dividedBy(3).toString(), `-0.${'6'.repeat(35)}7`);
+    assert.equal(Decimal.from('1e7').dividedBy('1e-8').toString(), '1000000000000000');
+    assert.throws(() => Decimal.from(1).dividedBy(0), /Division by zero/);
+});
+
+test('toSignificant rounds without switching to exponent notation', () => {
+    assert.equal(Decimal.from('0.000012345678').toSignificant(4), '0.00001235');
+    assert.equal(Decimal.from('1e-8').toSignificant(12), '0.00000001');
+    assert.equal(Decimal.from('123456789').toSignificant(3), '123000000');
+    assert.equal(Decimal.from('1e15').toSignificant(2), '1000000000000000');
+    assert.equal(Decimal.from(-0.0000123456).toSignificant(2), '-0.000012');
+    assert.equal(Decimal.from(0).toSignificant(5), '0');
+});
+
+test('toInputValue writes significant digits instead of 6 decimals', () => {
+    assert.equal(toInputValue(0.0000123456), '0.0000123456');
+    assert.equal(toInputValue(1e-8), '0.00000001');
+    assert.equal(toInputValue(1 / 3), '0.333333333333');
+    assert.equal(toInputValue(1e15), '1000000000000000');
+    assert.equal(toInputValue(NaN), '');
+    assert.equal(toInputValue(Infinity), '');
+});
+
+test('computePosition handles a 1e-8 entry price', () => {
+    const calculator = loadCalculator();
+    const result = calculator.computePosition(1000, 1e-8, 2e-8, NO_FEES);
+
+    assert.equal(result.tokensOwned.toString(), '100000000000');
+    assert.equal(result.finalValue.toString(), '2000');
+    assert.equal(result.profitLoss.toString(), '1000');
+    assert.equal(result.breakEvenPrice.toString(), '0.00000001');
+});
+
+test('computePosition handles a quadrillion-token position', () => {
+    const calculator = loadCalculator();
+    const result = calculator.computePosition(1e7, 1e-8, 0.0000123456, NO_FEES);
+
+    assert.equal(result.tokensOwned.toString(), '1000000000000000');
+    assert.equal(result.finalValue.toString(), '12345600000');
+    assert.equal(result.profitLoss.toString(), '12335600000');
+    assert.equal(result.totalFees.toString(), '0');
+});
+
+test('computePosition breaks even exactly when the target equals the entry', () => {
+    const calculator = loadCalculator();
+    const result = calculator.computePosition(0.3, 0.1, 0.1, NO_FEES);
+
+    assert.equal(result.profitLoss.toString(), '0');
+    assert.equal(result.finalValue.toString(), '0.3');
+});
+
+test('computePosition with fees: selling at the break-even price returns the investment', () => {
+    const calculator = loadCalculator();
+    const fees = { ...NO_FEES, buyFee: { value: 1, type: 'percent' }, sellFee: { value: 1, type: 'percent' } };
+    const { tokensOwned, breakEvenPrice } = calculator.computePosition(1000, 1e-8, 1e-8, fees);
+
+    assert.equal(tokensOwned.toString(), '99000000000');
+    assert.ok(Math.abs(breakEvenPrice.toNumber() - 1.0203040506070809e-8) < 1e-22);
+    assert.ok(Math.abs(calculator.computePosition(1000, 1e-8, breakEvenPrice, fees).profitLoss.toNumber()) < 1e-9);
+});
+
+test('computePositionNumbers hands the panels plain numbers', () => {
+    const calculator = loadCalculator();
+    const result = calculator.computePositionNumbers(Decimal.from('1000'), '0.00000001', 2e-8, NO_FEES);
+
+    assert.deepEqual(result, {
+        tokensOwned: 1e11,
+        finalValue: 2000,
+        profitLoss: 1000,
+        grossProfitLoss: 1000,
+        totalFees: 0,
+        breakEvenPrice: 1e-8
+    });
+});
+
+test('input text is read as Decimal, blank or unreadable text as zero', () => {
+    const calculator = loadCalculator();
+
+    assert.equal(calculator.parseDecimal('0.0000123456789012345').toString(), '0.0000123456789012345');
+    assert.equal(calculator.parseDecimal('1e-8').toString(), '0.00000001');
+    assert.equal(calculator.parseDecimal('').toString(), '0');
+    assert.equal(calculator.parseDecimal('abc').toString(), '0');
+});
+
+test('lots are summed in Decimal', () => {
+    const calculator = loadCalculator();
+    const { investment, purchasePrice } = calculator.summarizeLots([
+        { amount: 0.1, price: 0.1 },
+        { amount: 0.2, price: 0.1 }
+    ]);
+
+    // 0.1 + 0.2 in float64 is 0.30000000000000004
+    assert.equal(investment.toString(), '0.3');
+    assert.equal(purchasePrice.toString(), '0.1');
+    assert.equal(calculator.summarizeLots([]).purchasePrice.toString(), '0');
+});
+
+test('solveForGoal finds the target price for a profit goal in Decimal', () => {
+    const calculator = loadCalculator();
+    const values = { investment: Decimal.from('1000'), purchasePrice: Decimal.from('0.00000001'), targetPrice: Decimal.from(0), fees: NO_FEES };
+    const solved = calculator.solveForGoal('targetPrice', values, { type: 'profit', value: 500 });
+
+    assert.ok(solved instanceof Decimal);
+    assert.ok(Math.abs(solved.toNumber() / 1.5e-8 - 1) < 1e-9);
+    assert.equal(calculator.solveForGoal('targetPrice', values, { type: 'roi', value: -150 }), null);
+});
+
+test('formatTokens shows quadrillions in full and dust by significant digits', () => {
+    const calculator = loadCalculator();
+
+    assert.equal(calculator.formatTokens(1e15), '1,000,000,000,000,000');
+    assert.equal(calculator.formatTokens(1234.5678901), '1,234.56789');
+    assert.equal(calculator.formatTokens(0.000001234567), '0.00000123457');
+    assert.equal(calculator.formatTokens(1e-8), '0.00000001');
+    assert.equal(calculator.formatTokens(0), '0');
+});
+
+test('formatCurrency and formatPrice keep sub-cent amounts visible', () => {
+    const calculator = loadCalculator();
+
+    assert.equal(calculator.formatCurrency(0.0000123456), '$0.0000123');
+    assert.equal(calculator.formatCurrency(12.5, true), '+$12.50');
+    assert.equal(calculator.formatCurrency(12345600000), '$12.35B');
+    assert.equal(calculator.formatPrice(0.0000123456), '$0.00001235');
+    assert.equal(calculator.formatPrice(1e-8), '$0.00000001');
+    assert.equal(calculator.formatPrice(93500), '$93.50K');
+});
+
+test('formatters follow the quote currency locale', () => {
+    const calculator = loadCalculator('brl');
+
+    assert.equal(calculator.formatTokens(1e15), '1.000.000.000.000.000');
+    assert.equal(calculator.formatPrice(0.0000123456), 'R$ 0,00001235');
+});
@@ -0,0 +1,99 @@
+// Exit plan engine: tranche allocation, fees per tranche, the remaining position and the stop
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers.js');
+const { ExitPlanEngine } = require('../exit-planner.js');
+
+const calculator = loadCalculator();
+const engine = new ExitPlanEngine(calculator.computeFee.bind(calculator));
+const fees = (sellFee, slippage = 0) => ({
+    buyFee: { value: 0, type: 'percent' },
+    sellFee,
+    slippage,
+    networkFee: 0
+});
+const ONE_PERCENT = fees({ value: 1, type: 'percent' });
+// 10 tokens bought for 1,000 with the rest held to a target of 200
+const POSITION = { tokensOwned: 10, investment: 1000, targetPrice: 200, fees: ONE_PERCENT };
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+}
+
+test('tranches under 100% leave the rest to be sold at the target', () => {
+    const result = engine.plan(POSITION, [{ percent: 25, price: 200 }, { percent: 50, price: 150 }]);
+
+    // Sold lowest price first
+    assert.deepEqual(result.steps.map(step => step.price), [150, 200]);
+    assert.deepEqual(result.steps.map(step => step.tokens), [5, 2.5]);
+    assert.deepEqual(result.steps.map(step => step.remainingTokens), [5, 2.5]);
+    assert.equal(result.soldTokens, 7.5);
+    assert.equal(result.remainingTokens, 2.5);
+    assertClose(result.blendedExitPrice, 1250 / 7.5);
+    assertClose(result.realizedProceeds, 742.5 + 495);
+    // Three quarters of the cost basis went out with the tokens sold
+    assertClose(result.realizedProfitLoss, 1237.5 - 750);
+    assertClose(result.remainingValue, 495);
+    assertClose(result.totalProfitLoss, 1237.5 + 495 - 1000);
+    assert.equal(result.isOverAllocated, false);
+});
+
+test('tranches adding up to exactly 100% sell the whole position', () => {
+    const result = engine.plan(POSITION, [{ percent: 40, price: 150 }, { percent: 60, price: 250 }]);
+
+    assert.equal(result.remainingTokens, 0);
+    assert.equal(result.remainingValue, 0);
+    assertClose(result.realizedProfitLoss, result.totalProfitLoss);
+    assert.equal(result.isOverAllocated, false);
+});
+
+test('tranches over 100% are flagged and the last one only sells what is left', () => {
+    const result = engine.plan(POSITION, [{ percent: 60, price: 300 }, { percent: 60, price: 150 }]);
+
+    assert.deepEqual(result.steps.map(step => step.tokens), [6, 4]);
+    assert.equal(result.soldTokens, 10);
+    assert.equal(result.remainingTokens, 0);
+    assert.equal(result.remainingValue, 0);
+    assertClose(result.realizedProceeds, (900 + 1200) * 0.99);
+    assert.equal(result.isOverAllocated, true);
+});
+
+test('each tranche and the remaining sale pay their own flat fee', () => {
+    const position = { ...POSITION, fees: fees({ value: 5, type: 'flat' }) };
+    const result = engine.plan(position, [{ percent: 50, price: 100 }, { percent: 20, price: 150 }]);
+
+    assert.deepEqual(result.steps.map(step => step.proceeds), [495, 295]);
+    assert.equal(result.remainingValue, 3 * 200 - 5);
+    assert.equal(result.totalProfitLoss, 495 + 295 + 595 - 1000);
+});
+
+test('slippage lowers every fill before the fee is taken', () => {
+    const position = { ...POSITION, fees: fees({ value: 1, type: 'percent' }, 2) };
+    const result = engine.plan(position, [{ percent: 50, price: 100 }]);
+
+    assertClose(result.steps[0].proceeds, 500 * 0.98 * 0.99);
+    assertClose(result.remainingValue, 1000 * 0.98 * 0.99);
+});
+
+test('tranches without a percent or a price are ignored', () => {
+    const result = engine.plan(POSITION, [{ percent: 0, price: 150 }, { percent: 30, price: 0 }]);
+
+    assert.deepEqual(result.steps, []);
+    assert.equal(result.blendedExitPrice, null);
+    assert.equal(result.remainingTokens, 10);
+    assertClose(result.remainingValue, 2000 * 0.99);
+    assertClose(result.totalProfitLoss, 2000 * 0.99 - 1000);
+});
+
+test('the stop-loss covers a stop before the plan and a stop after it', () => {
+    const result = engine.plan(POSITION, [{ percent: 50, price: 150 }], 80);
+
+    assert.equal(result.stopLoss.price, 80);
+    assertClose(result.stopLoss.worstCase, 800 * 0.99 - 1000);
+    assertClose(result.stopLoss.afterPlan, 750 * 0.99 + 400 * 0.99 - 1000);
+    assert.equal(result.stopLoss.isAboveTranche, false);
+
+    assert.equal(engine.plan(POSITION, [{ percent: 50, price: 150 }], 160).stopLoss.isAboveTranche, true);
+    assert.equal(engine.plan(POSITION, []).stopLoss, null);
+});
@@ -0,0 +1,152 @@
+// Futures engine: liquidation prices, maintenance margin, funding and the leverage bounds
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers.js');
+const { FuturesEngine, FuturesView, MAX_LEVERAGE } = require('../futures.js');
+
+const calculator = loadCalculator();
+const engine = new FuturesEngine(calculator.computeFee.bind(calculator));
+const FEES = {
+    buyFee: { value: 0.1, type: 'percent' },
+    sellFee: { value: 0.1, type: 'percent' },
+    slippage: 0,
+    networkFee: 0
+};
+// 100 of margin at 10× on a 100 entry: 1,000 notional, 10 contracts
+const POSITION = {
+    direction: 'long',
+    margin: 100,
+    leverage: 10,
+    entryPrice: 100,
+    targetPrice: 110,
+    maintenanceRate: 0.5,
+    fundingRate: 0,
+    days: 0,
+    fees: FEES
+};
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+}
+
+test('a long is liquidated where its equity falls to the maintenance margin', () => {
+    const price = engine.liquidationPrice('long', 100, 10, 100, 0.005);
+
+    assertClose(price, 900 / 9.95);
+    // Margin plus the loss at that price equals the maintenance margin on the notional there
+    assertClose(100 + 10 * (price - 100), 0.005 * 10 * price);
+});
+
+test('a short is liquidated above the entry', () => {
+    const price = engine.liquidationPrice('short', 100, 10, 100, 0.005);
+
+    assertClose(price, 1100 / 10.05);
+    assertClose(100 + 10 * (100 - price), 0.005 * 10 * price);
+});
+
+test('a higher maintenance rate brings liquidation closer to the entry', () => {
+    const lenient = engine.liquidationPrice('long', 100, 10, 100, 0.005);
+    const strict = engine.liquidationPrice('long', 100, 10, 100, 0.05);
+
+    assert.ok(strict > lenient);
+    assertClose(strict, 900 / 9.5);
+});
+
+test('an unleveraged long has no liquidation price, an unleveraged short does', () => {
+    assert.equal(engine.liquidationPrice('long', 100, 1, 100, 0.005), null);
+    assertClose(engine.liquidationPrice('short', 100, 1, 100, 0.005), 200 / 1.005);
+    assert.equal(engine.liquidationPrice('long', 100, 0, 100, 0.005), null);
+});
+
+test('P/L at the target takes both trading fees', () => {
+    const result = engine.evaluate(POSITION);
+
+    assert.equal(result.notional, 1000);
+    assert.equal(result.quantity, 10);
+    assert.equal(result.isLiquidated, false);
+    assertClose(result.fees, 1 + 1.1);
+    assertClose(result.profitLoss, 100 - 1 - 1.1);
+    assertClose(result.roe, 97.9);
+});
+
+test('a target beyond liquidation loses the margin and the opening fee', () => {
+    const long = engine.evaluate({ ...POSITION, targetPrice: 90 });
+    const short = engine.evaluate({ ...POSITION, direction: 'short', targetPrice: 110 });
+
+    assert.equal(long.isLiquidated, true);
+    assertClose(long.profitLoss, -101);
+    assertClose(long.roe, -101);
+    assert.equal(short.isLiquidated, true);
+    assertClose(short.profitLoss, -101);
+});
+
+test('longs pay positive funding, shorts receive it, and paying it moves liquidation', () => {
+    // 0.01% per interval, three intervals a day for ten days, on 1,000 notional
+    const long = engine.evaluate({ ...POSITION, fundingRate: 0.01, days: 10 });
+    const short = engine.evaluate({ ...POSITION, direction: 'short', fundingRate: 0.01, days: 10 });
+
+    assertClose(long.fundingPaid, 3);
+    assertClose(short.fundingPaid, -3);
+    assertClose(long.liquidationAfterFunding, 903 / 9.95);
+    assert.ok(long.liquidationAfterFunding > long.liquidationPrice);
+    assert.ok(short.liquidationAfterFunding > short.liquidationPrice);
+    assertClose(long.profitLoss, 100 - 3 - 1 - 1.1);
+});
+
+test('funding larger than the margin liquidates the position', () => {
+    const result = engine.evaluate({ ...POSITION, fundingRate: 1, days: 4 });
+
+    assert.equal(result.isFundingWipeout, true);
+    assert.equal(result.isLiquidated, true);
+    assertClose(result.profitLoss, -101);
+});
+
+test('leverage is kept between 1× and the maximum', () => {
+    assert.equal(engine.clampLeverage(20), 20);
+    assert.equal(engine.clampLeverage(MAX_LEVERAGE + 75), MAX_LEVERAGE);
+    assert.equal(engine.clampLeverage(0.5), 1);
+    assert.equal(engine.clampLeverage(-3), 1);
+    assert.equal(engine.clampLeverage(NaN), 1);
+});
+
+// Just enough of the panel for getPosition() and the leverage hint
+function createView(leverage) {
+    const view = Object.create(FuturesView.prototype);
+    const input = (value) => ({ value });
+    Object.assign(view, {
+        engine,
+        directionSelect: input('long'),
+        leverageInput: input(leverage),
+        marginInput: input(''),
+        maintenanceInput: input('0.5'),
+        fundingInput: input('0'),
+        daysInput: input('0'),
+        leverageHint: {
+            textContent: '',
+            classList: { toggle(name, on) { this.error = on; } }
+        },
+        getContext: () => ({ investment: 100, entryPrice: 100, targetPrice: 110, fees: FEES })
+    });
+    return view;
+}
+
+test('the panel says when the entered leverage was clamped', () => {
+    const view = createView('200');
+    const position = view.getPosition();
+    view.showLeverageHint(position);
+
+    assert.equal(position.leverage, MAX_LEVERAGE);
+    assert.match(view.leverageHint.textContent, /calculating with 125×/);
+    assert.equal(view.leverageHint.classList.error, true);
+});
+
+test('leverage within the bounds, or left blank, shows no hint', () => {
+    for (const leverage of ['25', '']) {
+        const view = createView(leverage);
+        view.showLeverageHint(view.getPosition());
+
+        assert.equal(view.leverageHint.textContent, '');
+        assert.equal(view.leverageHint.classList.error, false);
+    }
+});
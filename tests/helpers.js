@@ -0,0 +1,32 @@
+// Shared setup for the Node test runner
+// The app's scripts are browser globals; their module.exports guards make them loadable here
+
+const { Decimal, toInputValue } = require('../decimal.js');
+
+// Only what script.js touches while loading; the DOM itself is never used by the tests
+global.document = global.document || { addEventListener() {} };
+global.navigator = global.navigator || {};
+Object.assign(global, { Decimal, toInputValue });
+
+const CryptoCalculator = require('../script.js');
+
+// A calculator without its DOM: only the calculation and formatting methods are usable
+function loadCalculator(quoteCurrency = 'usd') {
+    const calculator = Object.create(CryptoCalculator.prototype);
+    calculator.quoteCurrency = quoteCurrency;
+    calculator.currencyFormatters = new Map();
+    return calculator;
+}
+
+// Price providers extend CoinGeckoService, so its file has to be loaded (as globals) first
+function loadPriceProviders() {
+    Object.assign(global, require('../coingecko-service.js'));
+    return require('../price-providers.js');
+}
+
+// Minimal fetch Response for mocked requests
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers });
+}
+
+module.exports = { loadCalculator, loadPriceProviders, jsonResponse };
@@ -0,0 +1,111 @@
+// Purchase-date price backfill against mocked CoinGecko and Binance responses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPriceProviders, jsonResponse } = require('./helpers.js');
+const { PriceService, BinanceProvider } = loadPriceProviders();
+
+// No spacing between requests and a quick backoff, so retries don't slow the suite
+function createService() {
+    const service = new CoinGeckoService();
+    service.requestDelay = 0;
+    return service;
+}
+
+const HISTORY = { market_data: { current_price: { usd: 16547.5, eur: 15602.1 } } };
+const RATE_LIMITED = () => jsonResponse({ status: { error_code: 429 } }, 429, { 'Retry-After': '0' });
+
+test.beforeEach(() => {
+    // Failures are logged on the way to being rethrown
+    test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+test('requests the day in dd-mm-yyyy and returns the price in the quote currency', async () => {
+    const fetch = test.mock.method(global, 'fetch', async () => jsonResponse(HISTORY));
+
+    const result = await createService().fetchHistoricalPrice('bitcoin', '2023-01-05', 'eur');
+
+    assert.deepEqual(result, { price: 15602.1, date: '2023-01-05', currency: 'eur' });
+    assert.match(fetch.mock.calls[0].arguments[0], /\/coins\/bitcoin\/history\?date=05-01-2023&/);
+});
+
+test('a day before the coin was listed has no price data', async () => {
+    test.mock.method(global, 'fetch', async () => jsonResponse({ id: 'bitcoin', name: 'Bitcoin' }));
+
+    await assert.rejects(
+        createService().fetchHistoricalPrice('bitcoin', '2009-01-01', 'usd'),
+        /No price data available for that date/
+    );
+});
+
+test('a rate-limited request is retried after Retry-After', async () => {
+    const responses = [RATE_LIMITED(), RATE_LIMITED(), jsonResponse(HISTORY)];
+    const fetch = test.mock.method(global, 'fetch', async () => responses.shift());
+
+    const result = await createService().fetchHistoricalPrice('bitcoin', '2023-01-05', 'usd');
+
+    assert.equal(result.price, 16547.5);
+    assert.equal(fetch.mock.callCount(), 3);
+});
+
+test('gives up once the retries are used up', async () => {
+    const fetch = test.mock.method(global, 'fetch', async () => RATE_LIMITED());
+    const service = createService();
+
+    await assert.rejects(
+        service.fetchHistoricalPrice('bitcoin', '2023-01-05', 'usd'),
+        /Failed to load historical price/
+    );
+    assert.equal(fetch.mock.callCount(), service.maxRetries + 1);
+});
+
+test('a past price is cached, so the same day is only requested once', async () => {
+    const fetch = test.mock.method(global, 'fetch', async () => jsonResponse(HISTORY));
+    const service = createService();
+
+    await service.fetchHistoricalPrice('bitcoin', '2023-01-05', 'usd');
+    await service.fetchHistoricalPrice('bitcoin', '2023-01-05', 'usd');
+
+    assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('falls over to Binance when CoinGecko stays rate limited', async () => {
+    const start = Date.parse('2023-01-05T00:00:00Z');
+    test.mock.method(global, 'fetch', async (url) => url.includes('binance') ?
+        jsonResponse([[start, '16850.0', '16900.0', '16750.0', '16831.9']]) :
+        RATE_LIMITED());
+    const coingecko = createService();
+    coingecko.maxRetries = 0;
+    const service = new PriceService([coingecko, new BinanceProvider()], null);
+
+    const result = await service.fetchHistoricalPrice('bitcoin', '2023-01-05', 'usd');
+
+    assert.deepEqual(result, { price: 16831.9, date: '2023-01-05', currency: 'usd', source: 'binance' });
+});
+
+test('reports an error when no provider has data for the day', async () => {
+    // Binance answers with the next available candle when the day has none
+    test.mock.method(global, 'fetch', async (url) => url.includes('binance') ?
+        jsonResponse([[Date.parse('2017-08-17T00:00:00Z'), '4261.5', '4485.4', '4200.7', '4285.1']]) :
+        jsonResponse({ id: 'bitcoin' }));
+    const service = new PriceService([createService(), new BinanceProvider()], null);
+
+    await assert.rejects(
+        service.fetchHistoricalPrice('bitcoin', '2015-03-01', 'usd'),
+        /No data source is available right now \(CoinGecko: No price data available for that date\.\)/
+    );
+});
+
+test('a past exchange rate is read off one historical price request', async () => {
+    const fetch = test.mock.method(global, 'fetch', async () => jsonResponse(HISTORY));
+    const service = new PriceService([createService()], null);
+
+    const rate = await service.getHistoricalExchangeRate('usd', 'eur', '2023-01-05');
+
+    assert.equal(rate, 15602.1 / 16547.5);
+    assert.equal(fetch.mock.callCount(), 1);
+});
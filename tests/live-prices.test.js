@@ -0,0 +1,219 @@
+// Live prices against tools/mock-ticker-server.js: ticks, polling fallback and reconnects
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const { loadPriceProviders } = require('./helpers.js');
+
+global.BinanceProvider = loadPriceProviders().BinanceProvider;
+const { LivePriceStream } = require('../live-prices.js');
+
+const SERVER = path.join(__dirname, '..', 'tools', 'mock-ticker-server.js');
+const COINS = [{ id: 'bitcoin', symbol: 'btc' }, { id: 'ethereum', symbol: 'eth' }];
+
+// Browser-style WebSocket client, just enough for the mock server: handshake,
+// unmasked text frames from the server and a masked close frame from us
+class TestWebSocket extends EventTarget {
+    constructor(url) {
+        super();
+        const { hostname, port, pathname, search } = new URL(url);
+        let buffer = Buffer.alloc(0);
+        let open = false;
+
+        this.socket = net.connect(Number(port), hostname, () => {
+            this.socket.write(
+                `GET ${pathname}${search} HTTP/1.1\r\n` +
+                `Host: ${hostname}:${port}\r\n` +
+                'Upgrade: websocket\r\n' +
+                'Connection: Upgrade\r\n' +
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n` +
+                'Sec-WebSocket-Version: 13\r\n\r\n'
+            );
+        });
+
+        this.socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            if (!open) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) {
+                    return;
+                }
+                open = true;
+                buffer = buffer.subarray(end + 4);
+                this.dispatchEvent(new Event('open'));
+            }
+
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffer.length < offset + length) {
+                    return;
+                }
+
+                const opcode = buffer[0] & 0x0f;
+                const payload = buffer.subarray(offset, offset + length);
+                buffer = buffer.subarray(offset + length);
+                if (opcode === 0x01) {
+                    const event = new Event('message');
+                    event.data = payload.toString();
+                    this.dispatchEvent(event);
+                }
+            }
+        });
+
+        this.socket.on('error', () => this.dispatchEvent(new Event('error')));
+        this.socket.on('close', () => this.dispatchEvent(new Event('close')));
+    }
+
+    close() {
+        this.socket.end(Buffer.from([0x88, 0x80, 0, 0, 0, 0]));
+    }
+}
+
+async function getFreePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    return port;
+}
+
+async function startServer(...args) {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [SERVER, `--port=${port}`, ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+    // Connection logs keep coming, so the pipe stays drained after startup
+    await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('Mock ticker server on')) {
+                resolve();
+            }
+        });
+        child.on('exit', () => reject(new Error(`Mock ticker server exited: ${output}`)));
+    });
+
+    return { port, stop: () => child.kill() };
+}
+
+// Price service stand-in that records what the stream polled
+function createPriceService() {
+    return {
+        polled: [],
+        async fetchCoinPrice(coinId, currency) {
+            this.polled.push(coinId);
+            return { price: 1, change24h: 0, currency, source: 'coingecko' };
+        }
+    };
+}
+
+function createStream(priceService, port, settings = {}) {
+    const stream = new LivePriceStream(priceService, {
+        url: `ws://127.0.0.1:${port}/stream`,
+        WebSocket: TestWebSocket,
+        settings: { throttleMs: 0, reconnectDelay: 100, ...settings }
+    });
+    stream.statuses = [];
+    stream.updates = [];
+    stream.onStatus(status => stream.statuses.push(status));
+    stream.onUpdate((coinId, priceData) => stream.updates.push({ coinId, ...priceData }));
+    return stream;
+}
+
+// Resolves once check() passes, checked every 20ms
+async function waitFor(check, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the live price stream');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('streams ticker updates for every subscribed coin', async (t) => {
+    const server = await startServer('--interval=50');
+    const priceService = createPriceService();
+    const stream = createStream(priceService, server.port);
+    t.after(() => {
+        stream.stop();
+        server.stop();
+    });
+
+    stream.subscribe(COINS, 'usd');
+    await waitFor(() => COINS.every(coin => stream.updates.some(update => update.coinId === coin.id)));
+
+    assert.deepEqual(stream.statuses, ['connecting', 'live']);
+    const bitcoin = stream.updates.find(update => update.coinId === 'bitcoin');
+    assert.equal(bitcoin.source, 'binance');
+    assert.equal(bitcoin.currency, 'usd');
+    assert.ok(Math.abs(bitcoin.price / 93500 - 1) < 0.01);
+    assert.deepEqual(priceService.polled, []);
+});
+
+test('reconnects when the server drops the socket', async (t) => {
+    const server = await startServer('--interval=50', '--drop-after=1');
+    const priceService = createPriceService();
+    const stream = createStream(priceService, server.port);
+    t.after(() => {
+        stream.stop();
+        server.stop();
+    });
+
+    stream.subscribe(COINS, 'usd');
+    await waitFor(() => stream.statuses.includes('reconnecting'));
+    await waitFor(() => stream.statuses.lastIndexOf('live') > stream.statuses.indexOf('reconnecting'));
+
+    assert.deepEqual(stream.statuses.slice(0, 4), ['connecting', 'live', 'reconnecting', 'live']);
+    // The drop triggers one poll; both coins were still fresh from the socket, so nothing was fetched
+    assert.deepEqual(priceService.polled, []);
+
+    const before = stream.updates.length;
+    await waitFor(() => stream.updates.length > before);
+    assert.equal(stream.updates.at(-1).source, 'binance');
+});
+
+test('falls back to polling when the server goes away', async (t) => {
+    const server = await startServer('--interval=50');
+    const priceService = createPriceService();
+    const stream = createStream(priceService, server.port, { staleAfterMs: 300, pollIntervalMs: 100 });
+    t.after(() => stream.stop());
+
+    stream.subscribe(COINS, 'usd');
+    await waitFor(() => stream.status === 'live');
+    const statusCount = stream.statuses.length;
+    const updateCount = stream.updates.length;
+    server.stop();
+
+    // Socket prices go stale, so polling takes over while reconnects keep failing
+    await waitFor(() => stream.updates.slice(updateCount).some(update => update.source === 'coingecko') &&
+        stream.statuses.slice(statusCount).includes('reconnecting'));
+    assert.ok(stream.statuses.slice(statusCount).includes('polling'));
+    assert.ok(priceService.polled.includes('bitcoin') && priceService.polled.includes('ethereum'));
+});
+
+test('polls from the start when the server cannot be reached', async (t) => {
+    const port = await getFreePort(); // Nothing listens here
+    const priceService = createPriceService();
+    const stream = createStream(priceService, port, { maxReconnectAttempts: 2, pollIntervalMs: 100 });
+    t.after(() => stream.stop());
+
+    stream.subscribe(COINS, 'usd');
+    // Each failed attempt is followed by a poll, which reports the polling status again
+    await waitFor(() => stream.statuses.filter(status => status === 'reconnecting').length === 2 &&
+        stream.status === 'polling');
+    await waitFor(() => stream.updates.filter(update => update.coinId === 'bitcoin').length >= 2);
+
+    assert.equal(stream.reconnectAttempts, 2);
+    assert.ok(stream.updates.every(update => update.source === 'coingecko'));
+    assert.ok(priceService.polled.includes('bitcoin') && priceService.polled.includes('ethereum'));
+});
@@ -0,0 +1,114 @@
+// Market cap check: thresholds and the supply error state
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MarketCapEngine, MarketCapView, MARKET_CAP_REFERENCES, STRETCH_MULTIPLE } = require('../market-cap.js');
+
+const engine = new MarketCapEngine();
+const referenceUsd = (id) => MARKET_CAP_REFERENCES.find(reference => reference.id === id).usd;
+// One token in circulation, so the target price is the implied market cap
+const SUPPLY = { circulatingSupply: 1, totalSupply: 2, maxSupply: null, marketCap: 1e9 };
+const assessAt = (targetPrice, options = {}) => engine.assess({ supply: SUPPLY, targetPrice, tokensOwned: 0, ...options });
+
+test('targets within reach carry no warning', () => {
+    const result = assessAt(2e9);
+
+    assert.equal(result.level, 'ok');
+    assert.equal(result.message, '');
+    assert.equal(result.multiple, 2);
+    assert.equal(result.impliedFullyDiluted, 4e9);
+    assert.equal(result.positionShare, null);
+});
+
+test('a target this many times today\'s market cap is a stretch', () => {
+    assert.equal(assessAt(1e9 * STRETCH_MULTIPLE * 0.99).level, 'ok');
+
+    const result = assessAt(1e9 * STRETCH_MULTIPLE);
+    assert.equal(result.level, 'stretch');
+    assert.match(result.message, /grow 100×/);
+});
+
+test('passing the largest company is a stretch, passing gold or world GDP is unrealistic', () => {
+    const apple = referenceUsd('apple');
+    const gold = referenceUsd('gold');
+    const gdp = referenceUsd('world-gdp');
+    const levels = [apple * 0.99, apple, gold * 0.99, gold, gdp * 0.99, gdp].map(price => assessAt(price, { supply: { ...SUPPLY, marketCap: price } }));
+
+    assert.deepEqual(levels.map(result => result.level), ['ok', 'stretch', 'stretch', 'unrealistic', 'unrealistic', 'unrealistic']);
+    assert.match(levels[1].message, /most valuable company/);
+    assert.match(levels[3].message, /gold/);
+    assert.match(levels[5].message, /world economy/);
+});
+
+test('thresholds are compared in USD whatever the quote currency', () => {
+    // 5 BRL per USD: 5 × Apple in BRL is exactly Apple in USD
+    const apple = referenceUsd('apple');
+    const result = assessAt(apple * 5, { usdRate: 5, supply: { ...SUPPLY, marketCap: apple * 5 } });
+
+    assert.equal(result.level, 'stretch');
+    assert.equal(result.references.find(reference => reference.label === 'Apple').value, apple * 5);
+});
+
+test('the position share is tokens owned over circulating supply', () => {
+    const result = engine.assess({ supply: { ...SUPPLY, circulatingSupply: 1e6 }, targetPrice: 1, tokensOwned: 250 });
+    assert.equal(result.positionShare, 0.00025);
+});
+
+// Just enough DOM for render()
+function element() {
+    return {
+        textContent: '',
+        innerHTML: '',
+        classList: { toggle() {} },
+        get firstElementChild() {
+            return this.child || (this.child = element());
+        }
+    };
+}
+
+function createView(priceService) {
+    const view = Object.create(MarketCapView.prototype);
+    Object.assign(view, {
+        container: { open: false },
+        priceService,
+        results: element(),
+        targetHint: element(),
+        supply: null,
+        supplyError: '',
+        position: null,
+        usdRate: 1
+    });
+    view.engine = { assess: () => null };
+    return view;
+}
+
+test('a supply error loaded while the panel is closed shows once it opens', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const view = createView({ fetchSupply: async () => { throw new Error('No data source is available right now'); } });
+
+    await view.setCoin({ id: 'bitcoin', symbol: 'btc' }, 'usd', 1);
+    view.container.open = true;
+    view.render();
+
+    assert.equal(view.results.firstElementChild.textContent, 'No data source is available right now');
+});
+
+test('selecting another coin clears the previous error', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let fail = true;
+    const view = createView({
+        fetchSupply: async (coinId, currency) => {
+            if (fail) {
+                throw new Error('Rate limited');
+            }
+            return { circulatingSupply: 1, marketCap: 1, currency };
+        }
+    });
+
+    await view.setCoin({ id: 'bitcoin', symbol: 'btc' }, 'usd', 1);
+    fail = false;
+    const pending = view.setCoin({ id: 'ethereum', symbol: 'eth' }, 'usd', 1);
+    assert.equal(view.supplyError, '');
+    await pending;
+    assert.equal(view.supply.circulatingSupply, 1);
+});
@@ -0,0 +1,87 @@
+// Monte Carlo engine reproducibility and worker failure handling
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MonteCarloEngine, MonteCarloView } = require('../monte-carlo.js');
+
+const PARAMS = {
+    startPrice: 100,
+    drift: 0.0005,
+    volatility: 0.03,
+    days: 365,
+    paths: 2000,
+    targetPrice: 150
+};
+
+test('the same seed gives the same simulation', () => {
+    const engine = new MonteCarloEngine();
+    const first = engine.simulate({ ...PARAMS, seed: 42 });
+    const second = new MonteCarloEngine().simulate({ ...PARAMS, seed: 42 });
+
+    assert.deepEqual(second, first);
+});
+
+test('a different seed gives a different simulation', () => {
+    const engine = new MonteCarloEngine();
+    const first = engine.simulate({ ...PARAMS, seed: 42 });
+    const second = engine.simulate({ ...PARAMS, seed: 43 });
+
+    assert.notDeepEqual(second.percentiles, first.percentiles);
+});
+
+test('estimate recovers the daily drift and volatility of a price series', () => {
+    const engine = new MonteCarloEngine();
+    const normal = engine.createNormal(engine.createRandom(7));
+    const prices = [100];
+    for (let day = 0; day < 5000; day++) {
+        prices.push(prices[day] * Math.exp(0.001 + 0.03 * normal()));
+    }
+
+    const { drift, volatility, samples } = engine.estimate(prices);
+    assert.equal(samples, 5000);
+    assert.ok(Math.abs(volatility - 0.03) < 0.001);
+    assert.ok(Math.abs(drift - 0.001) < 0.001);
+});
+
+test('estimate needs enough history', () => {
+    assert.throws(() => new MonteCarloEngine().estimate([1, 2, 3]), /At least 30 days/);
+});
+
+// Stands in for a Web Worker whose script fails to load
+class FailingWorker extends EventTarget {
+    postMessage() {
+        setTimeout(() => {
+            const event = new Event('error', { cancelable: true });
+            event.message = 'Script error';
+            this.dispatchEvent(event);
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+test('a failing worker rejects every pending run and is replaced on the next run', async () => {
+    global.Worker = FailingWorker;
+    try {
+        const view = Object.create(MonteCarloView.prototype);
+        Object.assign(view, { engine: new MonteCarloEngine(), worker: null, nextRunId: 1 });
+
+        const runs = [view.simulate({ ...PARAMS, seed: 1 }), view.simulate({ ...PARAMS, seed: 2 })];
+        const failed = view.worker;
+        for (const run of runs) {
+            await assert.rejects(run, /The simulation could not run: Script error/);
+        }
+
+        assert.equal(failed.terminated, true);
+        assert.equal(view.worker, null);
+        assert.equal(view.pending.size, 0);
+
+        const retry = view.simulate({ ...PARAMS, seed: 3 });
+        assert.notEqual(view.worker, failed);
+        await assert.rejects(retry);
+    } finally {
+        delete global.Worker;
+    }
+});
@@ -0,0 +1,45 @@
+// Portfolio totals with holdings that have no price yet
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PortfolioView } = require('../portfolio.js');
+
+function createView(holdings, prices) {
+    const view = Object.create(PortfolioView.prototype);
+    Object.assign(view, {
+        store: { getHoldings: () => holdings.map(holding => ({ ...holding })) },
+        prices: new Map(Object.entries(prices)),
+        sources: new Map(),
+        displayRate: 1
+    });
+    return view;
+}
+
+const HOLDINGS = [
+    { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', tokens: 1, costBasis: 30000, targetPrice: 100000 },
+    { id: 'obscure', symbol: 'obs', name: 'Obscure', tokens: 1000, costBasis: 5000, targetPrice: 10 }
+];
+
+test('unpriced holdings are left out of both sides of the value and P/L totals', () => {
+    const { totals } = createView(HOLDINGS, { bitcoin: 40000 }).computeSummary();
+
+    assert.equal(totals.costBasis, 35000);
+    assert.equal(totals.currentValue, 40000);
+    assert.equal(totals.profitLoss, 10000);
+    assert.equal(totals.unpricedCount, 1);
+    assert.equal(totals.targetProfitLoss, 110000 - 35000);
+});
+
+test('totals have no value or P/L until some holding is priced', () => {
+    const { totals } = createView(HOLDINGS, {}).computeSummary();
+
+    assert.equal(totals.currentValue, null);
+    assert.equal(totals.profitLoss, null);
+    assert.equal(totals.unpricedCount, 2);
+});
+
+test('allocation falls back to cost basis while any price is missing', () => {
+    const { rows } = createView(HOLDINGS, { bitcoin: 40000 }).computeSummary();
+
+    assert.deepEqual(rows.map(row => Math.round(row.allocation)), [86, 14]);
+});
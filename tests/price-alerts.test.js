@@ -0,0 +1,121 @@
+// Price alert engine: thresholds, crossings, one-shot firing and snoozes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PriceAlertEngine } = require('../price-alerts.js');
+
+const engine = new PriceAlertEngine();
+const NOW = Date.UTC(2024, 5, 1);
+
+// Alerts store stand-in with the IDBStore calls checkAlerts makes
+function createStore(alerts) {
+    const records = new Map(alerts.map(alert => [alert.id, { ...alert }]));
+    return {
+        records,
+        getAll: async () => [...records.values()].map(alert => ({ ...alert })),
+        put: async (alert) => {
+            records.set(alert.id, { ...alert });
+        }
+    };
+}
+
+const alert = (fields) => ({ coinId: 'bitcoin', symbol: 'btc', status: 'active', snoozedUntil: null, ...fields });
+
+test('above and below alerts fire at the threshold itself', () => {
+    const above = alert({ type: 'above', targetPrice: 100000 });
+    const below = alert({ type: 'below', targetPrice: 50000 });
+
+    assert.deepEqual([99999.99, 100000, 100001].map(price => engine.isTriggered(above, price)), [false, true, true]);
+    assert.deepEqual([50000.01, 50000, 49999].map(price => engine.isTriggered(below, price)), [false, true, true]);
+});
+
+test('gain alerts compare the change from the entry price in either direction', () => {
+    const gain = alert({ type: 'gain', entryPrice: 40000, percent: 50 });
+    const loss = alert({ type: 'gain', entryPrice: 40000, percent: -20 });
+
+    assert.deepEqual([59999, 60000, 80000].map(price => engine.isTriggered(gain, price)), [false, true, true]);
+    assert.deepEqual([32001, 32000, 10000].map(price => engine.isTriggered(loss, price)), [false, true, true]);
+    assert.equal(engine.isTriggered(alert({ type: 'unknown', targetPrice: 1 }), 2), false);
+});
+
+test('stale prices never fire an alert', () => {
+    assert.equal(engine.livePrice({ price: 93500, stale: false }), 93500);
+    assert.throws(() => engine.livePrice({ price: 93500, stale: true }), /No live price/);
+});
+
+test('a crossing fires once and is stored before the notification', async () => {
+    const store = createStore([
+        alert({ id: 'a', type: 'above', targetPrice: 100000 }),
+        alert({ id: 'b', type: 'below', targetPrice: 50000 })
+    ]);
+    const notified = [];
+    const notify = async (fired) => notified.push({ id: fired.id, stored: store.records.get(fired.id).status });
+
+    const first = await engine.checkAlerts(store, async () => 101000, notify, NOW);
+    assert.deepEqual(first.map(fired => fired.id), ['a']);
+    assert.deepEqual(notified, [{ id: 'a', stored: 'fired' }]);
+    assert.deepEqual(
+        { ...store.records.get('a') },
+        { ...alert({ id: 'a', type: 'above', targetPrice: 100000 }), status: 'fired', firedAt: NOW, firedPrice: 101000 }
+    );
+
+    // Still above the threshold on the next check: it has fired already, so nothing repeats
+    const second = await engine.checkAlerts(store, async () => 102000, notify, NOW + 60000);
+    assert.deepEqual(second, []);
+    assert.equal(notified.length, 1);
+    assert.equal(store.records.get('b').status, 'active');
+});
+
+test('snoozed alerts wait for their snooze to pass', async () => {
+    const store = createStore([alert({ id: 'a', type: 'above', targetPrice: 100000, status: 'snoozed', snoozedUntil: NOW + 1000 })]);
+    const notify = async () => {};
+
+    assert.deepEqual(await engine.checkAlerts(store, async () => 101000, notify, NOW), []);
+    const fired = await engine.checkAlerts(store, async () => 101000, notify, NOW + 1000);
+
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].snoozedUntil, null);
+});
+
+test('each coin is fetched once and a failed fetch only skips that coin', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const store = createStore([
+        alert({ id: 'a', type: 'above', targetPrice: 100000 }),
+        alert({ id: 'b', type: 'below', targetPrice: 200000 }),
+        alert({ id: 'c', coinId: 'ethereum', symbol: 'eth', type: 'above', targetPrice: 1 })
+    ]);
+    const fetched = [];
+    const fetchPrice = async (coinId) => {
+        fetched.push(coinId);
+        if (coinId === 'ethereum') {
+            throw new Error('Rate limited');
+        }
+        return 150000;
+    };
+
+    const fired = await engine.checkAlerts(store, fetchPrice, async () => {}, NOW);
+
+    assert.deepEqual(fetched.sort(), ['bitcoin', 'ethereum']);
+    assert.deepEqual(fired.map(item => item.id), ['a', 'b']);
+    assert.equal(store.records.get('c').status, 'active');
+});
+
+test('a notification error still leaves the alert fired', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const store = createStore([alert({ id: 'a', type: 'below', targetPrice: 50000 })]);
+
+    const fired = await engine.checkAlerts(store, async () => 40000, async () => {
+        throw new Error('Notifications are blocked');
+    }, NOW);
+
+    assert.equal(fired.length, 1);
+    assert.equal(store.records.get('a').status, 'fired');
+});
+
+test('notifications are written in USD', () => {
+    const above = engine.formatNotification(alert({ type: 'above', targetPrice: 100000, firedPrice: 101000 }));
+    const gain = engine.formatNotification(alert({ type: 'gain', entryPrice: 40000, percent: 50, firedPrice: 61000 }));
+
+    assert.deepEqual(above, { title: 'BTC price alert', body: 'BTC is above $100,000 (now $101,000)' });
+    assert.equal(gain.body, 'Your BTC position is +52.5% at $61,000');
+});
@@ -0,0 +1,104 @@
+// Current prices: concurrent fetchCoinPrice calls share simple/price requests
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPriceProviders, jsonResponse } = require('./helpers.js');
+loadPriceProviders();
+
+function createService() {
+    const service = new CoinGeckoService();
+    service.requestDelay = 0;
+    return service;
+}
+
+// Answers simple/price for every requested id, at 100 × its position in the list
+function simplePriceResponse(url) {
+    const { searchParams } = new URL(url);
+    const currency = searchParams.get('vs_currencies');
+    const ids = searchParams.get('ids').split(',');
+    return jsonResponse(Object.fromEntries(ids
+        .filter(id => id !== 'delisted')
+        .map((id, index) => [id, { [currency]: (index + 1) * 100, [`${currency}_24h_change`]: 1.5 }])));
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+test('calls made together go out as a single request', async () => {
+    const fetch = test.mock.method(global, 'fetch', async (url) => simplePriceResponse(url));
+    const service = createService();
+    const ids = ['bitcoin', 'ethereum', 'solana', 'dogecoin', 'cardano'];
+
+    const prices = await Promise.all(ids.map(id => service.fetchCoinPrice(id, 'eur')));
+
+    assert.equal(fetch.mock.callCount(), 1);
+    const { searchParams } = new URL(fetch.mock.calls[0].arguments[0]);
+    assert.equal(searchParams.get('ids'), ids.join(','));
+    assert.equal(searchParams.get('vs_currencies'), 'eur');
+    assert.deepEqual(prices.map(price => price.price), [100, 200, 300, 400, 500]);
+    assert.deepEqual(prices[0], { price: 100, change24h: 1.5, currency: 'eur' });
+});
+
+test('the same coin asked for twice is requested once', async () => {
+    const fetch = test.mock.method(global, 'fetch', async (url) => simplePriceResponse(url));
+    const service = createService();
+
+    const [first, second] = await Promise.all([
+        service.fetchCoinPrice('bitcoin', 'usd'),
+        service.fetchCoinPrice('bitcoin', 'usd')
+    ]);
+
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.equal(new URL(fetch.mock.calls[0].arguments[0]).searchParams.get('ids'), 'bitcoin');
+    assert.deepEqual(first, second);
+});
+
+test('each currency gets its own request and large batches are split', async () => {
+    const fetch = test.mock.method(global, 'fetch', async (url) => simplePriceResponse(url));
+    const service = createService();
+    service.maxBatchSize = 2;
+
+    await Promise.all([
+        ...['bitcoin', 'ethereum', 'solana'].map(id => service.fetchCoinPrice(id, 'usd')),
+        service.fetchCoinPrice('bitcoin', 'brl')
+    ]);
+
+    const requested = fetch.mock.calls.map(call => {
+        const { searchParams } = new URL(call.arguments[0]);
+        return `${searchParams.get('vs_currencies')}:${searchParams.get('ids')}`;
+    });
+    assert.deepEqual(requested.sort(), ['brl:bitcoin', 'usd:bitcoin,ethereum', 'usd:solana']);
+});
+
+test('coin ids are escaped in the URL', async () => {
+    const fetch = test.mock.method(global, 'fetch', async (url) => simplePriceResponse(url));
+    const service = createService();
+
+    await Promise.all([
+        service.fetchCoinPrice('bitcoin', 'usd'),
+        service.fetchCoinPrice('odd&id=1', 'usd')
+    ]);
+
+    const url = fetch.mock.calls[0].arguments[0];
+    assert.match(url, /ids=bitcoin,odd%26id%3D1&vs_currencies=usd/);
+    assert.equal(new URL(url).searchParams.get('ids'), 'bitcoin,odd&id=1');
+});
+
+test('a coin missing from the answer fails on its own', async () => {
+    test.mock.method(global, 'fetch', async (url) => simplePriceResponse(url));
+    const service = createService();
+
+    const [bitcoin, delisted] = await Promise.allSettled([
+        service.fetchCoinPrice('bitcoin', 'usd'),
+        service.fetchCoinPrice('delisted', 'usd')
+    ]);
+
+    assert.equal(bitcoin.status, 'fulfilled');
+    assert.equal(delisted.status, 'rejected');
+    assert.match(delisted.reason.message, /Coin price not found/);
+});
@@ -0,0 +1,28 @@
+// Exchange providers only price coins they have an explicit pair for
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPriceProviders, jsonResponse } = require('./helpers.js');
+const { BinanceProvider, KrakenProvider } = loadPriceProviders();
+
+test('pairs come from the CoinGecko id, not the ticker', () => {
+    assert.equal(new BinanceProvider().pairFor('bitcoin', 'usd'), 'BTCUSDT');
+    assert.equal(new BinanceProvider().pairFor('solana', 'eur'), 'SOLEUR');
+    assert.equal(new KrakenProvider().pairFor('bitcoin', 'eur'), 'XBTEUR');
+    assert.equal(new KrakenProvider().pairFor('dogecoin', 'usd'), 'XDGUSD');
+});
+
+test('unmapped coins and currencies are unavailable', () => {
+    assert.throws(() => new BinanceProvider().pairFor('uniswap-wrapped-copy', 'usd'), /Binance does not list uniswap-wrapped-copy/);
+    assert.throws(() => new KrakenProvider().pairFor('binancecoin', 'usd'), /Kraken does not list binancecoin/);
+    assert.throws(() => new KrakenProvider().pairFor('bitcoin', 'brl'), /Kraken has no BRL markets/);
+});
+
+test('an unmapped coin is never requested from the exchange', async (t) => {
+    const fetch = t.mock.method(global, 'fetch', async () => jsonResponse({ lastPrice: '1' }));
+    // Shares the UNI ticker with Uniswap
+    const coin = { id: 'universe-token', symbol: 'uni', name: 'Universe' };
+
+    await assert.rejects(new BinanceProvider().fetchCoinPrice(coin.id, 'usd', coin), /does not list/);
+    assert.equal(fetch.mock.callCount(), 0);
+});
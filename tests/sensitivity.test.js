@@ -0,0 +1,58 @@
+// Scenario grid size and CSV precision
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers.js');
+const { ScenarioLadder, GRID_MAX_PRICES } = require('../sensitivity.js');
+
+const calculator = loadCalculator();
+const ladder = new ScenarioLadder(calculator.computePositionNumbers.bind(calculator));
+const NO_FEES = {
+    buyFee: { value: 0, type: 'percent' },
+    sellFee: { value: 0, type: 'percent' },
+    slippage: 0,
+    networkFee: 0
+};
+
+test('large grids are sampled down to the limit, keeping both ends', () => {
+    const prices = Array.from({ length: 60 }, (_, index) => index + 1);
+    const sampled = ladder.samplePrices(prices);
+
+    assert.equal(sampled.length, GRID_MAX_PRICES);
+    assert.equal(sampled[0], 1);
+    assert.equal(sampled.at(-1), 60);
+    assert.deepEqual(sampled, [...new Set(sampled)].sort((a, b) => a - b));
+    assert.equal(ladder.samplePrices(prices.slice(0, 10)).length, 10);
+});
+
+test('CSV exports keep the digits of prices below 1e-8', () => {
+    const position = { investment: 100, purchasePrice: 1.2e-9, fees: NO_FEES, buyCount: 1 };
+    const rows = ladder.buildLadder(position, [1.2e-9, 2.4e-9]);
+    const ladderCsv = ladder.ladderToCsv(rows).split('\n');
+
+    assert.equal(ladderCsv[1].split(',')[0], '0.0000000012');
+    assert.equal(ladderCsv[2].split(',')[0], '0.0000000024');
+
+    const grid = ladder.buildGrid(position, [1.2e-9, 3.5e-10], [2.4e-9]);
+    const gridCsv = ladder.gridToCsv(grid).split('\n');
+
+    assert.equal(gridCsv[0], 'Entry \\ Target,0.0000000024');
+    assert.equal(gridCsv[2].split(',')[0], '0.00000000035');
+});
+
+test('a tiny percent step generates no more than the row limit', () => {
+    const started = Date.now();
+    const prices = ladder.buildPrices('percent', '0.000001', 100);
+
+    assert.equal(prices.length, 60);
+    assert.ok(prices.every(price => price > 0));
+    assert.ok(Math.abs(prices.at(-1) - 100 * (1 + 10 * 0.000001 / 100)) < 1e-9);
+    // Generating the full range first would take seconds and gigabytes
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('a coarse percent step stops before -100%', () => {
+    const prices = ladder.buildPrices('percent', '25', 100);
+
+    assert.deepEqual(prices, [25, 50, 75, 100, 125, 150, 175, 200, 225, 250, 275, 300, 325, 350]);
+});
@@ -0,0 +1,120 @@
+// Service worker: the asset cache tracks the cached files, and the API cache stays bounded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { listCachedFiles, computeAssetHash, readStampedHash } = require('../tools/stamp-sw-version.js');
+
+const ROOT = path.join(__dirname, '..');
+const SW_SOURCE = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+// In-memory Cache with the insertion-order keys() the eviction relies on
+function createCache() {
+    const entries = new Map();
+    const key = (request) => request.url || request;
+    return {
+        entries,
+        async match(request) {
+            const response = entries.get(key(request));
+            return response && response.clone();
+        },
+        async put(request, response) {
+            entries.delete(key(request));
+            entries.set(key(request), response);
+        },
+        async keys() {
+            return [...entries.keys()];
+        },
+        async delete(request) {
+            return entries.delete(key(request));
+        }
+    };
+}
+
+// Runs sw.js in its own context with just enough of the worker globals
+function loadServiceWorker() {
+    const cache = createCache();
+    const listeners = {};
+    const context = vm.createContext({
+        console,
+        Headers,
+        Response,
+        URL,
+        caches: { open: async () => cache },
+        fetch: async () => new Response('{}'),
+        self: { addEventListener: (type, listener) => { listeners[type] = listener; } },
+        importScripts: () => vm.runInContext(fs.readFileSync(path.join(ROOT, 'coingecko-service.js'), 'utf8'), context)
+    });
+    vm.runInContext(SW_SOURCE, context);
+    return { context, cache, listeners, constant: (name) => vm.runInContext(name, context) };
+}
+
+test('the asset cache name carries the hash of the cached files', () => {
+    const { constant } = loadServiceWorker();
+
+    assert.equal(readStampedHash(SW_SOURCE), computeAssetHash(SW_SOURCE),
+        'sw.js is out of date: run node tools/stamp-sw-version.js');
+    assert.equal(constant('CACHE_NAME'), `profit-pulse-${constant('APP_VERSION')}-${readStampedHash(SW_SOURCE)}`);
+});
+
+test('every script the page and the Monte Carlo worker load is cached, and every cached file exists', () => {
+    const cached = listCachedFiles(SW_SOURCE);
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+
+    assert.ok(scripts.length > 0);
+    [...scripts, 'monte-carlo-worker.js', 'styles.css', 'index.html'].forEach(file => {
+        assert.ok(cached.includes(file), `${file} is not in urlsToCache`);
+    });
+    cached.forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is cached but does not exist`);
+    });
+});
+
+test('the API cache keeps only the most recently stored responses', async () => {
+    const { context, cache, constant } = loadServiceWorker();
+    const limit = constant('API_CACHE_MAX_ENTRIES');
+
+    for (let i = 0; i < limit + 25; i++) {
+        await cache.put(`https://api.coingecko.com/api/v3/simple/price?ids=coin-${i}`, new Response('{}'));
+    }
+    // Storing an old URL again makes it the newest
+    await cache.put('https://api.coingecko.com/api/v3/simple/price?ids=coin-0', new Response('{}'));
+    await context.trimApiCache(cache);
+
+    const keys = await cache.keys();
+    assert.equal(keys.length, limit);
+    assert.equal(keys[0], 'https://api.coingecko.com/api/v3/simple/price?ids=coin-26');
+    assert.equal(keys.at(-1), 'https://api.coingecko.com/api/v3/simple/price?ids=coin-0');
+});
+
+test('an API cache under the bound is left alone', async () => {
+    const { context, cache } = loadServiceWorker();
+
+    await cache.put('https://api.kraken.com/0/public/Ticker?pair=XBTUSD', new Response('{}'));
+    await context.trimApiCache(cache);
+
+    assert.equal(cache.entries.size, 1);
+});
+
+test('responses stored through the fetch handler are trimmed to the bound', async () => {
+    const { cache, listeners, constant } = loadServiceWorker();
+    const limit = constant('API_CACHE_MAX_ENTRIES');
+
+    for (let i = 0; i < limit + 10; i++) {
+        let response;
+        const pending = [];
+        listeners.fetch({
+            request: { url: `https://api.binance.com/api/v3/ticker/24hr?symbol=C${i}USDT`, method: 'GET' },
+            respondWith: (promise) => { response = promise; },
+            waitUntil: (promise) => pending.push(promise)
+        });
+        await response;
+        await Promise.all(pending);
+    }
+
+    assert.equal(cache.entries.size, limit);
+    assert.ok(!cache.entries.has('https://api.binance.com/api/v3/ticker/24hr?symbol=C0USDT'));
+});
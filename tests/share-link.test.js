@@ -0,0 +1,106 @@
+// Share link encoding and validation of untrusted URL state
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShareLinkCodec, SHARE_LINK_VERSION, SHARE_LIMITS } = require('../share-link.js');
+
+const codec = new ShareLinkCodec(['usd', 'eur', 'brl']);
+
+const STATE = {
+    coinId: 'bitcoin',
+    currency: 'eur',
+    mode: 'dca',
+    investment: 10000,
+    investmentCurrency: 'brl',
+    purchasePrice: 0.0000123456,
+    purchaseDate: '2024-01-15',
+    targetPrice: 1.5e-4,
+    fees: {
+        buyFee: { value: 0.1, type: 'percent' },
+        sellFee: { value: 5, type: 'flat' },
+        slippage: 0.5,
+        networkFee: 2
+    },
+    lots: [
+        { date: '2024-01-15', amount: 5000, price: 0.00001 },
+        { date: '', amount: 5000, price: 0.000015 }
+    ],
+    solveFor: 'targetPrice',
+    goal: { type: 'roi', value: 150 }
+};
+
+test('a full state survives a round trip', () => {
+    const { state, rejected } = codec.decode(`#${codec.encode(STATE)}`);
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(state, STATE);
+});
+
+test('links carry the format version', () => {
+    assert.equal(new URLSearchParams(codec.encode(STATE)).get('v'), String(SHARE_LINK_VERSION));
+});
+
+test('negative profit and ROI goals round-trip', () => {
+    for (const goal of [{ type: 'roi', value: -50 }, { type: 'profit', value: -2500.75 }]) {
+        const { state, rejected } = codec.decode(codec.encode({ ...STATE, goal }));
+        assert.deepEqual(rejected, []);
+        assert.deepEqual(state.goal, goal);
+    }
+});
+
+test('goals outside what the goal type allows are rejected', () => {
+    assert.deepEqual(codec.decode('solve=targetPrice&goalt=roi&goal=-150').rejected, ['goal']);
+    assert.deepEqual(codec.decode('solve=targetPrice&goalt=multiple&goal=-2').rejected, ['goal']);
+    assert.deepEqual(codec.decode('solve=targetPrice&goal=--5').rejected, ['goal']);
+});
+
+test('malformed and out-of-range values are dropped and reported', () => {
+    const { state, rejected } = codec.decode([
+        'coin=<script>',
+        'cur=xyz',
+        'mode=margin',
+        'inv=-100',
+        'buy=0x10',
+        'date=2999-01-01',
+        `target=${SHARE_LIMITS.maxAmount}`,
+        'bf=150',
+        'sft=bogus',
+        'solve=tokens'
+    ].join('&'));
+
+    assert.deepEqual(rejected.sort(), ['bf', 'buy', 'coin', 'cur', 'date', 'inv', 'mode', 'sft', 'solve', 'target']);
+    assert.equal(state.coinId, undefined);
+    assert.equal(state.investment, undefined);
+    assert.equal(state.fees.buyFee.value, undefined);
+    assert.equal(state.fees.sellFee.type, 'percent');
+});
+
+test('one bad lot drops the whole lot list', () => {
+    const { state, rejected } = codec.decode('mode=dca&lots=2024-01-01:100:2;2024-01-02:abc:2');
+
+    assert.equal(state.lots, undefined);
+    assert.deepEqual(rejected, ['lots']);
+});
+
+test('more lots than the limit are rejected', () => {
+    const lots = Array.from({ length: SHARE_LIMITS.maxLots + 1 }, () => ':100:2').join(';');
+    assert.deepEqual(codec.decode(`mode=dca&lots=${lots}`).rejected, ['lots']);
+});
+
+test('links without a version are read as the first version', () => {
+    const { state, rejected } = codec.decode('coin=ethereum&inv=500');
+
+    assert.deepEqual(rejected, []);
+    assert.equal(state.coinId, 'ethereum');
+    assert.equal(state.investment, 500);
+});
+
+test('links from a newer or unknown version are ignored entirely', () => {
+    for (const version of [String(SHARE_LINK_VERSION + 1), '0', 'abc']) {
+        const { state, rejected } = codec.decode(`v=${version}&coin=ethereum&inv=500`);
+        assert.deepEqual(rejected, ['v']);
+        assert.equal(state.coinId, undefined);
+        assert.equal(state.investment, undefined);
+        assert.deepEqual(state.fees.buyFee, { value: undefined, type: 'percent' });
+    }
+});
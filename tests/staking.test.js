@@ -0,0 +1,112 @@
+// Staking engine: APY vs APR, each compounding mode and the holding period
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers.js');
+const { StakingEngine, StakingView, COMPOUNDING_PERIODS, STAKING_MAX_MONTHS } = require('../staking.js');
+
+const calculator = loadCalculator();
+const engine = new StakingEngine(calculator.computeFee.bind(calculator));
+const NO_FEES = {
+    buyFee: { value: 0, type: 'percent' },
+    sellFee: { value: 0, type: 'percent' },
+    slippage: 0,
+    networkFee: 0
+};
+// 10 tokens held at a target of 100
+const POSITION = { tokensOwned: 10, investment: 800, targetPrice: 100, fees: NO_FEES, finalValue: 1000, profitLoss: 200 };
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+}
+
+test('an APY grows the balance by exactly that much in a year, however often it compounds', () => {
+    for (const compounding of ['daily', 'weekly', 'monthly', 'yearly']) {
+        assertClose(engine.growthFactor(10, 'apy', compounding, 1), 1.1);
+        assertClose(engine.growthFactor(10, 'apy', compounding, 3), 1.1 ** 3);
+    }
+});
+
+test('an APR compounds into a higher APY', () => {
+    assertClose(engine.growthFactor(12, 'apr', 'monthly', 1), 1.01 ** 12);
+    assertClose(engine.growthFactor(52, 'apr', 'weekly', 1), 1.01 ** 52);
+    assertClose(engine.growthFactor(36.5, 'apr', 'daily', 1), 1.001 ** 365);
+    assertClose(engine.growthFactor(10, 'apr', 'yearly', 1), 1.1);
+});
+
+test('an APY and the APR it compounds from give the same growth', () => {
+    const periods = COMPOUNDING_PERIODS.monthly;
+    const apr = ((1.1 ** (1 / periods)) - 1) * periods * 100;
+
+    for (const years of [0.5, 1, 2.25]) {
+        assertClose(engine.growthFactor(10, 'apy', 'monthly', years), engine.growthFactor(apr, 'apr', 'monthly', years));
+    }
+});
+
+test('part of a period accrues simply on top of the whole periods', () => {
+    // Eighteen months of yearly compounding: one full year, then half a year's rate
+    assertClose(engine.growthFactor(10, 'apr', 'yearly', 1.5), 1.1 * 1.05);
+    assertClose(engine.growthFactor(10, 'apy', 'yearly', 0.5), 1.05);
+});
+
+test('without compounding an APR accrues simply', () => {
+    assertClose(engine.growthFactor(10, 'apr', 'none', 0.5), 1.05);
+    assertClose(engine.growthFactor(10, 'apr', 'none', 2), 1.2);
+});
+
+test('without compounding an APY accrues at its daily APR, never above the APY', () => {
+    const apr = ((1.1 ** (1 / 365)) - 1) * 365;
+
+    assertClose(engine.growthFactor(10, 'apy', 'none', 1), 1 + apr);
+    assertClose(engine.growthFactor(10, 'apy', 'none', 0.5), 1 + apr / 2);
+    assert.ok(engine.growthFactor(10, 'apy', 'none', 1) < 1.1);
+    assert.ok(engine.growthFactor(10, 'apy', 'none', 0.5) < 1.1 ** 0.5);
+});
+
+test('a projection splits P/L into price and yield', () => {
+    const result = engine.project(POSITION, { rate: 12, rateType: 'apr', compounding: 'monthly', months: 12 });
+
+    assert.equal(result.months, 12);
+    assert.equal(result.schedule.length, 12);
+    assertClose(result.finalTokens, 10 * 1.01 ** 12);
+    assertClose(result.rewardTokens, result.finalTokens - 10);
+    assertClose(result.schedule[0].rewards, 0.1);
+    assertClose(result.effectiveApy, (1.01 ** 12 - 1) * 100);
+    assertClose(result.finalValue, result.finalTokens * 100);
+    assert.equal(result.priceProfitLoss, 200);
+    assertClose(result.yieldProfitLoss, result.finalValue - 1000);
+    assertClose(result.totalProfitLoss, result.finalValue - 800);
+});
+
+test('the holding period is rounded to whole months and capped', () => {
+    const staking = { rate: 5, rateType: 'apy', compounding: 'daily' };
+
+    assert.equal(engine.project(POSITION, { ...staking, months: 0.4 }).months, 0);
+    assert.equal(engine.project(POSITION, { ...staking, months: 2.6 }).months, 3);
+    assert.equal(engine.project(POSITION, { ...staking, months: 10000 }).schedule.length, STAKING_MAX_MONTHS);
+});
+
+// Just enough of the panel for render()
+function createView(months) {
+    const view = Object.create(StakingView.prototype);
+    Object.assign(view, {
+        engine,
+        container: { open: true },
+        position: POSITION,
+        rateInput: { value: '5' },
+        rateTypeSelect: { value: 'apy' },
+        compoundingSelect: { value: 'daily' },
+        monthsInput: { value: months },
+        results: { innerHTML: '' },
+        table: { innerHTML: '' }
+    });
+    return view;
+}
+
+test('a holding period that rounds to zero months asks for a period instead of projecting', () => {
+    const view = createView('0.4');
+    view.render();
+
+    assert.match(view.results.innerHTML, /Enter a position, a reward rate and a holding period/);
+    assert.equal(view.table.innerHTML, '');
+});
@@ -0,0 +1,163 @@
+// Tax lot matching on the calculator's math, and reporting in a non-USD quote currency
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers.js');
+const { TaxLotEngine, TaxLotView } = require('../tax-lots.js');
+
+const calculator = loadCalculator();
+const computePosition = calculator.computePosition.bind(calculator);
+
+// EUR per USD by date; anything else has no rate
+const EUR_RATES = { '2024-01-10': 0.92, '2024-06-10': 0.93 };
+
+function createView(trades, rate, currency) {
+    const view = Object.create(TaxLotView.prototype);
+    Object.assign(view, {
+        store: { getTrades: () => trades.map(trade => ({ ...trade })) },
+        engine: new TaxLotEngine(computePosition),
+        computePosition,
+        displayRate: rate,
+        currency,
+        tradeRates: new Map(),
+        rateRequests: new Map(),
+        lookups: [],
+        messages: [],
+        priceService: {
+            getHistoricalExchangeRate: async (from, to, date) => {
+                view.lookups.push(`${to}_${date}`);
+                if (from !== 'usd' || to !== 'eur' || !(date in EUR_RATES)) {
+                    throw new Error('No price data available for that date.');
+                }
+                return EUR_RATES[date];
+            }
+        }
+    });
+    view.render = () => {};
+    view.showMessage = (message, isError) => view.messages.push({ message, isError });
+    return view;
+}
+
+// Bought at 5.0 BRL/USD, sold at 5.5 BRL/USD; today the rate is 6.0
+const TRADES = [
+    { id: 'b1', coinId: 'bitcoin', symbol: 'btc', type: 'buy', date: '2024-01-10', tokens: 1, price: 20000, fee: 0, currency: 'brl', usdRate: 5 },
+    { id: 's1', coinId: 'bitcoin', symbol: 'btc', type: 'sell', date: '2024-06-10', tokens: 0.5, price: 30000, fee: 0, currency: 'brl', usdRate: 5.5 }
+];
+
+test('trades entered in the quote currency are reported at their own exchange rate', () => {
+    const view = createView(TRADES, 6, 'brl');
+    const { disposals } = view.engine.process(view.getReportingTrades());
+
+    assert.equal(disposals[0].costBasis, 50000);
+    assert.equal(disposals[0].proceeds, 82500);
+    assert.equal(disposals[0].gain, 32500);
+});
+
+test('trades entered in another currency are reported at the rate of their date', async () => {
+    const view = createView(TRADES, 0.9, 'eur');
+
+    // Today's rate stands in until the lookups are back
+    assert.equal(view.engine.process(view.getReportingTrades()).disposals[0].costBasis, 9000);
+
+    await view.loadTradeRates();
+    const { disposals } = view.engine.process(view.getReportingTrades());
+
+    assert.deepEqual(view.lookups, ['eur_2024-01-10', 'eur_2024-06-10']);
+    assert.ok(Math.abs(disposals[0].costBasis - 9200) < 1e-9);
+    assert.ok(Math.abs(disposals[0].proceeds - 13950) < 1e-9);
+    assert.deepEqual(view.messages, []);
+});
+
+test('each currency and date is looked up once', async () => {
+    const sameDay = [TRADES[0], { ...TRADES[0], id: 'b2' }];
+    const view = createView(sameDay, 0.9, 'eur');
+
+    await Promise.all([view.loadTradeRates(), view.loadTradeRates()]);
+    await view.loadTradeRates();
+
+    assert.deepEqual(view.lookups, ['eur_2024-01-10']);
+    assert.deepEqual(view.getReportingTrades().map(trade => trade.price), [18400, 18400]);
+});
+
+test('dates without a rate keep today\'s rate and say so', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const trades = [TRADES[0], { ...TRADES[1], date: '2024-06-11' }];
+    const view = createView(trades, 0.9, 'eur');
+
+    await view.loadTradeRates();
+
+    assert.deepEqual(view.getReportingTrades().map(trade => trade.price), [18400, 27000]);
+    assert.equal(view.messages.length, 1);
+    assert.match(view.messages[0].message, /No EUR exchange rate for 2024-06-11/);
+    assert.equal(view.messages[0].isError, true);
+});
+
+test('a trade entered for a past date is stored at that day\'s rate', async () => {
+    const view = createView([], 0.9, 'eur');
+    const added = [];
+    Object.assign(view, {
+        getSelectedCoin: () => ({ id: 'bitcoin', symbol: 'btc' }),
+        tradeTypeSelect: { value: 'buy' },
+        tradeDateInput: { value: '2024-01-10' },
+        tradeTokensInput: { value: '1' },
+        tradePriceInput: { value: '18400' },
+        tradeFeeInput: { value: '9.2' },
+        addTrade: (trade) => added.push(trade)
+    });
+
+    await view.addTradeFromForm();
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].usdRate, 0.92);
+    assert.ok(Math.abs(added[0].price - 20000) < 1e-9);
+    assert.ok(Math.abs(added[0].fee - 10) < 1e-9);
+    assert.equal(added[0].currency, 'eur');
+});
+
+test('trades saved without a currency were entered in USD', () => {
+    const legacy = TRADES.map(({ currency, usdRate, ...trade }) => trade);
+
+    assert.equal(createView(legacy, 1, 'usd').getReportingTrades()[0].price, 20000);
+    assert.equal(createView(legacy, 6, 'brl').getReportingTrades()[0].price, 120000);
+});
+
+test('sell fees come off each matched lot\'s proceeds pro rata', () => {
+    const engine = new TaxLotEngine(computePosition);
+    const { disposals, openLots } = engine.process([
+        { id: 'b1', coinId: 'bitcoin', symbol: 'btc', type: 'buy', date: '2024-01-10', tokens: 1, price: 100, fee: 2 },
+        { id: 'b2', coinId: 'bitcoin', symbol: 'btc', type: 'buy', date: '2024-06-10', tokens: 1, price: 120 },
+        { id: 's1', coinId: 'bitcoin', symbol: 'btc', type: 'sell', date: '2025-03-10', tokens: 1.5, price: 200, fee: 3 }
+    ]);
+
+    assert.deepEqual(disposals.map(disposal => [disposal.tokens, disposal.proceeds, disposal.costBasis, disposal.gain, disposal.term]), [
+        [1, 198, 102, 96, 'long'],
+        [0.5, 99, 60, 39, 'short']
+    ]);
+    assert.deepEqual(openLots.map(lot => [lot.buyId, lot.tokens]), [['b2', 0.5]]);
+});
+
+test('HIFO sells the most expensive lot first', () => {
+    const engine = new TaxLotEngine(computePosition, 'hifo');
+    const { disposals } = engine.process([
+        { id: 'b1', coinId: 'eth', symbol: 'eth', type: 'buy', date: '2024-01-10', tokens: 1, price: 2000 },
+        { id: 'b2', coinId: 'eth', symbol: 'eth', type: 'buy', date: '2024-02-10', tokens: 1, price: 3000 },
+        { id: 's1', coinId: 'eth', symbol: 'eth', type: 'sell', date: '2024-03-10', tokens: 1, price: 2500 }
+    ]);
+
+    assert.equal(disposals[0].buyId, 'b2');
+    assert.equal(disposals[0].gain, -500);
+});
+
+test('the CSV describes token amounts without float noise', () => {
+    const engine = new TaxLotEngine(computePosition);
+    const { disposals } = engine.process([
+        { id: 'b1', coinId: 'eth', symbol: 'eth', type: 'buy', date: '2024-01-10', tokens: 0.1 + 0.2, price: 2000 },
+        { id: 's1', coinId: 'eth', symbol: 'eth', type: 'sell', date: '2024-02-10', tokens: 0.1 + 0.2, price: 2500 },
+        { id: 'b2', coinId: 'pepe', symbol: 'pepe', type: 'buy', date: '2024-01-10', tokens: 0.00000001, price: 1 },
+        { id: 's2', coinId: 'pepe', symbol: 'pepe', type: 'sell', date: '2024-02-10', tokens: 0.00000001, price: 2 }
+    ]);
+    const lines = engine.toCsv(disposals).split('\n');
+
+    assert.match(lines[1], /^0\.3 ETH,/);
+    assert.match(lines[2], /^0\.00000001 PEPE,/);
+});
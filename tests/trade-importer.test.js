@@ -0,0 +1,97 @@
+// Trade import of fiat quotes other than USD
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TradeImporter } = require('../trade-importer.js');
+
+// Quote units per USD by date; lookups are recorded to check the cache
+const RATES = {
+    '2024-03-01': { usd: 1, eur: 0.9, gbp: 0.8, brl: 5 },
+    '2024-09-02': { usd: 1, eur: 0.8, gbp: 0.75, brl: 5.5 }
+};
+const priceService = {
+    lookups: [],
+    async getHistoricalExchangeRate(from, to, date) {
+        this.lookups.push(`${to}_${date}`);
+        if (!RATES[date]) {
+            throw new Error('No price data available for that date.');
+        }
+        return RATES[date][to] / RATES[date][from];
+    }
+};
+
+test('EUR, GBP and BRL quotes are parsed with their currency', () => {
+    const importer = new TradeImporter(priceService);
+    const { trades, errors } = importer.parse([
+        'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+        '2024-01-10 10:00:00,BTCEUR,BUY,36000,0.1,3600,3.6EUR',
+        '2024-01-11 10:00:00,ETHGBP,SELL,1800,2,3600,0',
+        '2024-01-12 10:00:00,SOLBRL,BUY,500,10,5000,0',
+        '2024-01-13 10:00:00,ETHBTC,BUY,0.05,1,0.05,0'
+    ].join('\n'));
+
+    assert.deepEqual(trades.map(trade => [trade.symbol, trade.currency]), [['BTC', 'eur'], ['ETH', 'gbp'], ['SOL', 'brl']]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].reason, /Quote currency "BTC" is not supported/);
+});
+
+test('Kraken ZEUR pairs are recognized', () => {
+    const importer = new TradeImporter(priceService);
+    const { trades } = importer.parse([
+        'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol',
+        'T1,O1,XXBTZEUR,2024-02-01 12:00:00,buy,limit,40000,400,1,0.01'
+    ].join('\n'));
+
+    assert.equal(trades[0].symbol, 'BTC');
+    assert.equal(trades[0].currency, 'eur');
+});
+
+test('non-USD trades are converted to USD and keep the rate used', async () => {
+    const importer = new TradeImporter(priceService);
+    const { trades: parsed } = importer.parse([
+        'date,type,symbol,quantity,price,fee,currency',
+        '2024-03-01,buy,ETH,1,4500,9,EUR',
+        '2024-03-02,buy,ETH,1,3000,0,'
+    ].join('\n'));
+    const { trades: [eur, usd] } = await importer.convertToUsd(parsed);
+
+    assert.equal(eur.price, 5000);
+    assert.equal(eur.fee, 10);
+    assert.equal(eur.usdRate, 0.9);
+    assert.equal(eur.price * eur.usdRate, 4500);
+    assert.equal(usd.price, 3000);
+    assert.equal(usd.usdRate, 1);
+});
+
+test('an ambiguous ticker suggests the candidate with the best market cap rank', () => {
+    const importer = new TradeImporter(priceService);
+    const candidates = [
+        { id: 'uniswap-wormhole', symbol: 'uni', name: 'Uniswap (Wormhole)' },
+        { id: 'unicorn-token', symbol: 'uni', name: 'Unicorn', market_cap_rank: 2400 },
+        { id: 'uniswap', symbol: 'uni', name: 'Uniswap', market_cap_rank: 25 }
+    ];
+
+    assert.equal(importer.suggestCoin(candidates).id, 'uniswap');
+    assert.equal(importer.suggestCoin(candidates.slice(0, 1)), null);
+});
+
+test('each trade is converted at the exchange rate of its own date', async () => {
+    priceService.lookups = [];
+    const importer = new TradeImporter(priceService);
+    const { trades: parsed } = importer.parse([
+        'date,type,symbol,quantity,price,fee,currency',
+        '2024-03-01,buy,ETH,1,3600,0,EUR',
+        '2024-03-01,buy,ETH,1,3600,0,EUR',
+        '2024-09-02,sell,ETH,2,3600,0,EUR',
+        '2024-12-25,sell,ETH,1,3000,0,EUR'
+    ].join('\n'));
+    const { trades, errors } = await importer.convertToUsd(parsed);
+
+    assert.deepEqual(trades.map(trade => trade.price), [4000, 4000, 4500]);
+    assert.deepEqual(trades.map(trade => trade.usdRate), [0.9, 0.9, 0.8]);
+    // Looked up once per currency and date
+    assert.deepEqual(priceService.lookups, ['eur_2024-03-01', 'eur_2024-09-02', 'eur_2024-12-25']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].line, 5);
+    assert.match(errors[0].reason, /No USD\/EUR exchange rate for 2024-12-25/);
+});
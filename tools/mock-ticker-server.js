@@ -0,0 +1,140 @@
+// Mock ticker WebSocket server for trying live prices offline
+// Speaks the Binance combined-stream format that live-prices.js expects.
+//
+//   node tools/mock-ticker-server.js [--port=8090] [--interval=500] [--drop-after=20]
+//
+// then in the browser console: localStorage.setItem('profit-pulse-live-url', 'ws://localhost:8090/stream')
+// --drop-after closes every connection after that many seconds to exercise reconnects.
+// No dependencies: only the handshake and unmasked text frames of RFC 6455 are implemented.
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const QUOTES = { USDT: 'usd', EUR: 'eur', BRL: 'brl', GBP: 'gbp', JPY: 'jpy' };
+
+const options = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, Number(value)];
+}));
+const port = options.port || 8090;
+const interval = options.interval || 500;
+const dropAfter = options['drop-after'] || 0;
+
+// Start from the bundled fixture prices so the numbers look familiar
+const fixture = require(path.join(__dirname, '..', 'fixtures', 'prices.json'));
+const startPrices = new Map();
+
+function startPrice(stream) {
+    const pair = stream.replace(/@ticker$/, '').toUpperCase();
+    const quote = Object.keys(QUOTES).find(asset => pair.endsWith(asset));
+    const coin = quote && fixture.coins.find(item => item.symbol.toUpperCase() === pair.slice(0, -quote.length));
+    const prices = coin && fixture.prices[coin.id];
+    if (!prices) {
+        return null; // Unknown pairs stay silent, like a real unlisted market
+    }
+
+    const currency = QUOTES[quote];
+    if (prices[currency]) {
+        return prices[currency];
+    }
+    const rates = fixture.exchangeRates || {};
+    return rates[currency] && rates.usd ? prices.usd * rates[currency].value / rates.usd.value : null;
+}
+
+// Server-to-client text frame (servers never mask)
+function frame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const streams = (url.searchParams.get('streams') || '').split('/').filter(Boolean);
+    console.log(`Client connected: ${streams.join(', ') || '(no streams)'}`);
+
+    streams.forEach(stream => {
+        if (!startPrices.has(stream)) {
+            startPrices.set(stream, startPrice(stream));
+        }
+    });
+
+    // Small random walk per stream, shared by every client
+    const timer = setInterval(() => {
+        streams.forEach(stream => {
+            const open = startPrices.get(stream);
+            if (!open) {
+                return;
+            }
+            const price = open * Math.exp((Math.random() - 0.5) * 0.002);
+            startPrices.set(stream, price);
+            socket.write(frame(JSON.stringify({
+                stream,
+                data: {
+                    e: '24hrTicker',
+                    E: Date.now(),
+                    s: stream.replace(/@ticker$/, '').toUpperCase(),
+                    c: price.toPrecision(8),
+                    P: ((Math.random() - 0.5) * 10).toFixed(3)
+                }
+            })));
+        });
+    }, interval);
+
+    const dropTimer = dropAfter ? setTimeout(() => {
+        console.log('Dropping connection');
+        socket.end(Buffer.from([0x88, 0x00]));
+    }, dropAfter * 1000) : null;
+
+    // Any close frame (opcode 8) from the client ends the connection
+    socket.on('data', (data) => {
+        if ((data[0] & 0x0f) === 0x08) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        }
+    });
+
+    socket.on('close', () => {
+        clearInterval(timer);
+        clearTimeout(dropTimer);
+        console.log('Client disconnected');
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(port, () => {
+    console.log(`Mock ticker server on ws://localhost:${port}/stream`);
+});
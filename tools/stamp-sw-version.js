@@ -0,0 +1,69 @@
+// Stamps sw.js with a hash of the app files it caches
+// The asset cache is named after APP_VERSION and this hash, so editing any cached file
+// installs a fresh cache on the next visit even when nobody bumped APP_VERSION.
+//
+//   node tools/stamp-sw-version.js            rewrites ASSET_HASH in sw.js
+//   node tools/stamp-sw-version.js --check    exits with 1 when ASSET_HASH is out of date
+//
+// The test suite runs the check, so a stale hash fails `node --test`.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const HASH_PATTERN = /const ASSET_HASH = '([0-9a-f]*)';/;
+
+// Local entries of urlsToCache, as paths relative to the project root; '/' is index.html
+function listCachedFiles(swSource) {
+    const list = swSource.match(/const urlsToCache = \[([\s\S]*?)\];/);
+    if (!list) {
+        throw new Error('urlsToCache not found in sw.js');
+    }
+
+    return [...list[1].matchAll(/'([^']+)'/g)]
+        .map(match => match[1])
+        .filter(url => url.startsWith('/') && url !== '/')
+        .map(url => url.slice(1));
+}
+
+// Path and contents of every cached file, so renames count as well as edits
+function computeAssetHash(swSource) {
+    const hash = crypto.createHash('sha256');
+    listCachedFiles(swSource).forEach(file => {
+        hash.update(`${file}\0`);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+        hash.update('\0');
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+function readStampedHash(swSource) {
+    const match = swSource.match(HASH_PATTERN);
+    return match ? match[1] : null;
+}
+
+if (require.main === module) {
+    const source = fs.readFileSync(SW_PATH, 'utf8');
+    const stamped = readStampedHash(source);
+    const current = computeAssetHash(source);
+
+    if (stamped === null) {
+        console.error('ASSET_HASH not found in sw.js');
+        process.exit(1);
+    }
+
+    if (process.argv.includes('--check')) {
+        if (stamped !== current) {
+            console.error(`sw.js ASSET_HASH is ${stamped}, the cached files hash to ${current}. Run node tools/stamp-sw-version.js`);
+            process.exit(1);
+        }
+        console.log(`sw.js ASSET_HASH ${stamped} is up to date`);
+    } else {
+        fs.writeFileSync(SW_PATH, source.replace(HASH_PATTERN, `const ASSET_HASH = '${current}';`));
+        console.log(`sw.js ASSET_HASH ${stamped} -> ${current}`);
+    }
+}
+
+module.exports = { listCachedFiles, computeAssetHash, readStampedHash };
@@ -0,0 +1,554 @@
+// Trade Importer for Profit Pulse
+// Parses exchange trade-history CSV exports into tax lot trades
+//
+// Supported formats (detected from the header row):
+// - Binance:  Date(UTC),Pair,Side,Price,Executed,Amount,Fee
+// - Coinbase: Timestamp,Transaction Type,Asset,Quantity Transacted,Spot Price Currency,Spot Price at Transaction,...
+// - Kraken:   txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol,...
+// - Generic:  date,type,symbol,quantity,price[,fee][,coin_id][,currency]
+//
+// Prices must be quoted in USD, a USD stablecoin, EUR, GBP or BRL; other rows are reported,
+// not dropped. Fiat quotes other than USD are converted to USD at the rate of the trade date.
+
+const USD_QUOTES = ['USD', 'ZUSD', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI'];
+
+// Other fiat quotes (including Kraken's Z-prefixed codes) -> quote currency
+const FIAT_QUOTES = {
+    EUR: 'eur',
+    ZEUR: 'eur',
+    GBP: 'gbp',
+    ZGBP: 'gbp',
+    BRL: 'brl'
+};
+
+// Exchange-specific tickers that differ from CoinGecko symbols
+const TICKER_ALIASES = {
+    XBT: 'BTC',
+    XXBT: 'BTC',
+    XETH: 'ETH',
+    XDG: 'DOGE',
+    XXDG: 'DOGE',
+    XXRP: 'XRP',
+    XLTC: 'LTC',
+    XXLM: 'XLM',
+    XETC: 'ETC',
+    XZEC: 'ZEC',
+    XXMR: 'XMR'
+};
+
+class TradeImporter {
+    constructor(priceService) {
+        this.priceService = priceService;
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // Work out the export format; Coinbase files start with a few preamble lines
+    detectFormat(rows) {
+        for (let index = 0; index < Math.min(rows.length, 20); index++) {
+            const header = rows[index].map(cell => cell.trim().toLowerCase());
+            const has = (...names) => names.every(name => header.includes(name));
+
+            let format = null;
+            if (has('pair', 'side', 'executed')) {
+                format = 'binance';
+            } else if (has('transaction type', 'asset', 'quantity transacted')) {
+                format = 'coinbase';
+            } else if (has('txid', 'pair', 'vol')) {
+                format = 'kraken';
+            } else if (has('date', 'type', 'symbol', 'quantity', 'price')) {
+                format = 'generic';
+            }
+
+            if (format) {
+                return { format, headerIndex: index, header };
+            }
+        }
+
+        return null;
+    }
+
+    parse(text) {
+        const rows = this.parseCsv(text);
+        const detected = this.detectFormat(rows);
+
+        if (!detected) {
+            throw new Error('Unrecognized CSV format. Expected a Binance, Coinbase or Kraken export, or the generic format.');
+        }
+
+        const { format, headerIndex, header } = detected;
+        const trades = [];
+        const errors = [];
+        const warnings = [];
+
+        rows.slice(headerIndex + 1).forEach((cells, offset) => {
+            const line = headerIndex + offset + 2; // 1-based file line
+            if (cells.every(cell => cell.trim() === '')) {
+                return;
+            }
+
+            const record = {};
+            header.forEach((name, column) => {
+                record[name] = (cells[column] || '').trim();
+            });
+
+            try {
+                const trade = this.parseRecord(format, record, warnings, line);
+                trades.push({ ...trade, line });
+            } catch (error) {
+                errors.push({ line, reason: error.message, raw: cells.join(',') });
+            }
+        });
+
+        return { format, trades, errors, warnings };
+    }
+
+    parseRecord(format, record, warnings, line) {
+        switch (format) {
+            case 'binance':
+                return this.parseBinance(record, warnings, line);
+            case 'coinbase':
+                return this.parseCoinbase(record);
+            case 'kraken':
+                return this.parseKraken(record);
+            default:
+                return this.parseGeneric(record);
+        }
+    }
+
+    parseBinance(record, warnings, line) {
+        const { base, quote } = this.splitPair(record.pair);
+        const price = this.parseAmount(record.price);
+        const tokens = this.parseAmount(record.executed);
+
+        // Fees are charged in the base, quote or a third asset (e.g. BNB)
+        let fee = 0;
+        const feeAmount = this.parseAmount(record.fee, true);
+        const feeAsset = (record.fee || '').replace(/[\d.,\s]/g, '').toUpperCase();
+        if (feeAmount > 0) {
+            if (feeAsset === quote) {
+                fee = feeAmount;
+            } else if (feeAsset === base) {
+                fee = feeAmount * price;
+            } else {
+                warnings.push({ line, message: `Fee paid in ${feeAsset} was not included` });
+            }
+        }
+
+        return this.buildTrade({
+            date: record['date(utc)'] || record.date,
+            type: record.side,
+            symbol: base,
+            quote,
+            tokens,
+            price,
+            fee
+        });
+    }
+
+    parseCoinbase(record) {
+        const type = record['transaction type'].toLowerCase()
+            .replace('advanced trade ', '');
+        if (type !== 'buy' && type !== 'sell') {
+            throw new Error(`Unsupported transaction type "${record['transaction type']}"`);
+        }
+
+        return this.buildTrade({
+            date: record.timestamp,
+            type,
+            symbol: record.asset,
+            quote: record['spot price currency'] || record['price currency'],
+            tokens: this.parseAmount(record['quantity transacted']),
+            price: this.parseAmount(record['spot price at transaction'] || record['price at transaction']),
+            fee: this.parseAmount(record['fees and/or spread'] || record.fees, true)
+        });
+    }
+
+    parseKraken(record) {
+        const { base, quote } = this.splitPair(record.pair);
+
+        return this.buildTrade({
+            date: record.time,
+            type: record.type,
+            symbol: base,
+            quote,
+            tokens: this.parseAmount(record.vol),
+            price: this.parseAmount(record.price),
+            fee: this.parseAmount(record.fee, true)
+        });
+    }
+
+    parseGeneric(record) {
+        return this.buildTrade({
+            date: record.date,
+            type: record.type,
+            symbol: record.symbol,
+            quote: record.currency || 'USD',
+            tokens: this.parseAmount(record.quantity),
+            price: this.parseAmount(record.price),
+            fee: this.parseAmount(record.fee, true),
+            coinId: record.coin_id
+        });
+    }
+
+    buildTrade({ date, type, symbol, quote, tokens, price, fee, coinId }) {
+        const normalizedDate = (date || '').slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(normalizedDate) || isNaN(Date.parse(normalizedDate))) {
+            throw new Error(`Invalid date "${date}"`);
+        }
+
+        const normalizedType = (type || '').toLowerCase();
+        if (normalizedType !== 'buy' && normalizedType !== 'sell') {
+            throw new Error(`Unknown trade side "${type}"`);
+        }
+
+        if (!symbol) {
+            throw new Error('Missing asset symbol');
+        }
+
+        const normalizedQuote = (quote || '').toUpperCase();
+        const currency = USD_QUOTES.includes(normalizedQuote) ? 'usd' : FIAT_QUOTES[normalizedQuote];
+        if (!currency) {
+            throw new Error(`Quote currency "${quote}" is not supported (USD, EUR, GBP or BRL only)`);
+        }
+
+        if (!(tokens > 0) || !(price >= 0)) {
+            throw new Error('Missing or invalid quantity/price');
+        }
+
+        return {
+            date: normalizedDate,
+            type: normalizedType,
+            symbol: this.normalizeTicker(symbol),
+            tokens,
+            price,
+            fee: fee || 0,
+            currency,
+            coinId: coinId || null
+        };
+    }
+
+    // Convert prices and fees to USD at the exchange rate of each trade's date, keeping the
+    // rate so reports in the trade's own currency show the amounts from the file.
+    // Trades whose rate can't be looked up are returned as errors rather than guessed.
+    async convertToUsd(trades) {
+        const rates = new Map(); // `${currency}_${date}` -> promise of quote units per USD
+        const converted = [];
+        const errors = [];
+
+        for (const trade of trades) {
+            const key = `${trade.currency}_${trade.date}`;
+            if (!rates.has(key)) {
+                rates.set(key, trade.currency === 'usd' ?
+                    Promise.resolve(1) :
+                    this.priceService.getHistoricalExchangeRate('usd', trade.currency, trade.date));
+            }
+
+            try {
+                const usdRate = await rates.get(key);
+                converted.push({
+                    ...trade,
+                    price: trade.price / usdRate,
+                    fee: trade.fee / usdRate,
+                    usdRate
+                });
+            } catch (error) {
+                errors.push({
+                    line: trade.line,
+                    reason: `No USD/${trade.currency.toUpperCase()} exchange rate for ${trade.date} (${error.message})`,
+                    raw: ''
+                });
+            }
+        }
+
+        return { trades: converted, errors };
+    }
+
+    // Split exchange pairs such as BTCUSDT or XXBTZUSD into base and quote
+    splitPair(pair) {
+        const normalized = (pair || '').toUpperCase().replace(/[/\-_]/g, '');
+        const quote = [...USD_QUOTES, ...Object.keys(FIAT_QUOTES), 'BTC', 'ETH', 'BNB']
+            .sort((a, b) => b.length - a.length)
+            .find(candidate => normalized.endsWith(candidate) && normalized.length > candidate.length);
+
+        if (!quote) {
+            throw new Error(`Cannot split trading pair "${pair}"`);
+        }
+
+        return {
+            base: normalized.slice(0, -quote.length),
+            quote
+        };
+    }
+
+    normalizeTicker(ticker) {
+        const upper = ticker.toUpperCase();
+        return TICKER_ALIASES[upper] || upper;
+    }
+
+    // Parses "$29,000.00", "0.01BTC" or "1 234.5"; blank optional fields are 0
+    parseAmount(value, optional = false) {
+        const cleaned = (value || '').replace(/[^\d.eE+-]/g, '');
+        const number = parseFloat(cleaned);
+
+        if (!Number.isFinite(number)) {
+            if (optional) {
+                return 0;
+            }
+            throw new Error(`Invalid number "${value}"`);
+        }
+
+        return Math.abs(number);
+    }
+
+    // Map tickers to CoinGecko ids; several coins sharing a ticker need a manual choice
+    resolveCoins(trades) {
+        const resolved = [];
+        const ambiguous = new Map(); // symbol -> candidate coins
+        const unknown = new Set();
+        const candidatesBySymbol = new Map();
+
+        trades.forEach(trade => {
+            const coin = trade.coinId ? this.priceService.getCoinById(trade.coinId) : null;
+            if (coin) {
+                resolved.push({ ...trade, coinId: coin.id, symbol: coin.symbol });
+                return;
+            }
+
+            // Searching the full catalogue is not free, so look each symbol up once
+            if (!candidatesBySymbol.has(trade.symbol)) {
+                candidatesBySymbol.set(trade.symbol, this.priceService.searchCoins(trade.symbol)
+                    .filter(candidate => candidate.symbol.toUpperCase() === trade.symbol));
+            }
+            const candidates = candidatesBySymbol.get(trade.symbol);
+
+            if (candidates.length === 1) {
+                resolved.push({ ...trade, coinId: candidates[0].id, symbol: candidates[0].symbol });
+            } else if (candidates.length > 1) {
+                ambiguous.set(trade.symbol, candidates);
+            } else {
+                unknown.add(trade.symbol);
+            }
+        });
+
+        return { resolved, ambiguous, unknown: [...unknown] };
+    }
+
+    // Default choice for an ambiguous ticker: the coin with the best market cap rank.
+    // Unranked candidates are too obscure to pick on the user's behalf.
+    suggestCoin(candidates) {
+        const ranked = candidates.filter(coin => coin.market_cap_rank > 0);
+        if (ranked.length === 0) {
+            return null;
+        }
+        return ranked.reduce((best, coin) => coin.market_cap_rank < best.market_cap_rank ? coin : best);
+    }
+}
+
+// Import panel component
+class TradeImportView {
+    constructor(containerId, priceService, taxLotView) {
+        this.container = document.getElementById(containerId);
+        this.priceService = priceService;
+        this.taxLotView = taxLotView;
+        this.importer = new TradeImporter(priceService);
+        this.pending = null;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.fileInput = document.getElementById('trade-import-file');
+        this.summary = document.getElementById('trade-import-summary');
+    }
+
+    bindEvents() {
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                this.importFile(file);
+            }
+        });
+
+        this.summary.addEventListener('click', (e) => {
+            if (e.target.closest('#trade-import-confirm')) {
+                this.commit();
+            } else if (e.target.closest('#trade-import-cancel')) {
+                this.clear();
+            }
+        });
+    }
+
+    async importFile(file) {
+        try {
+            const text = await file.text();
+            // Symbol mapping needs the coin list
+            await this.priceService.fetchCoinList();
+
+            const parsed = this.importer.parse(text);
+            if (parsed.trades.some(trade => trade.currency !== 'usd')) {
+                this.summary.innerHTML = '<p class="import-line">Looking up exchange rates for each trade date...</p>';
+            }
+            const conversion = await this.importer.convertToUsd(parsed.trades);
+            parsed.trades = conversion.trades;
+            parsed.errors = [...parsed.errors, ...conversion.errors].sort((a, b) => a.line - b.line);
+            const resolution = this.importer.resolveCoins(parsed.trades);
+            const pendingTrades = parsed.trades.filter(trade =>
+                resolution.ambiguous.has(trade.symbol)
+            );
+
+            this.pending = { ...parsed, ...resolution, pendingTrades };
+            this.renderSummary();
+        } catch (error) {
+            this.pending = null;
+            this.summary.innerHTML = '<div class="import-error"></div>';
+            this.summary.firstElementChild.textContent = `⚠️ ${error.message}`;
+        }
+
+        // Allow re-selecting the same file
+        this.fileInput.value = '';
+    }
+
+    renderSummary() {
+        const { format, resolved, ambiguous, unknown, errors, warnings, pendingTrades } = this.pending;
+        const formatName = format.charAt(0).toUpperCase() + format.slice(1);
+
+        this.summary.innerHTML = `
+            <div class="import-summary">
+                <p class="import-line">${formatName} export: ${resolved.length} trade(s) ready to import.</p>
+                <div class="import-ambiguous"></div>
+                <ul class="import-issues"></ul>
+                <div class="import-actions">
+                    <button type="button" class="primary-button" id="trade-import-confirm">Import Trades</button>
+                    <button type="button" class="text-button" id="trade-import-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        // One selector per ambiguous ticker rather than per row
+        const ambiguousContainer = this.summary.querySelector('.import-ambiguous');
+        ambiguous.forEach((candidates, symbol) => {
+            const count = pendingTrades.filter(trade => trade.symbol === symbol).length;
+            const suggested = this.importer.suggestCoin(candidates);
+            const label = document.createElement('label');
+            label.className = 'import-resolve';
+            label.textContent = `${symbol} matches ${candidates.length} coins (${count} trade(s))` +
+                `${suggested ? ', largest by market cap preselected' : ''}: `;
+
+            const select = document.createElement('select');
+            select.className = 'select-field';
+            select.dataset.symbol = symbol;
+            select.add(new Option('Skip these trades', ''));
+            candidates.forEach(coin => {
+                const rank = coin.market_cap_rank ? ` #${coin.market_cap_rank}` : '';
+                select.add(new Option(`${coin.name} (${coin.id})${rank}`, coin.id));
+            });
+            select.value = suggested ? suggested.id : '';
+
+            label.appendChild(select);
+            ambiguousContainer.appendChild(label);
+        });
+
+        const issues = this.summary.querySelector('.import-issues');
+        const addIssue = (text, className) => {
+            const item = document.createElement('li');
+            item.className = className;
+            item.textContent = text;
+            issues.appendChild(item);
+        };
+
+        unknown.forEach(symbol => addIssue(`${symbol}: no matching coin found, trades skipped`, 'import-error'));
+        errors.forEach(error => addIssue(`Line ${error.line}: ${error.reason}`, 'import-error'));
+        warnings.forEach(warning => addIssue(`Line ${warning.line}: ${warning.message}`, 'import-warning'));
+    }
+
+    commit() {
+        if (!this.pending) {
+            return;
+        }
+
+        // Apply the manual choices made for ambiguous tickers
+        const choices = new Map();
+        this.summary.querySelectorAll('select[data-symbol]').forEach(select => {
+            const coin = this.priceService.getCoinById(select.value);
+            if (coin) {
+                choices.set(select.dataset.symbol, coin);
+            }
+        });
+
+        const manuallyResolved = this.pending.pendingTrades
+            .filter(trade => choices.has(trade.symbol))
+            .map(trade => {
+                const coin = choices.get(trade.symbol);
+                return { ...trade, coinId: coin.id, symbol: coin.symbol };
+            });
+
+        const sourceLines = new Map(); // trade -> CSV line, for reporting rejects
+        const trades = [...this.pending.resolved, ...manuallyResolved].map(trade => {
+            const { line, ...fields } = trade;
+            sourceLines.set(fields, line);
+            return fields;
+        });
+        const { added, rejected } = this.taxLotView.addTrades(trades);
+
+        this.pending = null;
+        this.summary.innerHTML = '<div class="import-line"></div>';
+        this.summary.firstElementChild.textContent = rejected.length > 0 ?
+            `Imported ${added.length} trade(s). Lines ${rejected.map(trade => sourceLines.get(trade)).join(', ')} were rejected.` :
+            `Imported ${added.length} trade(s).`;
+    }
+
+    clear() {
+        this.pending = null;
+        this.summary.innerHTML = '';
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TradeImporter, TradeImportView };
+}